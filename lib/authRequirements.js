@@ -0,0 +1,111 @@
+//----------------------------------------------------------------------
+// Step-up authentication: logins and token requests can require a
+// recent sign-in, an authentication context class or multi-factor
+// authentication. The requirements are sent to AAD, and checked against
+// the auth_time, acr and amr claims of the tokens returned or cached.
+//
+// AAD ignores amr_values: multi-factor authentication is required by
+// Conditional Access policies, which can target the authentication
+// contexts requested with the acrs claim. Only AD FS takes amr_values.
+//----------------------------------------------------------------------
+
+/**
+ * Authentication requirements of a login or a token request.
+ * @class AuthRequirements
+ *  @property {number} maxAge - maximum number of seconds since the user signed in, or null.
+ *  @property {Array.<string>} acrValues - authentication context class references, one of which the token must carry.
+ *  @property {Boolean} requireMfa - true if the user must have signed in with multi-factor authentication.
+ */
+
+/**
+ * Claims of a token describing how the user signed in.
+ * @class AuthClaims
+ *  @property {number} authTime - time the user signed in, in seconds since 1970/01/01, or null if unknown.
+ *  @property {string} acr - authentication context class reference, or null.
+ *  @property {Array.<string>} acrs - authentication contexts satisfied by the token.
+ *  @property {Array.<string>} amr - authentication methods, like 'pwd' or 'mfa'.
+ */
+
+/**
+ * Reads the authentication requirements from the options of a request.
+ * @param {object} options  -  options with maxAge, acrValues and requireMfa properties.
+ * @returns {AuthRequirements} the requirements, or null if the request has none.
+ */
+export function getAuthRequirements(options) {
+  if (!options) {
+    return null
+  }
+
+  const maxAge = typeof options.maxAge === 'number' && options.maxAge >= 0 ? options.maxAge : null
+  let acrValues = options.acrValues || []
+
+  if (typeof acrValues === 'string') {
+    acrValues = acrValues.split(' ').filter((value) => value !== '')
+  }
+
+  if (maxAge === null && acrValues.length === 0 && !options.requireMfa) {
+    return null
+  }
+
+  return { maxAge, acrValues, requireMfa: !!options.requireMfa }
+}
+
+/**
+ * Returns the authorize endpoint parameters sending authentication requirements to AAD.
+ * @param {AuthRequirements} requirements
+ * @param {Boolean} isAdfs  -  true for AD FS authorities, the only ones asking for multi-factor authentication with
+ * amr_values.
+ * @returns {string} the parameters, each starting with '&'.
+ */
+export function getAuthRequirementParameters(requirements, isAdfs) {
+  let parameters = ''
+
+  if (requirements.maxAge !== null) {
+    parameters += '&max_age=' + requirements.maxAge
+  }
+
+  if (requirements.acrValues.length > 0) {
+    parameters += '&acr_values=' + encodeURIComponent(requirements.acrValues.join(' '))
+  }
+
+  if (requirements.requireMfa && isAdfs) {
+    parameters += '&amr_values=mfa'
+  }
+
+  return parameters
+}
+
+/**
+ * Checks the claims of a token against authentication requirements.
+ * @param {AuthClaims} authClaims
+ * @param {AuthRequirements} requirements
+ * @param {number} referenceTime  -  time maxAge is counted back from in seconds since 1970/01/01: the time the token
+ * was issued for tokens just received, the current time for cached ones.
+ * @returns {string} describes the first requirement the token does not meet, or null if it meets them all.
+ */
+export function checkAuthRequirements(authClaims, requirements, referenceTime) {
+  if (requirements.maxAge !== null) {
+    if (typeof authClaims.authTime !== 'number') {
+      return 'The token has no auth_time claim'
+    }
+
+    if (authClaims.authTime + requirements.maxAge < referenceTime) {
+      return 'The user signed in more than ' + requirements.maxAge + ' seconds ago'
+    }
+  }
+
+  if (requirements.acrValues.length > 0) {
+    const acrs = [authClaims.acr].concat(authClaims.acrs || [])
+    const matches = requirements.acrValues.filter((value) => acrs.indexOf(value) !== -1)
+
+    if (matches.length === 0) {
+      return 'The token carries none of the acr values ' + requirements.acrValues.join(', ')
+    }
+  }
+
+  if (requirements.requireMfa && (authClaims.amr || []).indexOf('mfa') === -1) {
+    return 'The user did not sign in with multi-factor authentication'
+  }
+
+  return null
+}
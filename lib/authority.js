@@ -0,0 +1,344 @@
+//----------------------------------------------------------------------
+// Authorities: the AAD instance and tenant the requests are sent to.
+// Every endpoint URL is built from a parsed and validated authority, so
+// that a misconfigured instance cannot leak requests, and the hosts of
+// the national clouds are trusted like the public one.
+//
+// Azure AD B2C authorities also name the user flow (policy) of the
+// requests, which can be replaced per request. AD FS authorities have
+// no tenant, their endpoints are found under /adfs.
+//----------------------------------------------------------------------
+
+import { AuthError, ERROR_CODE } from './errors'
+
+/**
+ * Enum for the types of authorities.
+ * @enum {string}
+ */
+export const AUTHORITY_TYPE = {
+  AAD: 'AAD',
+  B2C: 'B2C',
+  ADFS: 'ADFS',
+}
+
+/**
+ * Enum for the Azure clouds whose AAD instances are trusted without instance discovery.
+ * @enum {string}
+ */
+export const AZURE_CLOUD = {
+  PUBLIC: 'public',
+  US_GOVERNMENT: 'usGovernment',
+  CHINA: 'china',
+}
+
+// hosts of the AAD instances of each cloud, including their aliases
+const CLOUD_HOSTS = {
+  'login.microsoftonline.com': AZURE_CLOUD.PUBLIC,
+  'login.windows.net': AZURE_CLOUD.PUBLIC,
+  'login.microsoft.com': AZURE_CLOUD.PUBLIC,
+  'sts.windows.net': AZURE_CLOUD.PUBLIC,
+  'login.microsoftonline.us': AZURE_CLOUD.US_GOVERNMENT,
+  'login.usgovcloudapi.net': AZURE_CLOUD.US_GOVERNMENT,
+  'login.chinacloudapi.cn': AZURE_CLOUD.CHINA,
+  'login.partner.microsoftonline.cn': AZURE_CLOUD.CHINA,
+}
+
+// instance answering the instance discovery requests for hosts that are not trusted
+const INSTANCE_DISCOVERY_HOST = 'login.microsoftonline.com'
+
+// B2C tenants are served from subdomains of these hosts, custom domains need the B2C type
+const B2C_HOST_SUFFIXES = ['.b2clogin.com', '.b2clogin.cn']
+
+// path of the endpoints of AD FS, which takes the place of the tenant
+const ADFS_PATH = 'adfs'
+
+const AUTHORITY_REGEX = /^https:\/\/([a-z0-9.-]+(?::\d+)?)\/?([^?#]*)$/i
+
+const SEGMENT_REGEX = /^[a-z0-9._-]+$/i
+
+/**
+ * Options of an authority.
+ * @class AuthorityOptions
+ *  @property {Boolean} validate - Only trusts the hosts of the known clouds, the known authorities and the hosts
+ *  confirmed by instance discovery. Defaults to `false`.
+ *  @property {Array.<string>} knownAuthorities - Hosts trusted in addition to the ones of the known clouds.
+ *  @property {Boolean} instanceDiscovery - Asks AAD whether the other hosts are valid instances. Defaults to `true`.
+ *  B2C and AD FS hosts cannot be discovered, and must be known authorities.
+ *  @property {string} type - One of {@link AUTHORITY_TYPE}. Defaults to 'B2C' for the hosts of b2clogin.com, 'ADFS' for
+ *  the authorities ending with /adfs, 'AAD' otherwise.
+ */
+
+/**
+ * Authority of an AAD instance and tenant, like `https://login.microsoftonline.us/contoso.onmicrosoft.com`, of a
+ * B2C tenant and user flow, like `https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin`, or of an AD FS
+ * server, like `https://adfs.contoso.com/adfs`.
+ */
+export default class Authority {
+  /**
+   * @param {string} url  -  the authority URL. The tenant defaults to 'common', B2C authorities require it and the user
+   * flow, AD FS ones have none.
+   * @param {AuthorityOptions} [options]
+   * @throws {Error} if the URL is not a valid authority, or its host is not trusted and cannot be discovered.
+   */
+  constructor(url, options = {}) {
+    const match = AUTHORITY_REGEX.exec(url || '')
+
+    if (!match) {
+      throw new Error(
+        'Invalid authority ' + url + ': expected an https URL without query or fragment',
+      )
+    }
+
+    const host = match[1].toLowerCase()
+    const segments = match[2].split('/').filter((segment) => segment !== '')
+    const type = options.type || getAuthorityType(host, segments)
+
+    if (!isAuthorityType(type)) {
+      throw new Error('Unsupported authority type: ' + type)
+    }
+
+    if (type === AUTHORITY_TYPE.ADFS) {
+      if (segments.length !== 1 || segments[0].toLowerCase() !== ADFS_PATH) {
+        throw new Error('Invalid AD FS authority ' + url + ': expected https://<host>/adfs')
+      }
+    } else if (type === AUTHORITY_TYPE.B2C) {
+      if (segments.length !== 2 || !isValidSegment(segments[0]) || !isValidSegment(segments[1])) {
+        throw new Error(
+          'Invalid B2C authority ' + url + ': expected https://<host>/<tenant>/<policy>',
+        )
+      }
+    } else if (segments.length > 1 || (segments.length === 1 && !isValidSegment(segments[0]))) {
+      throw new Error('Invalid authority ' + url + ': expected https://<instance>/<tenant>')
+    }
+
+    this.type = type
+    this.host = host
+    this.tenant = type === AUTHORITY_TYPE.ADFS ? null : segments[0] || 'common'
+    this.policy = type === AUTHORITY_TYPE.B2C ? segments[1] : null
+    this.cloud = type === AUTHORITY_TYPE.AAD ? CLOUD_HOSTS[host] || null : null
+    this._validate = !!options.validate
+    this._trusted =
+      !this._validate || !!this.cloud || containsIgnoreCase(options.knownAuthorities, host)
+    this._instanceDiscovery = options.instanceDiscovery !== false && type === AUTHORITY_TYPE.AAD
+    this._discovery = null
+
+    if (!this._trusted && !this._instanceDiscovery) {
+      throw new Error(
+        'Untrusted authority host ' +
+          host +
+          (type === AUTHORITY_TYPE.AAD
+            ? ': add it to knownAuthorities or enable instanceDiscovery'
+            : ': add it to knownAuthorities'),
+      )
+    }
+  }
+
+  /**
+   * URL of the instance, ending with a slash, like `https://login.microsoftonline.us/`.
+   * @type {string}
+   */
+  get instance() {
+    return 'https://' + this.host + '/'
+  }
+
+  /**
+   * URL of the instance and tenant, like `https://login.microsoftonline.us/contoso.onmicrosoft.com`, without the user
+   * flow of B2C authorities. AD FS authorities end with /adfs instead of a tenant.
+   * @type {string}
+   */
+  get url() {
+    return this.instance + (this.isAdfs() ? ADFS_PATH : this.tenant)
+  }
+
+  /**
+   * @returns {Boolean} true for Azure AD B2C authorities.
+   */
+  isB2C() {
+    return this.type === AUTHORITY_TYPE.B2C
+  }
+
+  /**
+   * @returns {Boolean} true for AD FS authorities.
+   */
+  isAdfs() {
+    return this.type === AUTHORITY_TYPE.ADFS
+  }
+
+  /**
+   * @returns {Boolean} true once the host is trusted, and URLs can be built.
+   */
+  isTrusted() {
+    return this._trusted
+  }
+
+  /**
+   * Confirms that the host is an AAD instance with instance discovery, unless it is already trusted.
+   * @param {function} fetchJson  -  fetches a JSON document, returning a promise.
+   * @returns {Promise} resolves once the host is trusted, rejects with an Error if it is not a valid instance.
+   */
+  discover(fetchJson) {
+    if (this._trusted) {
+      return Promise.resolve()
+    }
+
+    if (!this._discovery) {
+      const discoveryUrl =
+        'https://' +
+        INSTANCE_DISCOVERY_HOST +
+        '/common/discovery/instance?api-version=1.1&authorization_endpoint=' +
+        encodeURIComponent(this.url + '/oauth2/authorize')
+
+      this._discovery = fetchJson(discoveryUrl).then(
+        (response) => {
+          if (!response || !response.tenant_discovery_endpoint) {
+            throw new Error('Instance discovery did not confirm authority ' + this.url)
+          }
+
+          this._trusted = true
+        },
+        (err) => {
+          // tried again by the next caller
+          this._discovery = null
+          throw new Error(
+            'Instance discovery failed for authority ' + this.url + ': ' + err.message,
+          )
+        },
+      )
+    }
+
+    return this._discovery
+  }
+
+  /**
+   * Returns the URL of an OAuth endpoint of the authority. B2C authorities always use the v2.0 endpoints, AD FS has
+   * none and takes the scopes of v2.0 requests at its own endpoints.
+   * @param {string} endpoint  -  'authorize', 'token' or 'logout'.
+   * @param {Boolean} v2  -  true for the Microsoft identity platform v2.0 endpoints.
+   * @param {string} [policy]  -  user flow replacing the one of a B2C authority.
+   * @returns {string} the URL.
+   * @throws {AuthError} if the host is not trusted yet, or the policy is invalid.
+   */
+  getEndpointUrl(endpoint, v2, policy) {
+    return this._getUrl(policy, (this._isV2(v2) ? '/oauth2/v2.0/' : '/oauth2/') + endpoint)
+  }
+
+  /**
+   * Returns the URL of the OpenID configuration of the authority.
+   * @param {Boolean} v2  -  true for the Microsoft identity platform v2.0 endpoints.
+   * @param {string} [policy]  -  user flow replacing the one of a B2C authority.
+   * @returns {string} the URL.
+   * @throws {AuthError} if the host is not trusted yet, or the policy is invalid.
+   */
+  getOpenIdConfigurationUrl(v2, policy) {
+    return this._getUrl(
+      policy,
+      (this._isV2(v2) ? '/v2.0' : '') + '/.well-known/openid-configuration',
+    )
+  }
+
+  /**
+   * Returns true if the v2.0 endpoints of the authority are used.
+   * @ignore
+   */
+  _isV2(v2) {
+    return this.isB2C() || (v2 && !this.isAdfs())
+  }
+
+  /**
+   * Appends the user flow of B2C authorities and a path to the authority URL, once the host is trusted.
+   * @ignore
+   */
+  _getUrl(policy, path) {
+    if (!this._trusted) {
+      throw new AuthError(
+        ERROR_CODE.INVALID_AUTHORITY,
+        'Authority ' + this.url + ' is not validated yet, wait for initialize() to resolve',
+      )
+    }
+
+    if (!this.isB2C()) {
+      return this.url + path
+    }
+
+    if (policy && !isValidSegment(policy)) {
+      throw new AuthError(ERROR_CODE.INVALID_POLICY, 'Invalid B2C policy: ' + policy)
+    }
+
+    return this.url + '/' + (policy || this.policy) + path
+  }
+}
+
+/**
+ * Returns the type of an authority from its host and path segments.
+ * @ignore
+ */
+function getAuthorityType(host, segments) {
+  if (isB2cHost(host)) {
+    return AUTHORITY_TYPE.B2C
+  }
+
+  if (segments.length === 1 && segments[0].toLowerCase() === ADFS_PATH) {
+    return AUTHORITY_TYPE.ADFS
+  }
+
+  return AUTHORITY_TYPE.AAD
+}
+
+/**
+ * Returns true if a value is one of {@link AUTHORITY_TYPE}.
+ * @ignore
+ */
+function isAuthorityType(value) {
+  for (const key in AUTHORITY_TYPE) {
+    if (AUTHORITY_TYPE[key] === value) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Returns true if a host serves B2C tenants.
+ * @ignore
+ */
+function isB2cHost(host) {
+  const hostname = host.split(':')[0]
+
+  for (let i = 0; i < B2C_HOST_SUFFIXES.length; i++) {
+    const suffix = B2C_HOST_SUFFIXES[i]
+
+    if (
+      hostname.length > suffix.length &&
+      hostname.lastIndexOf(suffix) === hostname.length - suffix.length
+    ) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Returns true if a tenant or policy can be used as a path segment.
+ * @ignore
+ */
+function isValidSegment(segment) {
+  return SEGMENT_REGEX.test(segment)
+}
+
+/**
+ * Returns true if a list contains a value, ignoring case.
+ * @ignore
+ */
+function containsIgnoreCase(list, value) {
+  const lowerCaseValue = (value || '').toLowerCase()
+
+  for (let i = 0; i < (list || []).length; i++) {
+    if (String(list[i]).toLowerCase() === lowerCaseValue) {
+      return true
+    }
+  }
+
+  return false
+}
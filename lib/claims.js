@@ -0,0 +1,149 @@
+//----------------------------------------------------------------------
+// Claims requests, sent as the claims parameter of the authorize
+// endpoint: the client capabilities of the app, and the claims
+// challenges returned by APIs when conditional access or Continuous
+// Access Evaluation revoked a token.
+//----------------------------------------------------------------------
+
+const WWW_AUTHENTICATE_HEADER = 'WWW-Authenticate'
+
+/**
+ * Merges the client capabilities of the app into the claims of a request, under access_token.xms_cc, and the
+ * authentication contexts it requires under access_token.acrs, unless the claims already ask for some.
+ * @param {string} claims  -  the claims of the request as JSON, or null.
+ * @param {Array.<string>} clientCapabilities  -  capabilities like 'CP1', or null.
+ * @param {Array.<string>} [authContexts]  -  authentication context ids like 'c1', or null.
+ * @returns {string} the claims to send as JSON, or null if there are none.
+ */
+export function mergeClaims(claims, clientCapabilities, authContexts) {
+  const hasCapabilities = !!clientCapabilities && clientCapabilities.length > 0
+  const hasAuthContexts = !!authContexts && authContexts.length > 0
+
+  if (!hasCapabilities && !hasAuthContexts) {
+    return claims || null
+  }
+
+  let request = {}
+
+  if (claims) {
+    try {
+      request = JSON.parse(claims)
+    } catch (e) {
+      throw new Error(
+        'Claims must be valid JSON to add the client capabilities or authentication contexts: ' +
+          e.message,
+      )
+    }
+  }
+
+  const accessToken = Object.assign({}, request.access_token)
+
+  if (hasCapabilities) {
+    const values = (accessToken.xms_cc && accessToken.xms_cc.values) || []
+
+    for (let i = 0; i < clientCapabilities.length; i++) {
+      if (values.indexOf(clientCapabilities[i]) === -1) {
+        values.push(clientCapabilities[i])
+      }
+    }
+
+    accessToken.xms_cc = { values }
+  }
+
+  // claims challenges name the context to satisfy themselves
+  if (hasAuthContexts && !accessToken.acrs) {
+    accessToken.acrs = { essential: true, values: authContexts }
+  }
+
+  request.access_token = accessToken
+  return JSON.stringify(request)
+}
+
+/**
+ * Returns the claims requested by the WWW-Authenticate header of a 401 response, like
+ * `Bearer authorization_uri="...", error="insufficient_claims", claims="eyJhY2Nlc3NfdG9rZW4iOnsi..."`.
+ * @param {string} wwwAuthenticate  -  the value of the header.
+ * @returns {string} the decoded claims as JSON, or null if the header is not a claims challenge.
+ */
+export function parseClaimsChallenge(wwwAuthenticate) {
+  if (!wwwAuthenticate) {
+    return null
+  }
+
+  const parameters = {}
+  const regex = /([a-z_]+)\s*=\s*"([^"]*)"/gi
+  let match
+
+  while ((match = regex.exec(wwwAuthenticate))) {
+    parameters[match[1].toLowerCase()] = match[2]
+  }
+
+  if (parameters.error !== 'insufficient_claims' || !parameters.claims) {
+    return null
+  }
+
+  // APIs send the claims base64 encoded, some of them without padding or in base64url
+  let claims = parameters.claims
+
+  if (claims.charAt(0) !== '{') {
+    claims = claims.replace(/-/g, '+').replace(/_/g, '/')
+
+    while (claims.length % 4 !== 0) {
+      claims += '='
+    }
+
+    try {
+      claims = window.atob(claims)
+    } catch (e) {
+      return null
+    }
+  }
+
+  try {
+    JSON.parse(claims)
+  } catch (e) {
+    return null
+  }
+
+  return claims
+}
+
+/**
+ * Reads the WWW-Authenticate header of a response.
+ * @param {Response|XMLHttpRequest|object|string} response  -  a fetch Response, an XMLHttpRequest, an axios response
+ * or error, or the value of the header.
+ * @returns {string} the value of the header, or null.
+ */
+export function getWwwAuthenticateHeader(response) {
+  if (!response) {
+    return null
+  }
+
+  if (typeof response === 'string') {
+    return response
+  }
+
+  if (typeof response.getResponseHeader === 'function') {
+    return response.getResponseHeader(WWW_AUTHENTICATE_HEADER)
+  }
+
+  const headers = response.headers
+
+  // Headers of fetch and AxiosHeaders ignore case
+  if (headers && typeof headers.get === 'function') {
+    return headers.get(WWW_AUTHENTICATE_HEADER) || null
+  }
+
+  if (headers) {
+    for (const key in headers) {
+      if (key.toLowerCase() === WWW_AUTHENTICATE_HEADER.toLowerCase()) {
+        return headers[key]
+      }
+    }
+
+    return null
+  }
+
+  // axios errors carry the response
+  return response.response ? getWwwAuthenticateHeader(response.response) : null
+}
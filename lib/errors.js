@@ -0,0 +1,221 @@
+//----------------------------------------------------------------------
+// Errors used to reject the promise based API, and passed to token
+// callbacks after the legacy (errorDesc, token, error) values.
+//----------------------------------------------------------------------
+
+/**
+ * Enum for the error codes set by the plugin. Errors returned by AAD keep the code AAD returned, like
+ * 'interaction_required' or 'invalid_grant'.
+ * @enum {string}
+ */
+export const ERROR_CODE = {
+  LOGIN_REQUIRED: 'login_required',
+  TIMEOUT: 'timeout',
+  STATE_MISMATCH: 'state_mismatch',
+  POPUP_BLOCKED: 'popup_blocked',
+  USER_CANCELLED: 'user_cancelled',
+  INVALID_ID_TOKEN: 'invalid_id_token',
+  INVALID_RESOURCE: 'invalid_resource',
+  INTERACTION_IN_PROGRESS: 'interaction_in_progress',
+  LOGIN_IN_PROGRESS: 'login_in_progress',
+  USER_NOT_AVAILABLE: 'user_not_available',
+  ACCOUNT_CHANGED: 'account_changed',
+  TOKEN_NOT_AVAILABLE: 'token_not_available',
+  ABORTED: 'aborted',
+  INVALID_AUTHORITY: 'invalid_authority',
+  INVALID_POLICY: 'invalid_policy',
+  CRYPTO_UNAVAILABLE: 'crypto_unavailable',
+  UNEXPECTED_ERROR: 'unexpected_error',
+}
+
+// AADSTS codes of errors that the user can solve by signing in interactively
+const INTERACTION_REQUIRED_AADSTS_CODES = [
+  16000, 16001, 50055, 50058, 50072, 50074, 50076, 50078, 50079, 50097, 50133, 50173, 70044,
+]
+
+// AADSTS codes of errors that the user or an administrator can solve by consenting
+const CONSENT_REQUIRED_AADSTS_CODES = [65001, 65004, 90094]
+
+// AADSTS codes of transient errors
+const SERVER_AADSTS_CODES = [90033]
+
+/**
+ * Error raised when a token or user cannot be obtained.
+ * @class AuthError
+ *  @property {string} errorCode - error code returned by AAD, or one of {@link ERROR_CODE}.
+ *  @property {string} errorMessage - error description returned by AAD or set by the plugin.
+ *  @property {string} subError - suberror returned by AAD, like 'consent_required' or 'bad_token', or null.
+ *  @property {string} aadstsCode - AADSTS code found in the error description, like 'AADSTS50058', or null.
+ *  @property {string} correlationId - correlation id of the request that failed, or null if unknown.
+ *  @property {Boolean} retryable - true if the same request may succeed when sent again.
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} errorCode
+   * @param {string} errorMessage
+   * @param {object} [details]  -  subError, aadstsCode, correlationId and retryable values.
+   */
+  constructor(errorCode, errorMessage, details = {}) {
+    super(errorMessage || errorCode)
+    this.name = 'AuthError'
+    this.errorCode = errorCode
+    this.errorMessage = errorMessage || errorCode
+    this.subError = details.subError || null
+    this.aadstsCode = details.aadstsCode || parseAadstsCode(errorMessage)
+    this.correlationId = details.correlationId || null
+    this.retryable = !!details.retryable
+  }
+
+  /**
+   * Creates an error from the (errorDesc, token, error) values passed to token callbacks.
+   * @param {string} errorDesc  -  error description passed to the callback.
+   * @param {string} error  -  error passed to the callback.
+   * @param {object} [details]  -  subError and correlationId of the error.
+   * @returns {AuthError} an instance of the subclass matching the error.
+   */
+  static fromCallback(errorDesc, error, details) {
+    return createAuthError(error || errorDesc, errorDesc || error, details)
+  }
+}
+
+/**
+ * Error that requires the user to sign in interactively, with a popup or a redirect.
+ */
+export class InteractionRequiredError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'InteractionRequiredError'
+  }
+}
+
+/**
+ * Error that requires the user, or an administrator, to consent to the requested permissions.
+ */
+export class ConsentRequiredError extends InteractionRequiredError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'ConsentRequiredError'
+  }
+}
+
+/**
+ * Error raised when AAD did not respond in time.
+ */
+export class TimeoutError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, Object.assign({}, details, { retryable: true }))
+    this.name = 'TimeoutError'
+  }
+}
+
+/**
+ * Error raised when a response does not match any request sent by the plugin.
+ */
+export class StateMismatchError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'StateMismatchError'
+  }
+}
+
+/**
+ * Error raised when the browser prevented the popup from opening.
+ */
+export class PopupBlockedError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'PopupBlockedError'
+  }
+}
+
+/**
+ * Error raised when the AbortSignal of a request was aborted.
+ */
+export class AbortError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'AbortError'
+  }
+}
+
+/**
+ * Error raised when AAD failed to process a valid request. Transient ones are retryable.
+ */
+export class ServerError extends AuthError {
+  constructor(errorCode, errorMessage, details) {
+    super(errorCode, errorMessage, details)
+    this.name = 'ServerError'
+  }
+}
+
+/**
+ * Returns the AADSTS code found in an error description, like 'AADSTS50058'.
+ * @param {string} errorDesc
+ * @returns {string} the code, or null if there is none.
+ */
+export function parseAadstsCode(errorDesc) {
+  const match = /AADSTS(\d+)/.exec(errorDesc || '')
+  return match ? match[0] : null
+}
+
+/**
+ * Creates the error matching an error code and description, set by the plugin or returned by AAD.
+ * The AADSTS code of the description takes precedence over the error code to pick the class.
+ * @param {string} error  -  the error code, or one of the legacy error values passed to token callbacks.
+ * @param {string} errorDesc  -  the error description.
+ * @param {object} [details]  -  subError and correlationId of the error.
+ * @returns {AuthError} an instance of the subclass matching the error.
+ */
+export function createAuthError(error, errorDesc, details = {}) {
+  const aadstsCode = parseAadstsCode(errorDesc)
+  const aadstsNumber = aadstsCode ? parseInt(aadstsCode.substring(6), 10) : null
+  details = Object.assign({}, details, { aadstsCode })
+
+  if (INTERACTION_REQUIRED_AADSTS_CODES.indexOf(aadstsNumber) > -1) {
+    return new InteractionRequiredError(error, errorDesc, details)
+  }
+
+  if (CONSENT_REQUIRED_AADSTS_CODES.indexOf(aadstsNumber) > -1) {
+    return new ConsentRequiredError(error, errorDesc, details)
+  }
+
+  if (SERVER_AADSTS_CODES.indexOf(aadstsNumber) > -1) {
+    return new ServerError(error, errorDesc, Object.assign(details, { retryable: true }))
+  }
+
+  switch (error) {
+    // errors returned by AAD
+    case 'interaction_required':
+    case 'login_required':
+      return new InteractionRequiredError(error, errorDesc, details)
+    case 'consent_required':
+      return new ConsentRequiredError(error, errorDesc, details)
+    case 'server_error':
+    case 'temporarily_unavailable':
+      return new ServerError(error, errorDesc, Object.assign(details, { retryable: true }))
+    // legacy error values passed to token callbacks
+    case 'login required':
+      return new InteractionRequiredError(ERROR_CODE.LOGIN_REQUIRED, errorDesc, details)
+    case 'Token Renewal Failed':
+    case 'Popup Window timed out':
+      return new TimeoutError(ERROR_CODE.TIMEOUT, errorDesc, details)
+    case 'Invalid_state':
+      return new StateMismatchError(ERROR_CODE.STATE_MISMATCH, errorDesc, details)
+    case 'Error opening popup':
+      return new PopupBlockedError(ERROR_CODE.POPUP_BLOCKED, errorDesc, details)
+    case 'Popup Window closed':
+      return new AuthError(ERROR_CODE.USER_CANCELLED, errorDesc, details)
+    case 'invalid id_token':
+      return new AuthError(ERROR_CODE.INVALID_ID_TOKEN, errorDesc, details)
+    case 'resource is required':
+      return new AuthError(ERROR_CODE.INVALID_RESOURCE, errorDesc, details)
+    case 'Acquire token interactive is already in progress':
+      return new AuthError(ERROR_CODE.INTERACTION_IN_PROGRESS, errorDesc, details)
+    case 'account changed':
+      return new AuthError(ERROR_CODE.ACCOUNT_CHANGED, errorDesc, details)
+    case 'Request aborted':
+      return new AbortError(ERROR_CODE.ABORTED, errorDesc, details)
+    default:
+      return new AuthError(error, errorDesc, details)
+  }
+}
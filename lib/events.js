@@ -0,0 +1,125 @@
+//----------------------------------------------------------------------
+// Lifecycle events of the plugin.
+//----------------------------------------------------------------------
+
+/**
+ * Enum for the events emitted by the plugin. Every event is emitted with an {@link AuthEvent}.
+ *  - loginStart: a login redirect or popup is started.
+ *  - loginSuccess: the id_token of a login is received, account is the signed in user.
+ *  - loginFailure: a login failed, error and errorDesc describe why.
+ *  - acquireTokenStart: a token is requested from AAD, silently or interactively.
+ *  - acquireTokenSuccess: a token is received and cached.
+ *  - acquireTokenFailure: a token request failed, including timed out renewals.
+ *  - renewalTimeout: a silent renewal in a hidden iframe got no response in time.
+ *  - popupOpened: the popup of a login or an interactive token request is opened.
+ *  - popupClosed: the popup was closed before a response was received.
+ *  - logout: the user logged out, in this tab or in another one.
+ *  - logoutFailure: the window logging out of AAD could not be opened, the user is only logged out of the app.
+ *  - accountChanged: the active account changed, in this tab or in another one.
+ *  - sessionChanged: the session monitor found that the user signed out or in again at the authority.
+ * @enum {string}
+ */
+export const EVENT = {
+  LOGIN_START: 'loginStart',
+  LOGIN_SUCCESS: 'loginSuccess',
+  LOGIN_FAILURE: 'loginFailure',
+  ACQUIRE_TOKEN_START: 'acquireTokenStart',
+  ACQUIRE_TOKEN_SUCCESS: 'acquireTokenSuccess',
+  ACQUIRE_TOKEN_FAILURE: 'acquireTokenFailure',
+  RENEWAL_TIMEOUT: 'renewalTimeout',
+  POPUP_OPENED: 'popupOpened',
+  POPUP_CLOSED: 'popupClosed',
+  LOGOUT: 'logout',
+  LOGOUT_FAILURE: 'logoutFailure',
+  ACCOUNT_CHANGED: 'accountChanged',
+  SESSION_CHANGED: 'sessionChanged',
+}
+
+/**
+ * Payload of the events.
+ * @class AuthEvent
+ *  @property {string} type - one of {@link EVENT}.
+ *  @property {string} correlationId - sent as client-request-id with the request the event is about.
+ *  @property {string} resource - the resource, or normalized scopes, of the request, or null.
+ *  @property {User} account - the account of the request, or null if unknown.
+ *  @property {string} error - error code of failures, otherwise null.
+ *  @property {string} errorDesc - error description of failures, otherwise null.
+ */
+
+/**
+ * Registry of event listeners.
+ */
+export default class EventEmitter {
+  /**
+   * @param {function} onError  -  called with the errors thrown by listeners.
+   */
+  constructor(onError) {
+    this._listeners = {}
+    this._onError = onError || (() => {})
+  }
+
+  /**
+   * Adds a listener.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} listener  -  called with an {@link AuthEvent}.
+   * @returns {function} removes the listener.
+   */
+  on(eventName, listener) {
+    if (!this._listeners[eventName]) {
+      this._listeners[eventName] = []
+    }
+
+    this._listeners[eventName].push(listener)
+    return () => this.off(eventName, listener)
+  }
+
+  /**
+   * Adds a listener called for the next event only.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} listener  -  called with an {@link AuthEvent}.
+   * @returns {function} removes the listener.
+   */
+  once(eventName, listener) {
+    const onceListener = (event) => {
+      this.off(eventName, onceListener)
+      listener(event)
+    }
+    onceListener.listener = listener
+    return this.on(eventName, onceListener)
+  }
+
+  /**
+   * Removes a listener, or every listener of the event if none is given.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} [listener]
+   */
+  off(eventName, listener) {
+    if (!listener) {
+      delete this._listeners[eventName]
+      return
+    }
+
+    if (this._listeners[eventName]) {
+      this._listeners[eventName] = this._listeners[eventName].filter(
+        (registered) => registered !== listener && registered.listener !== listener,
+      )
+    }
+  }
+
+  /**
+   * Calls the listeners of an event. A listener throwing does not prevent the others from being called.
+   * @param {string} eventName
+   * @param {AuthEvent} event
+   */
+  emit(eventName, event) {
+    const listeners = (this._listeners[eventName] || []).slice()
+
+    for (let i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i](event)
+      } catch (e) {
+        this._onError(e)
+      }
+    }
+  }
+}
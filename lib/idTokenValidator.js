@@ -0,0 +1,275 @@
+//----------------------------------------------------------------------
+// Validation of the id_tokens returned by AAD before they are cached.
+//
+// Claims are checked against the configured tenants and the current
+// time, allowing for the clock skew between the device and AAD.
+//
+// Signatures are checked with WebCrypto against the signing keys
+// published at the jwks_uri of the tenant. The key set is kept in memory
+// and fetched again when a token is signed with an unknown key, which
+// happens after AAD rotated its keys.
+//----------------------------------------------------------------------
+
+const SIGNATURE_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+
+// key sets older than this are fetched again, so that retired keys stop being trusted
+const KEY_SET_MAX_AGE_SECONDS = 24 * 60 * 60
+
+// unknown key ids trigger a new fetch at most this often, so that forged tokens cannot flood the endpoint
+const KEY_SET_MIN_REFRESH_SECONDS = 5 * 60
+
+// tenants configured by id, rather than by domain name or as 'common', must match the tid claim
+const TENANT_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// clock skew allowed by default when checking the lifetime of id_tokens
+const DEFAULT_CLOCK_SKEW_SECONDS = 300
+
+/**
+ * Validates the id_tokens received by a plugin.
+ */
+export default class IdTokenValidator {
+  /**
+   * @param {ActiveDirectoryPlugin} plugin  -  the plugin receiving the tokens.
+   */
+  constructor(plugin) {
+    this._plugin = plugin
+    this._keys = null
+    this._keysFetchedOn = 0
+    this._keysRequest = null
+  }
+
+  /**
+   * Checks the issuer, tenant and lifetime claims of an id_token.
+   * @param {object} claims  -  the decoded id_token payload.
+   * @returns {string} describes the first invalid claim, or null if the claims are valid.
+   */
+  validateClaims(claims) {
+    const config = this._plugin.config
+    const now = this._plugin._now()
+    const clockSkew =
+      typeof config.clockSkewSeconds === 'number'
+        ? config.clockSkewSeconds
+        : DEFAULT_CLOCK_SKEW_SECONDS
+
+    if (!claims.iss) {
+      return 'The id_token has no issuer'
+    }
+
+    // AAD issuers carry the tenant id as first path segment, like https://sts.windows.net/{tid}/
+    if (claims.tid && getIssuerTenant(claims.iss) !== claims.tid) {
+      return 'Issuer ' + claims.iss + ' does not match tenant ' + claims.tid
+    }
+
+    if (
+      TENANT_ID_REGEX.test(config.tenant || '') &&
+      (claims.tid || '').toLowerCase() !== config.tenant.toLowerCase()
+    ) {
+      return 'The id_token was issued by tenant ' + claims.tid + ' instead of ' + config.tenant
+    }
+
+    if (config.allowedTenants && !containsIgnoreCase(config.allowedTenants, claims.tid)) {
+      return 'Tenant ' + claims.tid + ' is not allowed'
+    }
+
+    if (config.validateIssuer && !config.validateIssuer(claims.tid, claims.iss)) {
+      return 'Issuer ' + claims.iss + ' is not allowed'
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp + clockSkew < now) {
+      return 'The id_token is expired'
+    }
+
+    if (typeof claims.nbf === 'number' && claims.nbf - clockSkew > now) {
+      return 'The id_token is not valid yet'
+    }
+
+    if (typeof claims.iat === 'number' && claims.iat - clockSkew > now) {
+      return 'The id_token was issued in the future'
+    }
+
+    return null
+  }
+
+  /**
+   * Checks the RS256 signature of an id_token against the signing keys of the tenant.
+   * @param {string} idToken  -  the encoded id_token.
+   * @returns {Promise} resolves if the signature is valid, rejects with an Error describing why it is not otherwise.
+   */
+  validateSignature(idToken) {
+    const plugin = this._plugin
+    const subtle = window.crypto && window.crypto.subtle
+    const decodedToken = plugin._decodeJwt(idToken)
+
+    if (!subtle) {
+      return Promise.reject(new Error('WebCrypto is required to validate id_token signatures'))
+    }
+
+    if (!decodedToken || !decodedToken.JWSSig) {
+      return Promise.reject(new Error('The id_token is not signed'))
+    }
+
+    let header
+
+    try {
+      header = JSON.parse(plugin._base64DecodeStringUrlSafe(decodedToken.header))
+    } catch (e) {
+      return Promise.reject(new Error('The id_token header could not be decoded'))
+    }
+
+    if (header.alg !== 'RS256') {
+      return Promise.reject(new Error('Unsupported id_token signing algorithm: ' + header.alg))
+    }
+
+    return this._getKey(header.kid)
+      .then((key) =>
+        subtle.verify(
+          SIGNATURE_ALGORITHM,
+          key,
+          toBytes(plugin._decode(decodedToken.JWSSig.replace(/-/g, '+').replace(/_/g, '/'))),
+          toBytes(decodedToken.header + '.' + decodedToken.JWSPayload),
+        ),
+      )
+      .then((valid) => {
+        if (!valid) {
+          throw new Error('The id_token signature is invalid')
+        }
+      })
+  }
+
+  /**
+   * Returns the key of the key set with the given key id, fetching the key set when needed.
+   * @ignore
+   */
+  _getKey(kid) {
+    const age = this._plugin._now() - this._keysFetchedOn
+    let keys
+
+    if (this._keys && age < KEY_SET_MAX_AGE_SECONDS) {
+      keys = Promise.resolve(this._keys)
+    } else {
+      keys = this._fetchKeys()
+    }
+
+    return keys
+      .then((currentKeys) => {
+        if (
+          currentKeys[kid] ||
+          this._plugin._now() - this._keysFetchedOn < KEY_SET_MIN_REFRESH_SECONDS
+        ) {
+          return currentKeys
+        }
+
+        this._plugin.info(
+          'id_token signed with unknown key ' + kid + ', fetching the key set again',
+        )
+        return this._fetchKeys()
+      })
+      .then((currentKeys) => {
+        if (!currentKeys[kid]) {
+          throw new Error('No signing key found for key id: ' + kid)
+        }
+
+        if (!currentKeys[kid].cryptoKey) {
+          const key = currentKeys[kid]
+          key.cryptoKey = window.crypto.subtle
+            .importKey(
+              'jwk',
+              { kty: 'RSA', n: key.n, e: key.e, alg: 'RS256', ext: true },
+              SIGNATURE_ALGORITHM,
+              false,
+              ['verify'],
+            )
+            .catch((err) => {
+              // imported again by the next validation
+              key.cryptoKey = null
+              throw err
+            })
+        }
+
+        return currentKeys[kid].cryptoKey
+      })
+  }
+
+  /**
+   * Fetches the key set, sharing the request with the validations waiting for it.
+   * @ignore
+   */
+  _fetchKeys() {
+    if (this._keysRequest) {
+      return this._keysRequest
+    }
+
+    const plugin = this._plugin
+    const jwksUri = plugin.config.jwksUri
+      ? Promise.resolve(plugin.config.jwksUri)
+      : plugin._getOpenIdConfiguration().then((metadata) => metadata.jwks_uri)
+
+    this._keysRequest = jwksUri
+      .then((uri) => {
+        plugin.verbose('Fetching id_token signing keys from ' + uri)
+        return plugin._fetchJson(uri)
+      })
+      .then(
+        (keySet) => {
+          const keys = {}
+          const jwks = (keySet && keySet.keys) || []
+
+          for (let i = 0; i < jwks.length; i++) {
+            if (jwks[i].kty === 'RSA' && (!jwks[i].use || jwks[i].use === 'sig')) {
+              keys[jwks[i].kid] = { n: jwks[i].n, e: jwks[i].e, cryptoKey: null }
+            }
+          }
+
+          this._keys = keys
+          this._keysFetchedOn = plugin._now()
+          this._keysRequest = null
+          return keys
+        },
+        (err) => {
+          this._keysRequest = null
+          throw new Error('The id_token signing keys could not be fetched: ' + err.message)
+        },
+      )
+
+    return this._keysRequest
+  }
+}
+
+/**
+ * Returns the first path segment of an issuer URL.
+ * @ignore
+ */
+function getIssuerTenant(issuer) {
+  const match = /^https:\/\/[^/]+\/([^/?#]+)/i.exec(issuer)
+  return match ? match[1] : null
+}
+
+/**
+ * Returns true if a list contains a value, ignoring case.
+ * @ignore
+ */
+function containsIgnoreCase(list, value) {
+  const lowerCaseValue = (value || '').toLowerCase()
+
+  for (let i = 0; i < list.length; i++) {
+    if (String(list[i]).toLowerCase() === lowerCaseValue) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Converts a binary string to a byte array.
+ * @ignore
+ */
+function toBytes(binaryString) {
+  const bytes = new Uint8Array(binaryString.length)
+
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i) & 0xff
+  }
+
+  return bytes
+}
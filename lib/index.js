@@ -6,6 +6,40 @@
 //
 //----------------------------------------------------------------------
 
+import {
+  AbortError,
+  AuthError,
+  ConsentRequiredError,
+  ERROR_CODE,
+  InteractionRequiredError,
+  PopupBlockedError,
+  ServerError,
+  StateMismatchError,
+  TimeoutError,
+} from './errors'
+import {
+  checkAuthRequirements,
+  getAuthRequirementParameters,
+  getAuthRequirements,
+} from './authRequirements'
+import Authority from './authority'
+import { getWwwAuthenticateHeader, mergeClaims, parseClaimsChallenge } from './claims'
+import EventEmitter, { EVENT } from './events'
+import IdTokenValidator from './idTokenValidator'
+import { CapacitorBrowserTransport, CordovaInAppBrowserTransport } from './interactiveTransport'
+import { createAuthFetch, createAxiosInterceptors, installXhrInterceptor } from './interceptors'
+import { createPkceCodes } from './pkce'
+import RenewalScheduler from './renewalScheduler'
+import SessionMonitor, { SESSION_CHANGE_ACTION } from './sessionMonitor'
+import {
+  AsyncStorageCache,
+  CookieStorageAdapter,
+  MemoryStorageAdapter,
+  WebStorageAdapter,
+} from './storage'
+import TabSync, { SYNC_EVENT } from './tabSync'
+import TokenCache, { TOKEN_CACHE_VERSION } from './tokenCache'
+
 let Logging = {}
 
 class ActiveDirectoryPlugin {
@@ -16,16 +50,44 @@ class ActiveDirectoryPlugin {
    *  @property {string} clientId - Client ID assigned to your app by Azure Active Directory.
    *  @property {string} redirectUri - Endpoint at which you expect to receive tokens.Defaults to `window.location.href`.
    *  @property {string} instance - Azure Active Directory Instance.Defaults to `https://login.microsoftonline.com/`.
+   *  @property {string} authority - URL of the instance and tenant, like `https://login.microsoftonline.us/contoso.onmicrosoft.com`, used instead of instance and tenant. B2C authorities also name the default user flow, like `https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin`. Defaults to 'null'.
+   *  @property {string} authorityType Either 'AAD', 'B2C' or 'ADFS'. Needed for the B2C tenants served from a custom domain. Defaults to 'B2C' for the hosts of b2clogin.com, 'ADFS' for the authorities ending with /adfs, like `https://adfs.contoso.com/adfs`, 'AAD' otherwise.
+   *  @property {string} passwordResetPolicy B2C user flow started in place of a login failing with the AADB2C90118 error, returned when the user selects "Forgot your password?". Defaults to 'null', which fails the login.
+   *  @property {Boolean} validateAuthority Only sends requests to the AAD instances of the public, US Government and China clouds, to the hosts of knownAuthorities and to the hosts confirmed by instance discovery. Defaults to `false`.
+   *  @property {Array.<string>} knownAuthorities Hosts trusted in addition to the ones of the known clouds when validateAuthority is set. Defaults to 'null'.
+   *  @property {Boolean} instanceDiscovery Asks AAD whether the other hosts are valid instances when validateAuthority is set, before {@link initialize} resolves. Disabling it rejects them. Defaults to `true`.
    *  @property {Array} endpoints - Collection of {Endpoint-ResourceId} used for automatically attaching tokens in webApi calls.
    *  @property {Boolean} popUp - Set this to true to enable login in a popup winodow instead of a full redirect.Defaults to `false`.
    *  @property {string} localLoginUrl - Set this to redirect the user to a custom login page.
    *  @property {function} displayCall - User defined function of handling the navigation to Azure AD authorization endpoint in case of login. Defaults to 'null'.
+   *  @property {InteractiveTransport} interactiveTransport - Opens the popup logins and interactive token requests outside of the webview, like {@link CapacitorBrowserTransport} does with the system browser. Defaults to 'null'.
    *  @property {string} postLogoutRedirectUri - Redirects the user to postLogoutRedirectUri after logout. Defaults is 'redirectUri'.
-   *  @property {string} cacheLocation - Sets browser storage to either 'localStorage' or sessionStorage'. Defaults to 'sessionStorage'.
+   *  @property {string} cacheLocation - Sets browser storage to either 'localStorage', 'sessionStorage', 'memoryStorage' or 'cookieStorage'. Defaults to 'sessionStorage'.
+   *  @property {StorageAdapter} storage - Custom storage used instead of cacheLocation, like Capacitor Preferences or a secure storage plugin. Defaults to 'null'.
+   *  @property {object} cookieOptions - Options of the cookies when cacheLocation is 'cookieStorage'. See {@link CookieStorageAdapter}.
    *  @property {Array.<string>} anonymousEndpoints Array of keywords or URI's. Adal will not attach a token to outgoing requests that have these keywords or uri. Defaults to 'null'.
    *  @property {number} expireOffsetSeconds If the cached token is about to be expired in the expireOffsetSeconds (in seconds), Adal will renew the token instead of using the cached token. Defaults to 300 seconds.
    *  @property {string} correlationId Unique identifier used to map the request with the response. Defaults to RFC4122 version 4 guid (128 bits).
    *  @property {number} loadFrameTimeout The number of milliseconds of inactivity before a token renewal response from AAD should be considered timed out.
+   *  @property {number} popupWidth Width of the popup window. Defaults to 483.
+   *  @property {number} popupHeight Height of the popup window. Defaults to 600.
+   *  @property {number} popupTop Distance of the popup window from the top of the screen. Defaults to centering the popup on the app window.
+   *  @property {number} popupLeft Distance of the popup window from the left of the screen. Defaults to centering the popup on the app window.
+   *  @property {number} popupTimeout The number of milliseconds after which a popup login or interactive token request without response is cancelled, or 0 to wait indefinitely. Defaults to 600000.
+   *  @property {string} flowType Either 'implicit' or 'code'. With 'code', authorization codes are requested with PKCE and redeemed at the token endpoint instead of returning tokens in the URL fragment. Defaults to 'implicit'.
+   *  @property {string} endpointVersion Either 'v1' or 'v2'. With 'v2', the Microsoft identity platform v2.0 endpoints are used and resources are replaced by lists of scopes. Defaults to 'v1'.
+   *  @property {Array.<string>} extraScopesToConsent Scopes the user is asked to consent to at login when using the v2.0 endpoint. Defaults to 'null'.
+   *  @property {Boolean} syncTabs Applies logins, logouts, account changes and acquired tokens of the other tabs of the app, which must share the cache. Defaults to `true` when cacheLocation is 'localStorage' or 'cookieStorage'.
+   *  @property {Boolean} windowEvents Also dispatches the events of the plugin on window, as CustomEvents named 'adal:' followed by the event name. See {@link EVENT}. Defaults to `false`.
+   *  @property {Boolean} validateIdTokenSignature Checks the signature of the id_tokens received against the signing keys of the tenant with WebCrypto, and rejects the responses carrying an invalid one. Defaults to `false`.
+   *  @property {Array.<string>} allowedTenants Ids of the tenants whose users are allowed to login when tenant is 'common' or 'organizations'. Defaults to 'null', which allows every tenant.
+   *  @property {function} validateIssuer Called with the tid and iss claims of the id_tokens received, returns false to reject the tokens of an issuer. Defaults to 'null'.
+   *  @property {number} clockSkewSeconds Clock skew allowed when checking the exp, nbf and iat claims of the id_tokens received. Defaults to 300 seconds.
+   *  @property {string} jwksUri URL of the signing keys used to validate id_token signatures. Defaults to the jwks_uri of the OpenID configuration of the tenant.
+   *  @property {Boolean|AutoRenewOptions} autoRenew Renews the cached tokens of the active account in the background before they expire, except in iframes and popups. See {@link startAutoRenew}. Defaults to `false`.
+   *  @property {Boolean|SessionMonitorOptions} monitorSession Checks the session of the signed in user at the authority, and emits the sessionChanged event when it changed, except in iframes and popups. See {@link startSessionMonitor}. Defaults to `false`.
+   *  @property {Array.<string>} clientCapabilities Capabilities of the app sent with every request in the claims parameter, like 'CP1' for apps handling the claims challenges of Continuous Access Evaluation. See {@link handleClaimsChallenge}. Defaults to 'null'.
+   *  @property {string} checkSessionIframeUri URL of the page checking the session. Defaults to the check_session_iframe of the OpenID configuration of the tenant.
    */
 
   /**
@@ -58,6 +120,25 @@ class ActiveDirectoryPlugin {
     this.RESPONSE_TYPE = {
       ID_TOKEN_TOKEN: 'id_token token',
       TOKEN: 'token',
+      CODE: 'code',
+    }
+
+    /**
+     * Enum for the OAuth flow used to obtain tokens
+     * @enum {string}
+     */
+    this.FLOW_TYPE = {
+      IMPLICIT: 'implicit',
+      AUTH_CODE: 'code',
+    }
+
+    /**
+     * Enum for the version of the authorization endpoints
+     * @enum {string}
+     */
+    this.ENDPOINT_VERSION = {
+      V1: 'v1',
+      V2: 'v2',
     }
 
     /**
@@ -66,12 +147,17 @@ class ActiveDirectoryPlugin {
      */
     this.CONSTANTS = {
       ACCESS_TOKEN: 'access_token',
+      CODE: 'code',
       EXPIRES_IN: 'expires_in',
+      SCOPE: 'scope',
       ID_TOKEN: 'id_token',
       ERROR_DESCRIPTION: 'error_description',
+      SUB_ERROR: 'suberror',
       SESSION_STATE: 'session_state',
       ERROR: 'error',
       STORAGE: {
+        TOKEN_CACHE: 'AD_TOKEN_CACHE',
+        // ADAL keys only read by the migration to the token cache
         TOKEN_KEYS: 'AD_TOKEN_KEYS',
         ACCESS_TOKEN_KEY: 'AD_ACCESS_TOKEN_KEY',
         EXPIRATION_KEY: 'AD_EXPIRATION_KEY',
@@ -81,14 +167,25 @@ class ActiveDirectoryPlugin {
         SESSION_STATE: 'AD_SESSION_STATE',
         USERNAME: 'AD_USERNAME',
         IDTOKEN: 'AD_IDTOKEN',
+        ACCOUNTS: 'AD_ACCOUNTS',
+        ACTIVE_ACCOUNT: 'AD_ACTIVE_ACCOUNT',
         ERROR: 'AD_ERROR',
         ERROR_DESCRIPTION: 'AD_ERROR_DESCRIPTION',
         LOGIN_REQUEST: 'AD_LOGIN_REQUEST',
         LOGIN_ERROR: 'AD_LOGIN_ERROR',
         RENEW_STATUS: 'AD_TOKEN_RENEW_STATUS',
         ANGULAR_LOGIN_REQUEST: 'AD_ANGULAR_LOGIN_REQUEST',
+        CODE_VERIFIER: 'AD_CODE_VERIFIER',
+        AUTH_REQUIREMENTS: 'AD_AUTH_REQUIREMENTS',
+        POLICY: 'AD_POLICY',
+      },
+      STORAGE_PREFIX: 'AD_',
+      CACHE_LOCATION: {
+        LOCAL_STORAGE: 'localStorage',
+        SESSION_STORAGE: 'sessionStorage',
+        MEMORY_STORAGE: 'memoryStorage',
+        COOKIE_STORAGE: 'cookieStorage',
       },
-      RESOURCE_DELIMETER: '|',
       CACHE_DELIMETER: '||',
       LOADFRAME_TIMEOUT: 6000,
       TOKEN_RENEW_STATUS_CANCELED: 'Canceled',
@@ -106,8 +203,12 @@ class ActiveDirectoryPlugin {
         2: 'INFO:',
         3: 'VERBOSE:',
       },
+      OIDC_SCOPES: ['openid', 'profile'],
+      B2C_PASSWORD_RESET_ERROR: 'AADB2C90118',
       POPUP_WIDTH: 483,
       POPUP_HEIGHT: 600,
+      POPUP_TIMEOUT: 600000,
+      POPUP_POLL_INTERVAL: 50,
       DEFAULT_EXPIRATION_TIME: 8640000,
     }
 
@@ -126,6 +227,13 @@ class ActiveDirectoryPlugin {
     this._callBackMappedToRenewStates = {}
     this._callBacksMappedToRenewStates = {}
     this._openedWindows = []
+    this._interaction = null
+    this._renewalScheduler = null
+    this._sessionMonitor = null
+    this._openIdConfiguration = null
+    this._tabSync = null
+    this._idTokenValidator = new IdTokenValidator(this)
+    this._events = new EventEmitter((error) => this.warn('Error in event listener: ' + error))
     this._requestType = this.REQUEST_TYPE.LOGIN
     window._adalInstance = this
 
@@ -134,12 +242,50 @@ class ActiveDirectoryPlugin {
       throw new Error('displayCall is not a function')
     }
 
+    if (config.validateIssuer && typeof config.validateIssuer !== 'function') {
+      throw new Error('validateIssuer is not a function')
+    }
+
     if (!config.clientId) {
       throw new Error('clientId is required')
     }
 
+    if (
+      config.storage &&
+      (typeof config.storage.getItem !== 'function' ||
+        typeof config.storage.setItem !== 'function' ||
+        typeof config.storage.removeItem !== 'function' ||
+        typeof config.storage.keys !== 'function')
+    ) {
+      throw new Error('storage must implement getItem, setItem, removeItem and keys')
+    }
+
+    if (
+      config.flowType &&
+      config.flowType !== this.FLOW_TYPE.IMPLICIT &&
+      config.flowType !== this.FLOW_TYPE.AUTH_CODE
+    ) {
+      throw new Error('flowType must be either implicit or code')
+    }
+
+    if (
+      config.endpointVersion &&
+      config.endpointVersion !== this.ENDPOINT_VERSION.V1 &&
+      config.endpointVersion !== this.ENDPOINT_VERSION.V2
+    ) {
+      throw new Error('endpointVersion must be either v1 or v2')
+    }
+
     this.config = this._cloneConfig(config)
 
+    if (!this.config.flowType) {
+      this.config.flowType = this.FLOW_TYPE.IMPLICIT
+    }
+
+    if (!this.config.endpointVersion) {
+      this.config.endpointVersion = this.ENDPOINT_VERSION.V1
+    }
+
     if (this.config.navigateToLoginRequestUrl === undefined)
       this.config.navigateToLoginRequestUrl = true
 
@@ -152,11 +298,36 @@ class ActiveDirectoryPlugin {
       this.instance = this.config.instance
     }
 
+    // every endpoint URL is built from the validated authority
+    this._authority = new Authority(
+      this.config.authority ||
+        this.instance.replace(/\/?$/, '/') + (this.config.tenant || 'common'),
+      {
+        validate: this.config.validateAuthority,
+        knownAuthorities: this.config.knownAuthorities,
+        instanceDiscovery: this.config.instanceDiscovery,
+        type: this.config.authorityType,
+      },
+    )
+    this.instance = this._authority.instance
+
+    // B2C only serves the v2.0 endpoints
+    if (this._authority.isB2C()) {
+      this.config.endpointVersion = this.ENDPOINT_VERSION.V2
+    }
+
+    if (this.config.authority) {
+      this.config.tenant = this._authority.tenant
+    }
+
     // App can request idtoken for itself using clientid as resource
     if (!this.config.loginResource) {
       this.config.loginResource = this.config.clientId
     }
 
+    // with the v2.0 endpoint resources are scope sets, which are cached by their normalized form
+    this.config.loginResource = this._normalizeResource(this.config.loginResource)
+
     // redirect and logout_redirect are set to current location by default
     if (!this.config.redirectUri) {
       // strip off query parameters or hashes from the redirect uri as AAD does not allow those.
@@ -175,17 +346,238 @@ class ActiveDirectoryPlugin {
     if (this.config.loadFrameTimeout) {
       this.CONSTANTS.LOADFRAME_TIMEOUT = this.config.loadFrameTimeout
     }
+
+    if (this.config.popupWidth) {
+      this.CONSTANTS.POPUP_WIDTH = this.config.popupWidth
+    }
+
+    if (this.config.popupHeight) {
+      this.CONSTANTS.POPUP_HEIGHT = this.config.popupHeight
+    }
+
+    if (typeof this.config.popupTimeout === 'number') {
+      this.CONSTANTS.POPUP_TIMEOUT = this.config.popupTimeout
+    }
+
+    this._storage = this._createStorage()
+    this._tokenCache = new TokenCache(
+      this._storage,
+      this.CONSTANTS.STORAGE.TOKEN_CACHE,
+      (message) => this.warn(message),
+    )
+
+    // asynchronous storages are migrated once loaded by initialize()
+    if (!this._storage.load) {
+      this._migrateLegacyCache()
+    }
+
+    if (this.config.syncTabs === undefined) {
+      // other tabs only see the same cache with these locations
+      this.config.syncTabs =
+        !this.config.storage &&
+        (this.config.cacheLocation === this.CONSTANTS.CACHE_LOCATION.LOCAL_STORAGE ||
+          this.config.cacheLocation === this.CONSTANTS.CACHE_LOCATION.COOKIE_STORAGE)
+    }
+
+    if (this.config.syncTabs) {
+      this._tabSync = new TabSync('AD_SYNC_' + this.config.clientId, (message) =>
+        this._handleSyncMessage(message),
+      )
+      this._tabSync.start()
+    }
+
+    // instances created in the hidden iframes and popups of the requests only handle their response
+    if ((this.config.autoRenew || this.config.monitorSession) && !this._isInFrameOrPopup()) {
+      this.initialize()
+        .then(() => {
+          if (this.config.autoRenew) {
+            this.startAutoRenew(
+              typeof this.config.autoRenew === 'object' ? this.config.autoRenew : {},
+            )
+          }
+
+          if (this.config.monitorSession) {
+            this.startSessionMonitor(
+              typeof this.config.monitorSession === 'object' ? this.config.monitorSession : {},
+            )
+          }
+        })
+        .catch((err) =>
+          this.error('Failed to start the background renewals and session checks', err),
+        )
+    }
+  }
+
+  /**
+   * Loads the cache from the storage, and validates the authority with instance discovery when its host is not trusted
+   * yet. Must complete before using the plugin when the configured storage is asynchronous or the authority needs
+   * instance discovery, the promise based methods wait for it on their own.
+   * @returns {Promise} resolves once the cache is available and the authority is trusted.
+   */
+  initialize() {
+    const discovery = this._discoverAuthority()
+
+    if (!this._storage.load) {
+      return discovery
+    }
+
+    return discovery.then(() => this._storage.load()).then(() => this._migrateLegacyCache())
+  }
+
+  /**
+   * Moves the tokens cached by ADAL under separate keys into the token cache.
+   * @ignore
+   */
+  _migrateLegacyCache() {
+    let keys
+
+    try {
+      keys = this._storage.keys()
+    } catch (e) {
+      this.warn('Error listing cache items: ' + e.message)
+      return
+    }
+
+    const tokenKeyPrefix = this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY
+    const expirationKeyPrefix = this.CONSTANTS.STORAGE.EXPIRATION_KEY
+    const legacyKeys = keys.filter(
+      (key) =>
+        key === this.CONSTANTS.STORAGE.TOKEN_KEYS ||
+        key.indexOf(tokenKeyPrefix) === 0 ||
+        key.indexOf(expirationKeyPrefix) === 0,
+    )
+
+    if (legacyKeys.length === 0) {
+      return
+    }
+
+    this.info('Migrating cached tokens to token cache version ' + TOKEN_CACHE_VERSION)
+    const profile = this._extractIdToken(this._getItem(this.CONSTANTS.STORAGE.IDTOKEN))
+
+    for (let i = 0; i < legacyKeys.length; i++) {
+      if (legacyKeys[i].indexOf(tokenKeyPrefix) === 0) {
+        const resource = legacyKeys[i].substring(tokenKeyPrefix.length)
+        const token = this._getItem(legacyKeys[i])
+        const expiresOn = parseInt(this._getItem(expirationKeyPrefix + resource), 10)
+
+        if (token && !isNaN(expiresOn) && !this._tokenCache.getEntry(resource)) {
+          const tokenType =
+            resource === this.config.loginResource
+              ? this.CONSTANTS.ID_TOKEN
+              : this.CONSTANTS.ACCESS_TOKEN
+          this._tokenCache.setEntry(
+            this._createCacheEntry(resource, token, expiresOn, tokenType, profile, null),
+          )
+        }
+      }
+
+      this._removeItem(legacyKeys[i])
+    }
+  }
+
+  /**
+   * Creates a token cache entry. The tenant and account are read from the given id_token claims.
+   * @ignore
+   */
+  _createCacheEntry(resource, token, expiresOn, tokenType, profile, grantedScopes) {
+    let scopes = []
+
+    if (grantedScopes) {
+      scopes = String(grantedScopes)
+        .split(' ')
+        .filter((scope) => scope !== '')
+    } else if (this._isV2Endpoint() && !this._isEmpty(resource)) {
+      scopes = resource.split(' ')
+    }
+
+    const authClaims = this._getAuthClaims(token, profile)
+
+    return {
+      resource,
+      token,
+      tokenType,
+      expiresOn: parseInt(expiresOn, 10),
+      tenantId: (profile && profile.tid) || null,
+      accountId: (profile && (profile.oid || profile.sub)) || null,
+      scopes,
+      authTime: authClaims.authTime,
+      acr: authClaims.acr,
+      acrs: authClaims.acrs,
+      amr: authClaims.amr,
+      policy: this._getTokenPolicy(token, profile),
+    }
   }
 
+  /**
+   * Options of logins.
+   *  @class LoginOptions
+   *  @property {AbortSignal} signal - aborts the login, which then fails with an {@link AbortError}.
+   *  @property {number} maxAge - maximum number of seconds since the user last signed in, sent as max_age. A user who signed in earlier is asked to sign in again. Checked against the auth_time claim, an optional claim of the app registration.
+   *  @property {string|Array.<string>} acrValues - authentication context class references, sent as acr_values, and to Azure AD as the acrs claim of a claims request, like the 'c1' authentication context of a Conditional Access policy. The acr or acrs claim of the id_token must be one of them.
+   *  @property {Boolean} requireMfa - requires the user to sign in with multi-factor authentication, checked against the amr claim. Sent as amr_values to AD FS only, Azure AD requires it through Conditional Access, like for an authentication context of acrValues.
+   *  @property {string} policy - B2C user flow of the login, like 'B2C_1_edit_profile'. Defaults to the user flow of the authority.
+   */
+
   /**
    * Initiates the login process by redirecting the user to Azure AD authorization endpoint.
+   * @param {LoginOptions} [options]  -  Options of the login.
+   */
+  login(options) {
+    // without a callback, failures are only reported by getLoginError
+    const callback =
+      this.callback ||
+      ((errorDesc) => {
+        if (errorDesc) {
+          this._saveItem(this.CONSTANTS.STORAGE.LOGIN_ERROR, errorDesc)
+        }
+      })
+
+    this._login(callback, false, options)
+  }
+
+  /**
+   * Initiates the login process in a popup window.
+   * @param {LoginOptions} [options]  -  Options of the login.
+   * @returns {Promise.<AuthResult>} resolves with the id_token once the user is logged in, rejects with an {@link AuthError} otherwise.
+   */
+  loginPopupAsync(options) {
+    return this.initialize().then(
+      () =>
+        new Promise((resolve, reject) => {
+          if (this._loginInProgress) {
+            this.info('Login in progress')
+            reject(new AuthError(ERROR_CODE.LOGIN_IN_PROGRESS, 'Login in progress'))
+            return
+          }
+
+          this._login(
+            this._createPromiseCallback(this.config.loginResource, resolve, reject),
+            true,
+            options,
+          )
+        }),
+    )
+  }
+
+  /**
+   * Starts the login with the given callback. Popups are used if configured, or when forcePopup is set.
+   * @ignore
    */
-  login() {
+  _login(callback, forcePopup, options) {
     if (this._loginInProgress) {
       this.info('Login in progress')
       return
     }
 
+    if (options && options.signal) {
+      if (options.signal.aborted) {
+        this._failAbortedRequest(callback)
+        return
+      }
+
+      callback = this._bindAbortSignal(options.signal, callback)
+    }
+
     this._loginInProgress = true
 
     // Token is not present and user needs to login
@@ -207,17 +599,35 @@ class ActiveDirectoryPlugin {
     this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce, true)
     this._saveItem(this.CONSTANTS.STORAGE.ERROR, '')
     this._saveItem(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '')
-    const urlNavigate =
-      this._getNavigateUrl('id_token', null) + '&nonce=' + encodeURIComponent(this._idTokenNonce)
+    const loginUrl = this._tryGetNavigateUrl(
+      'id_token',
+      null,
+      options && options.policy,
+      expectedState,
+      callback,
+    )
+
+    if (!loginUrl) {
+      this._loginInProgress = false
+      return
+    }
+
+    let urlNavigate = this._addClaimsParameter(loginUrl, null, options)
+    urlNavigate = this._addAuthRequirementParameters(urlNavigate, options)
+    urlNavigate += '&nonce=' + encodeURIComponent(this._idTokenNonce)
+    this._emit(EVENT.LOGIN_START, {
+      correlationId: this._getCorrelationId(expectedState),
+      resource: this.config.loginResource,
+    })
 
-    if (this.config.displayCall) {
+    if (this.config.displayCall && !forcePopup) {
       // User defined way of handling the navigation
       this.config.displayCall(urlNavigate)
-    } else if (this.popUp) {
+    } else if (this.popUp || forcePopup) {
       this._saveItem(this.CONSTANTS.STORAGE.STATE_LOGIN, '') // so requestInfo does not match redirect case
       this._renewStates.push(expectedState)
-      this.registerCallback(expectedState, this.config.clientId, this.callback)
-      this._loginPopup(urlNavigate)
+      this.registerCallback(expectedState, this.config.clientId, callback)
+      this._loginPopup(urlNavigate, null, callback)
     } else {
       this.promptUser(urlNavigate)
     }
@@ -240,53 +650,29 @@ class ActiveDirectoryPlugin {
        * window.innerWidth displays browser window's height and width excluding toolbars
        * using document.documentElement.clientWidth for IE8 and earlier
        */
-      const isCordova = !!window.cordova
       const width =
         window.innerWidth || document.documentElement.clientWidth || document.body.clientWidth
       const height =
         window.innerHeight || document.documentElement.clientHeight || document.body.clientHeight
-      const left = width / 2 - popUpWidth / 2 + winLeft
-      const top = height / 2 - popUpHeight / 2 + winTop
-
-      // Enable in app browser in order to prevent redirect fails
-      const openWindow = isCordova ? window.cordova.InAppBrowser.open : window.open
-      const that = this
-
-      const popupWindow = openWindow(
+      const left =
+        typeof this.config.popupLeft === 'number'
+          ? this.config.popupLeft
+          : width / 2 - popUpWidth / 2 + winLeft
+      const top =
+        typeof this.config.popupTop === 'number'
+          ? this.config.popupTop
+          : height / 2 - popUpHeight / 2 + winTop
+
+      const popupWindow = window.open(
         urlNavigate,
         title,
         'width=' + popUpWidth + ', height=' + popUpHeight + ', top=' + top + ', left=' + left,
       )
 
-      if (popupWindow.focus && !isCordova) {
+      if (popupWindow && popupWindow.focus) {
         popupWindow.focus()
       }
 
-
-      if(isCordova){
-        popupWindow.addEventListener('loadstart', function(event) { 
-          console.log('Accessing ', event)
-          const eventURL = new URL(event.url)
-          const eventURLHostname = eventURL.hostname
-
-          if(event && event.url && eventURLHostname === 'localhost') {
-            // window.location.href = event.url
-            that.handleWindowCallback(event.url.split('#')[1])
-            that._loginInProgress = false
-            that._acquireTokenInProgress = false
-            that.info('Closing popup window')
-            that._openedWindows = []
-            popupWindow.close()
-            return
-          }
-          // var urlSuccessPage = "http://myloginapp/success/";
-          // if (event.url == urlSuccessPage) {
-          // ref.close();    
-          //}
-        });
-      }
-   
-
       return popupWindow
     } catch (e) {
       this.warn('Error opening popup, ' + e.message)
@@ -296,21 +682,67 @@ class ActiveDirectoryPlugin {
     }
   }
 
+  /**
+   * Returns the transport opening interactive requests outside of the webview: the configured one, or the Cordova
+   * in-app browser when available.
+   * @ignore
+   */
+  _getInteractiveTransport() {
+    if (this.config.interactiveTransport) {
+      return this.config.interactiveTransport
+    }
+
+    if (window.cordova && window.cordova.InAppBrowser) {
+      return new CordovaInAppBrowserTransport()
+    }
+
+    return null
+  }
+
   _handlePopupError(loginCallback, resource, error, errorDesc, loginError) {
     this.warn(errorDesc)
     this._saveItem(this.CONSTANTS.STORAGE.ERROR, error)
     this._saveItem(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, errorDesc)
     this._saveItem(this.CONSTANTS.STORAGE.LOGIN_ERROR, loginError)
 
-    if (resource && this._activeRenewals[resource]) {
-      this._activeRenewals[resource] = null
+    const renewalKey = resource ? this._findRenewalKey(this.config.state) : null
+
+    if (renewalKey !== null) {
+      this._activeRenewals[renewalKey] = null
     }
 
     this._loginInProgress = false
     this._acquireTokenInProgress = false
+    this._emit(resource ? EVENT.ACQUIRE_TOKEN_FAILURE : EVENT.LOGIN_FAILURE, {
+      correlationId: this._getCorrelationId(this.config.state),
+      resource: resource || this.config.loginResource,
+      account: resource ? this._user : null,
+      error,
+      errorDesc,
+    })
 
-    if (loginCallback) {
-      loginCallback(errorDesc, null, error)
+    // requests waiting for the same token, like the ones of the interceptors, fail along with the caller
+    const state = this.config.state
+    const waitingCallbacks = this._callBacksMappedToRenewStates[state] || []
+    const callbacks =
+      waitingCallbacks.indexOf(loginCallback) > -1
+        ? waitingCallbacks
+        : [loginCallback].concat(waitingCallbacks)
+    const authError = AuthError.fromCallback(errorDesc, error, {
+      correlationId: this._getCorrelationId(state),
+    })
+
+    this._callBacksMappedToRenewStates[state] = null
+    this._callBackMappedToRenewStates[state] = null
+
+    for (let i = 0; i < callbacks.length; i++) {
+      if (callbacks[i]) {
+        try {
+          callbacks[i](errorDesc, null, error, null, authError)
+        } catch (err) {
+          this.warn(err)
+        }
+      }
     }
   }
 
@@ -320,7 +752,12 @@ class ActiveDirectoryPlugin {
    * @ignore
    */
   _loginPopup(urlNavigate, resource, callback) {
-    const isCordova = !!window.cordova
+    const transport = this._getInteractiveTransport()
+
+    if (transport) {
+      this._openInteractiveTransport(transport, urlNavigate, resource, callback)
+      return
+    }
 
     const popupWindow = this._openPopup(
       urlNavigate,
@@ -330,130 +767,483 @@ class ActiveDirectoryPlugin {
     )
     const loginCallback = callback || this.callback
 
-    if (popupWindow == null) {
+    // blockers either keep window.open from returning the popup, or close it right away
+    if (!popupWindow || popupWindow.closed || popupWindow.closed === undefined) {
       const error = 'Error opening popup'
-      const errorDesc = 'Popup Window is null. This can happen if you are using IE'
+      const errorDesc =
+        'Popup window was blocked by the browser. Open it from a user action, like a click.'
       this._handlePopupError(loginCallback, resource, error, errorDesc, errorDesc)
       return
     }
 
     this._openedWindows.push(popupWindow)
+    this._emit(EVENT.POPUP_OPENED, {
+      correlationId: this._getCorrelationId(this.config.state),
+      resource: resource || this.config.loginResource,
+    })
 
-    if (this.config.redirectUri.indexOf('#') != -1) {
-      var registeredRedirectUri = this.config.redirectUri.split('#')[0]
-    } else {
-      var registeredRedirectUri = this.config.redirectUri
-    }
-
+    const registeredRedirectUri = this.config.redirectUri.split('#')[0]
     const that = this
+    let pollTimer = null
 
-    if(!isCordova){
-    const pollTimer = window.setInterval(() => {
-        if (!popupWindow || popupWindow.closed || popupWindow.closed === undefined) {
-          const error = 'Popup Window closed'
-          const errorDesc =
-            'Popup Window closed by UI action/ Popup Window handle destroyed due to cross zone navigation in IE/Edge'
+    const interaction = this._startInteraction(resource, loginCallback, () => {
+      window.clearInterval(pollTimer)
+      that._openedWindows = []
+      popupWindow.close()
+    })
 
-          that._handlePopupError(loginCallback, resource, error, errorDesc, errorDesc)
-          window.clearInterval(pollTimer)
-          return
+    pollTimer = window.setInterval(() => {
+      if (!popupWindow || popupWindow.closed || popupWindow.closed === undefined) {
+        interaction.fail(
+          'Popup Window closed',
+          'Popup Window closed by UI action/ Popup Window handle destroyed due to cross zone navigation in IE/Edge',
+        )
+        return
+      }
+      try {
+        const popUpWindowLocation = popupWindow.location
+        if (encodeURI(popUpWindowLocation.href).indexOf(encodeURI(registeredRedirectUri)) != -1) {
+          // the response is handled before closing, as it is looked up from the opened windows
+          that.handleWindowCallback(popUpWindowLocation.hash)
+          that.info('Closing popup window')
+          interaction.finish()
         }
-        try {
-          const popUpWindowLocation = popupWindow.location
-          if (encodeURI(popUpWindowLocation.href).indexOf(encodeURI(registeredRedirectUri)) != -1) {
-            that.handleWindowCallback(popUpWindowLocation.hash)
-
-            window.clearInterval(pollTimer)
-            that._loginInProgress = false
-            that._acquireTokenInProgress = false
-            that.info('Closing popup window')
-            that._openedWindows = []
-            popupWindow.close()
-            return
-          }
-        } catch (e) {}
-      }, 1)
-    }
-  
+      } catch (e) {}
+    }, this.CONSTANTS.POPUP_POLL_INTERVAL)
   }
 
-  _broadcast(eventName, data) {
-    // Custom Event is not supported in IE, below IIFE will polyfill the CustomEvent() constructor functionality in Internet Explorer 9 and higher
-    ;(() => {
-      if (typeof window.CustomEvent === 'function') {
-        return false
-      }
+  /**
+   * Tracks the popup login or interactive token request in progress, so that it can time out or be cancelled.
+   * @param {string} resource  -  the resource of the request, or null for logins.
+   * @param {function} loginCallback  -  the callback of the request.
+   * @param {function} close  -  closes the window of the request.
+   * @returns {{state: string, finish: function, fail: function}} finish() closes the window once the response is
+   * received, fail(error, errorDesc) closes it and fails the request. Both return false if the request was already
+   * finished.
+   * @ignore
+   */
+  _startInteraction(resource, loginCallback, close) {
+    let finished = false
+    let timeoutTimer = null
+
+    const interaction = {
+      state: this.config.state,
+      finish: () => {
+        if (finished) {
+          return false
+        }
 
-      function CustomEvent(event, params) {
-        params = params || {
-          bubbles: false,
-          cancelable: false,
-          detail: undefined,
+        finished = true
+        window.clearTimeout(timeoutTimer)
+        this._loginInProgress = false
+        this._acquireTokenInProgress = false
+
+        if (this._interaction === interaction) {
+          this._interaction = null
         }
-        const evt = document.createEvent('CustomEvent')
-        evt.initCustomEvent(event, params.bubbles, params.cancelable, params.detail)
-        return evt
-      }
 
-      CustomEvent = window.Event
-      window.CustomEvent = CustomEvent
-    })()
+        close()
+        return true
+      },
+      fail: (error, errorDesc) => {
+        if (!interaction.finish()) {
+          return false
+        }
 
-    const evt = new CustomEvent(eventName, {
-      detail: data,
-    })
-    window.dispatchEvent(evt)
+        this._emit(EVENT.POPUP_CLOSED, {
+          correlationId: this._getCorrelationId(this.config.state),
+          resource: resource || this.config.loginResource,
+        })
+        this._handlePopupError(loginCallback, resource, error, errorDesc, errorDesc)
+        return true
+      },
+    }
+
+    if (this.CONSTANTS.POPUP_TIMEOUT > 0) {
+      timeoutTimer = window.setTimeout(() => {
+        interaction.fail(
+          'Popup Window timed out',
+          'No response received within ' + this.CONSTANTS.POPUP_TIMEOUT / 1000 + ' seconds',
+        )
+      }, this.CONSTANTS.POPUP_TIMEOUT)
+    }
+
+    this._interaction = interaction
+    return interaction
   }
 
-  loginInProgress() {
-    return this._loginInProgress
+  /**
+   * Cancels the popup login or interactive token request in progress. Its window is closed, and its callbacks fail with
+   * a 'user_cancelled' error.
+   * @returns {Boolean} true if a request was in progress.
+   */
+  cancelInteraction() {
+    if (!this._interaction) {
+      return false
+    }
+
+    this.info('Cancelling the interactive request in progress')
+    return this._interaction.fail('Popup Window closed', 'Interactive request cancelled by the app')
   }
 
   /**
-   * Checks for the resource in the cache. By default, cache location is Session Storage
+   * Opens the authorize URL with an interactive transport, and handles the redirect it reports like the response of a
+   * popup.
    * @ignore
-   * @returns {Boolean} 'true' if login is in progress, else returns 'false'.
    */
-  _hasResource(key) {
-    const keys = this._getItem(this.CONSTANTS.STORAGE.TOKEN_KEYS)
+  _openInteractiveTransport(transport, urlNavigate, resource, callback) {
+    const loginCallback = callback || this.callback
+    const correlationId = this._getCorrelationId(this.config.state)
+    const interaction = this._startInteraction(resource, loginCallback, () => transport.close())
+
+    const handlers = {
+      onRedirect: (url) => {
+        const response = this._isRedirectUrl(url) ? this._getResponseFromUrl(url) : null
+
+        if (!response || !interaction.finish()) {
+          this.verbose('Ignoring URL which is not a response to the redirect uri')
+          return false
+        }
+
+        this.info('Received the redirect from the interactive transport')
+        const requestInfo = this.getRequestInfo(response)
+        this._handleResponse(
+          requestInfo,
+          this._callBackMappedToRenewStates[requestInfo.stateResponse],
+          true,
+          null,
+        )
+        return true
+      },
+      onCancel: (errorDesc) => {
+        interaction.fail('Popup Window closed', errorDesc)
+      },
+    }
+
+    Promise.resolve()
+      .then(() => transport.open(urlNavigate, handlers))
+      .then(
+        () => {
+          this._emit(EVENT.POPUP_OPENED, {
+            correlationId,
+            resource: resource || this.config.loginResource,
+          })
+        },
+        (err) => {
+          if (!interaction.finish()) {
+            return
+          }
+
+          const error = 'Error opening popup'
+          const errorDesc = 'Interactive transport could not be opened: ' + (err && err.message)
+          this._handlePopupError(loginCallback, resource, error, errorDesc, errorDesc)
+        },
+      )
+  }
+
+  /**
+   * Returns true if a URL has the scheme, host and path of the redirect uri. Scheme and host are compared ignoring case,
+   * and a trailing slash of the path is ignored, so that 'capacitor://localhost' matches 'capacitor://localhost/#...'.
+   * @param {string} url
+   * @param {string} [redirectUri]  -  defaults to the redirectUri of the config.
+   * @ignore
+   */
+  _isRedirectUrl(url, redirectUri = this.config.redirectUri) {
+    const actual = this._parseUrl(url)
+    const expected = this._parseUrl(redirectUri)
+
     return (
-      keys && !this._isEmpty(keys) && keys.indexOf(key + this.CONSTANTS.RESOURCE_DELIMETER) > -1
+      !!actual &&
+      !!expected &&
+      actual.scheme === expected.scheme &&
+      actual.host === expected.host &&
+      actual.path === expected.path
     )
   }
 
   /**
-   * Gets token for the specified resource from the cache.
-   * @param {string}   resource A URI that identifies the resource for which the token is requested.
-   * @returns {string} token if if it exists and not expired, otherwise null.
+   * Splits a URL, including URLs with a custom scheme, into its lower case scheme and host, and its path without
+   * trailing slash.
+   * @ignore
    */
-  getCachedToken(resource = '') {
-    const token = this._getItem(this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + resource) || ''
-    const expiry = this._getItem(this.CONSTANTS.STORAGE.EXPIRATION_KEY + resource)
-
-    // If expiration is within offset, it will force renew
-    const offset = this.config.expireOffsetSeconds || 300
+  _parseUrl(url) {
+    const match = /^([a-z][a-z0-9+.-]*):(?:\/\/([^/?#]*))?([^?#]*)/i.exec(String(url))
 
-    if (expiry && expiry > this._now() + offset) {
-      return token
-    } else {
-      this._saveItem(this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + resource, '')
-      this._saveItem(
-        this.CONSTANTS.STORAGE.EXPIRATION_KEY + resource,
-        this._now() + this.CONSTANTS.DEFAULT_EXPIRATION_TIME,
-      )
+    if (!match) {
       return null
     }
+
+    return {
+      scheme: match[1].toLowerCase(),
+      host: (match[2] || '').toLowerCase(),
+      path: match[3].replace(/\/+$/, ''),
+    }
   }
 
   /**
-   * User information from idtoken.
-   *  @class User
-   *  @property {string} userName - username assigned from upn or email.
-   *  @property {object} profile - properties parsed from idtoken.
+   * Returns the parameters of the response carried by a redirect URL, in its fragment or in its query.
+   * @returns {string} the parameters, or null if the URL carries no response.
+   * @ignore
    */
+  _getResponseFromUrl(url) {
+    const fragmentStart = url.indexOf('#')
+    const queryStart = url.indexOf('?')
+    const fragment = fragmentStart > -1 ? url.substring(fragmentStart) : ''
+    const query =
+      queryStart > -1 && (fragmentStart === -1 || queryStart < fragmentStart)
+        ? url.substring(queryStart + 1, fragmentStart > -1 ? fragmentStart : url.length)
+        : ''
+
+    if (this.isCallback(fragment)) {
+      return fragment
+    }
+
+    return this.isCallback(query) ? query : null
+  }
 
   /**
-   * If user object exists, returns it. Else creates a new user object by decoding id_token from the cache.
+   * Adds a listener for an event of the plugin.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} listener  -  called with an {@link AuthEvent}.
+   * @returns {function} removes the listener.
+   */
+  on(eventName, listener) {
+    return this._events.on(eventName, listener)
+  }
+
+  /**
+   * Adds a listener for the next occurrence of an event of the plugin.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} listener  -  called with an {@link AuthEvent}.
+   * @returns {function} removes the listener.
+   */
+  once(eventName, listener) {
+    return this._events.once(eventName, listener)
+  }
+
+  /**
+   * Removes a listener, or all the listeners of an event if no listener is given.
+   * @param {string} eventName  -  one of {@link EVENT}.
+   * @param {function} [listener]  -  the listener passed to on or once.
+   */
+  off(eventName, listener) {
+    this._events.off(eventName, listener)
+  }
+
+  /**
+   * Emits an event to the listeners, and on window when windowEvents is enabled.
+   * @ignore
+   */
+  _emit(eventName, data) {
+    const event = Object.assign(
+      {
+        type: eventName,
+        correlationId: this._getCorrelationId(null),
+        resource: null,
+        account: null,
+        error: null,
+        errorDesc: null,
+      },
+      data,
+    )
+
+    this.verbose('Emitting event ' + eventName)
+    this._events.emit(eventName, event)
+
+    if (this.config.windowEvents) {
+      this._broadcast('adal:' + eventName, event)
+    }
+  }
+
+  /**
+   * Returns the correlation id of a request, sent as client-request-id. Unless one is configured, it is the guid of
+   * the state, so that the response can be correlated with the request even after a redirect.
+   * @ignore
+   */
+  _getCorrelationId(state) {
+    if (this.config.correlationId) {
+      return this.config.correlationId
+    }
+
+    return state ? state.split('|')[0] : this._guid()
+  }
+
+  /**
+   * Dispatches a CustomEvent on window.
+   * @ignore
+   */
+  _broadcast(eventName, data) {
+    // Custom Event is not supported in IE, below IIFE will polyfill the CustomEvent() constructor functionality in Internet Explorer 9 and higher
+    ;(() => {
+      if (typeof window.CustomEvent === 'function') {
+        return false
+      }
+
+      function CustomEvent(event, params) {
+        params = params || {
+          bubbles: false,
+          cancelable: false,
+          detail: undefined,
+        }
+        const evt = document.createEvent('CustomEvent')
+        evt.initCustomEvent(event, params.bubbles, params.cancelable, params.detail)
+        return evt
+      }
+
+      CustomEvent = window.Event
+      window.CustomEvent = CustomEvent
+    })()
+
+    const evt = new CustomEvent(eventName, {
+      detail: data,
+    })
+    window.dispatchEvent(evt)
+  }
+
+  loginInProgress() {
+    return this._loginInProgress
+  }
+
+  /**
+   * Checks for the resource in the cache. By default, cache location is Session Storage
+   * @ignore
+   * @returns {Boolean} 'true' if a token is cached for the resource, else returns 'false'.
+   */
+  _hasResource(key) {
+    return !!this._tokenCache.getEntry(key)
+  }
+
+  /**
+   * Gets token for the specified resource from the cache.
+   * With the v2.0 endpoint, a token cached for a superset of the requested scopes is returned as well.
+   * @param {string|Array.<string>}   resource A URI that identifies the resource, or the scopes, for which the token is requested.
+   * @param {User}   account The account of the token. Defaults to the active account, without one only the tokens
+   * acquired without a signed in user are returned.
+   * @param {TokenRequestOptions} [options] Tokens not meeting the maxAge, acrValues and requireMfa options are ignored, as are
+   * the tokens of other B2C user flows than policy.
+   * @returns {string} token if if it exists and not expired, otherwise null.
+   */
+  getCachedToken(resource = '', account, options) {
+    resource = this._normalizeResource(resource)
+    const policy = this._getRequestPolicy(options)
+    // without an account, only the tokens acquired without one (with a login_hint) can be returned
+    const cacheAccount =
+      this._getCacheAccount(account || this._user, policy) || this._getAnonymousCacheAccount(policy)
+    const entry = this._tokenCache.getEntry(resource, cacheAccount)
+    const requirements = getAuthRequirements(options)
+
+    // If expiration is within offset, it will force renew
+    const offset = this.config.expireOffsetSeconds || 300
+    const isExpired = !!entry && entry.expiresOn <= this._now() + offset
+
+    if (entry && !isExpired && this._meetsAuthRequirements(entry, requirements)) {
+      return entry.token
+    } else {
+      if (this._isV2Endpoint() && !this._isEmpty(resource)) {
+        const supersetToken = this._getCachedTokenForScopes(
+          resource,
+          offset,
+          cacheAccount,
+          requirements,
+        )
+
+        if (supersetToken) {
+          return supersetToken
+        }
+      }
+
+      if (isExpired) {
+        this._tokenCache.removeEntry(resource, cacheAccount)
+      }
+
+      return null
+    }
+  }
+
+  /**
+   * Looks for a token cached for a superset of the given normalized scopes.
+   * @ignore
+   */
+  _getCachedTokenForScopes(scopes, offset, cacheAccount, requirements) {
+    const entries = this._tokenCache.getAccountEntries(cacheAccount)
+
+    for (let i = 0; i < entries.length; i++) {
+      const cachedScopes = entries[i].resource
+
+      if (
+        !this._isEmpty(cachedScopes) &&
+        cachedScopes !== scopes &&
+        this._scopesContain(cachedScopes, scopes) &&
+        entries[i].expiresOn > this._now() + offset &&
+        this._meetsAuthRequirements(entries[i], requirements)
+      ) {
+        this.verbose('Token for scopes ' + cachedScopes + ' covers requested scopes ' + scopes)
+        return entries[i].token
+      }
+    }
+
+    return null
+  }
+  /**
+   * Returns true if a cached token meets the authentication requirements of a request.
+   * @ignore
+   */
+  _meetsAuthRequirements(entry, requirements) {
+    if (!requirements) {
+      return true
+    }
+
+    const requirementsError = checkAuthRequirements(entry, requirements, this._now())
+
+    if (requirementsError) {
+      this.verbose('Ignoring cached token for ' + entry.resource + ': ' + requirementsError)
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Reads the claims describing how the user signed in from a token, or from the id_token returned alongside when the
+   * token is opaque or lacks them.
+   * @returns {AuthClaims} the claims, and the time the token was issued as issuedOn.
+   * @ignore
+   */
+  _getAuthClaims(token, profile) {
+    let tokenClaims = {}
+
+    if (token && token.split('.').length === 3) {
+      try {
+        tokenClaims = JSON.parse(this._base64DecodeStringUrlSafe(token.split('.')[1])) || {}
+      } catch (e) {
+        // encrypted or opaque token
+      }
+    }
+
+    const idTokenClaims = profile || {}
+    const getClaim = (name) =>
+      tokenClaims.hasOwnProperty(name) ? tokenClaims[name] : idTokenClaims[name]
+
+    return {
+      authTime: getClaim('auth_time') || null,
+      acr: getClaim('acr') || null,
+      acrs: getClaim('acrs') || [],
+      amr: getClaim('amr') || [],
+      issuedOn: getClaim('iat') || null,
+    }
+  }
+
+  /**
+   * User information from idtoken. Users are the accounts signed in to the app.
+   *  @class User
+   *  @property {string} userName - username assigned from upn or email, or from unique_name with AD FS.
+   *  @property {string} homeAccountId - identifies the account, made of the object id of the user and the tenant id.
+   *  @property {string} tenantId - tenant the user signed in to.
+   *  @property {object} profile - properties parsed from idtoken.
+   */
+
+  /**
+   * If user object exists, returns it. Else creates a new user object by decoding id_token from the cache.
    * @returns {User} user object
    */
   getCachedUser() {
@@ -466,14 +1256,276 @@ class ActiveDirectoryPlugin {
     return this._user
   }
 
+  /**
+   * Returns the accounts signed in to the app.
+   * @returns {Array.<User>} the accounts.
+   */
+  getAllAccounts() {
+    const accounts = []
+    const storedAccounts = this._getStoredAccounts()
+
+    for (let i = 0; i < storedAccounts.length; i++) {
+      const user = this._createUser(storedAccounts[i].idToken)
+
+      if (user) {
+        accounts.push(user)
+      }
+    }
+
+    return accounts
+  }
+
+  /**
+   * Returns the account used when no account is passed to token requests.
+   * @returns {User} the active account, or null if no account is signed in.
+   */
+  getActiveAccount() {
+    return this.getCachedUser()
+  }
+
+  /**
+   * Sets the account used when no account is passed to token requests.
+   * @param {User|string} account - the account or its homeAccountId, null to unset the active account.
+   */
+  setActiveAccount(account) {
+    if (!account) {
+      this._user = null
+      this._saveItem(this.CONSTANTS.STORAGE.IDTOKEN, '')
+      this._saveItem(this.CONSTANTS.STORAGE.ACTIVE_ACCOUNT, '')
+      this._refreshAutoRenew()
+      this._postSyncMessage(SYNC_EVENT.ACCOUNT_CHANGED, { homeAccountId: null })
+      this._emit(EVENT.ACCOUNT_CHANGED)
+      return
+    }
+
+    const storedAccount = this._findStoredAccount(account)
+
+    if (!storedAccount) {
+      throw new Error('Account is not signed in')
+    }
+
+    this.infoPii('Setting active account: ' + storedAccount.homeAccountId)
+    this._saveItem(this.CONSTANTS.STORAGE.IDTOKEN, storedAccount.idToken)
+    this._saveItem(this.CONSTANTS.STORAGE.ACTIVE_ACCOUNT, storedAccount.homeAccountId)
+    this._user = this._createUser(storedAccount.idToken)
+    this._refreshAutoRenew()
+    this._postSyncMessage(SYNC_EVENT.ACCOUNT_CHANGED, {
+      homeAccountId: storedAccount.homeAccountId,
+    })
+    this._emit(EVENT.ACCOUNT_CHANGED, { account: this._user })
+  }
+
+  /**
+   * Removes an account and the tokens cached for it. The active account is unset if it is removed.
+   * @param {User|string} account - the account or its homeAccountId.
+   */
+  removeAccount(account) {
+    const storedAccount = this._findStoredAccount(account)
+
+    if (!storedAccount) {
+      this.warn('Account to remove is not signed in')
+      return
+    }
+
+    const user = this._createUser(storedAccount.idToken)
+    this._tokenCache.removeAccountEntries(this._getCacheAccount(user))
+    this._saveItem(
+      this.CONSTANTS.STORAGE.ACCOUNTS,
+      JSON.stringify(
+        this._getStoredAccounts().filter(
+          (stored) => stored.homeAccountId !== storedAccount.homeAccountId,
+        ),
+      ),
+    )
+
+    const activeAccount = this.getCachedUser()
+
+    if (activeAccount && activeAccount.homeAccountId === storedAccount.homeAccountId) {
+      this.setActiveAccount(null)
+    }
+  }
+
+  /**
+   * Returns the accounts saved in the cache as { homeAccountId, idToken } objects.
+   * @ignore
+   */
+  _getStoredAccounts() {
+    const accounts = this._getItem(this.CONSTANTS.STORAGE.ACCOUNTS)
+
+    if (!this._isEmpty(accounts)) {
+      try {
+        return JSON.parse(accounts)
+      } catch (e) {
+        this.warn('Ignoring accounts that cannot be parsed: ' + e.message)
+      }
+    }
+
+    // users signed in before accounts were saved only have the id_token of the active account
+    const idToken = this._getItem(this.CONSTANTS.STORAGE.IDTOKEN)
+    const user = this._createUser(idToken)
+    return user ? [{ homeAccountId: user.homeAccountId, idToken }] : []
+  }
+
+  /**
+   * Finds the saved account for a user object or a homeAccountId.
+   * @ignore
+   */
+  _findStoredAccount(account) {
+    const homeAccountId = typeof account === 'string' ? account : account.homeAccountId
+    const accounts = this._getStoredAccounts()
+
+    for (let i = 0; i < accounts.length; i++) {
+      if (accounts[i].homeAccountId === homeAccountId) {
+        return accounts[i]
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Adds or updates an account in the cache.
+   * @ignore
+   */
+  _saveAccount(user, idToken) {
+    const accounts = this._getStoredAccounts().filter(
+      (stored) => stored.homeAccountId !== user.homeAccountId,
+    )
+    accounts.push({ homeAccountId: user.homeAccountId, idToken })
+    this._saveItem(this.CONSTANTS.STORAGE.ACCOUNTS, JSON.stringify(accounts))
+  }
+
+  /**
+   * Returns the cache account of the tokens acquired without a signed in user, restricted to a B2C user flow if given.
+   * @ignore
+   */
+  _getAnonymousCacheAccount(policy) {
+    const cacheAccount = { accountId: null, tenantId: null }
+
+    if (policy) {
+      cacheAccount.policy = policy
+    }
+
+    return cacheAccount
+  }
+
+  /**
+   * Returns the account of a user as used by the token cache, restricted to the tokens of a B2C user flow if given.
+   * @ignore
+   */
+  _getCacheAccount(user, policy) {
+    if (!user || !user.profile) {
+      return null
+    }
+
+    const cacheAccount = {
+      accountId: user.profile.oid || user.profile.sub || null,
+      tenantId: user.profile.tid || null,
+    }
+
+    if (policy) {
+      cacheAccount.policy = policy
+    }
+
+    return cacheAccount
+  }
+
+  /**
+   * Returns the lower case B2C user flow of a token request, or null with other authorities.
+   * @ignore
+   */
+  _getRequestPolicy(options) {
+    if (!this._authority.isB2C()) {
+      return null
+    }
+
+    return ((options && options.policy) || this._authority.policy).toLowerCase()
+  }
+
+  /**
+   * Returns the lower case B2C user flow that issued a token, named by its tfp claim, or by its acr claim depending on
+   * the settings of the tenant. Null with other authorities.
+   * @ignore
+   */
+  _getTokenPolicy(token, profile) {
+    if (!this._authority.isB2C()) {
+      return null
+    }
+
+    const claims = (token && this._extractIdToken(token)) || profile || {}
+    const policy = claims.tfp || claims.acr
+    return policy ? String(policy).toLowerCase() : null
+  }
+
+  /**
+   * Resolves the account of a token request from its options. Defaults to the active account.
+   * @ignore
+   */
+  _getRequestAccount(options) {
+    if (options && options.account) {
+      const storedAccount = this._findStoredAccount(options.account)
+      return storedAccount ? this._createUser(storedAccount.idToken) : null
+    }
+
+    return this._user
+  }
+
+  /**
+   * Returns true if the user is the active account.
+   * @ignore
+   */
+  _isActiveAccount(user) {
+    return !!(this._user && user && this._user.homeAccountId === user.homeAccountId)
+  }
+
+  /**
+   * Returns the key of the renewals of a resource for an account in _activeRenewals. Renewals of the same resource for
+   * other accounts run side by side, each in its own iframe.
+   * @ignore
+   */
+  _getRenewalKey(resource, account) {
+    return account
+      ? resource + '|' + account.homeAccountId + '|' + (account.tenantId || '')
+      : resource
+  }
+
+  /**
+   * Returns the key of the renewal in progress with a state, or null if there is none.
+   * @ignore
+   */
+  _findRenewalKey(expectedState) {
+    for (const renewalKey in this._activeRenewals) {
+      if (this._activeRenewals[renewalKey] === expectedState) {
+        return renewalKey
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Returns the name of the hidden iframe of a renewal.
+   * @ignore
+   */
+  _getRenewalFrameName(resource, renewalKey) {
+    // id_tokens of the app are renewed in their own frame, see _renewIdToken
+    const prefix =
+      resource === this._normalizeResource(this.config.clientId)
+        ? 'adalIdTokenFrame'
+        : 'adalRenewFrame'
+    return prefix + renewalKey
+  }
+
   /**
    * Adds the passed callback to the array of callbacks for the specified resource and puts the array on the window object.
    * @param {string}   resource A URI that identifies the resource for which the token is requested.
    * @param {string}   expectedState A unique identifier (guid).
    * @param {tokenCallback} callback - The callback provided by the caller. It will be called with token or error.
+   * @param {User} [account] - the account the token is requested for. Requests for other accounts do not wait for this one.
    */
-  registerCallback(expectedState, resource = '', callback) {
-    this._activeRenewals[resource] = expectedState
+  registerCallback(expectedState, resource = '', callback, account) {
+    const renewalKey = this._getRenewalKey(resource, account)
+    this._activeRenewals[renewalKey] = expectedState
 
     if (!this._callBacksMappedToRenewStates[expectedState]) {
       this._callBacksMappedToRenewStates[expectedState] = []
@@ -483,12 +1535,24 @@ class ActiveDirectoryPlugin {
     this._callBacksMappedToRenewStates[expectedState].push(callback)
 
     if (!this._callBackMappedToRenewStates[expectedState]) {
-      this._callBackMappedToRenewStates[expectedState] = (errorDesc, token, error, tokenType) => {
-        self._activeRenewals[resource] = null
+      this._callBackMappedToRenewStates[expectedState] = (
+        errorDesc,
+        token,
+        error,
+        tokenType,
+        authError,
+      ) => {
+        self._activeRenewals[renewalKey] = null
 
         for (let i = 0; i < self._callBacksMappedToRenewStates[expectedState].length; ++i) {
           try {
-            self._callBacksMappedToRenewStates[expectedState][i](errorDesc, token, error, tokenType)
+            self._callBacksMappedToRenewStates[expectedState][i](
+              errorDesc,
+              token,
+              error,
+              tokenType,
+              authError,
+            )
           } catch (error) {
             self.warn(error)
           }
@@ -508,11 +1572,12 @@ class ActiveDirectoryPlugin {
    * Acquires access token with hidden iframe
    * @ignore
    */
-  _renewToken(resource = '', callback, responseType) {
+  _renewToken(resource = '', callback, responseType, account, options) {
     // use iframe to try to renew token
     // use given resource to create new authz url
     this.info('renewToken is called for resource:' + resource)
-    const frameHandle = this._addAdalFrame('adalRenewFrame' + resource)
+    const frameName = this._getRenewalFrameName(resource, this._getRenewalKey(resource, account))
+    const frameHandle = this._addAdalFrame(frameName)
     const expectedState = this._guid() + '|' + resource
     this.config.state = expectedState
     // renew happens in iframe, so it keeps javascript context
@@ -520,34 +1585,56 @@ class ActiveDirectoryPlugin {
     this.verbose('Renew token Expected state: ' + expectedState)
     // remove the existing prompt=... query parameter and add prompt=none
     responseType = responseType || 'token'
-    let urlNavigate = this._urlRemoveQueryStringParameter(
-      this._getNavigateUrl(responseType, resource),
-      'prompt',
+    const renewUrl = this._tryGetNavigateUrl(
+      responseType,
+      resource,
+      options && options.policy,
+      expectedState,
+      callback,
     )
 
-    if (responseType === this.RESPONSE_TYPE.ID_TOKEN_TOKEN) {
+    if (!renewUrl) {
+      return
+    }
+
+    let urlNavigate = this._urlRemoveQueryStringParameter(renewUrl, 'prompt')
+
+    // the token endpoint of the code flow always returns an id_token, which is only accepted with a matching nonce
+    if (responseType === this.RESPONSE_TYPE.ID_TOKEN_TOKEN || this._isCodeFlow()) {
       this._idTokenNonce = this._guid()
       this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce, true)
       urlNavigate += '&nonce=' + encodeURIComponent(this._idTokenNonce)
     }
 
     urlNavigate = urlNavigate + '&prompt=none'
-    urlNavigate = this._addHintParameters(urlNavigate)
-    this.registerCallback(expectedState, resource, callback)
+    urlNavigate = this._addClaimsParameter(urlNavigate, options && options.claims, options)
+    urlNavigate = this._addAuthRequirementParameters(urlNavigate, options)
+    urlNavigate = this._addHintParameters(urlNavigate, account)
+    this._emit(EVENT.ACQUIRE_TOKEN_START, {
+      correlationId: this._getCorrelationId(expectedState),
+      resource,
+      account: account || this._user,
+    })
+    this.registerCallback(expectedState, resource, callback, account)
     this.verbosePii('Navigate to:' + urlNavigate)
     frameHandle.src = 'about:blank'
-    this._loadFrameTimeout(urlNavigate, 'adalRenewFrame' + resource, resource)
+    this._loadFrameTimeout(urlNavigate, frameName, resource, account)
   }
 
   /**
    * Renews idtoken for app's own backend when resource is clientId and calls the callback with token/error
    * @ignore
    */
-  _renewIdToken(callback, responseType) {
+  _renewIdToken(callback, responseType, account, options) {
     // use iframe to try to renew token
     this.info('renewIdToken is called')
-    const frameHandle = this._addAdalFrame('adalIdTokenFrame')
-    const expectedState = this._guid() + '|' + this.config.clientId
+    const clientResource = this._normalizeResource(this.config.clientId)
+    const frameName = this._getRenewalFrameName(
+      clientResource,
+      this._getRenewalKey(clientResource, account),
+    )
+    const frameHandle = this._addAdalFrame(frameName)
+    const expectedState = this._guid() + '|' + clientResource
     this._idTokenNonce = this._guid()
     this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce, true)
     this.config.state = expectedState
@@ -556,19 +1643,35 @@ class ActiveDirectoryPlugin {
     this.verbose('Renew Idtoken Expected state: ' + expectedState)
     // remove the existing prompt=... query parameter and add prompt=none
     const resource =
-      responseType === null || typeof responseType === 'undefined' ? null : this.config.clientId
+      responseType === null || typeof responseType === 'undefined' ? null : clientResource
     var responseType = responseType || 'id_token'
-    let urlNavigate = this._urlRemoveQueryStringParameter(
-      this._getNavigateUrl(responseType, resource),
-      'prompt',
+    const renewUrl = this._tryGetNavigateUrl(
+      responseType,
+      resource,
+      options && options.policy,
+      expectedState,
+      callback,
     )
+
+    if (!renewUrl) {
+      return
+    }
+
+    let urlNavigate = this._urlRemoveQueryStringParameter(renewUrl, 'prompt')
     urlNavigate = urlNavigate + '&prompt=none'
-    urlNavigate = this._addHintParameters(urlNavigate)
+    urlNavigate = this._addClaimsParameter(urlNavigate, options && options.claims, options)
+    urlNavigate = this._addAuthRequirementParameters(urlNavigate, options)
+    urlNavigate = this._addHintParameters(urlNavigate, account)
     urlNavigate += '&nonce=' + encodeURIComponent(this._idTokenNonce)
-    this.registerCallback(expectedState, this.config.clientId, callback)
+    this._emit(EVENT.ACQUIRE_TOKEN_START, {
+      correlationId: this._getCorrelationId(expectedState),
+      resource: clientResource,
+      account: account || this._user,
+    })
+    this.registerCallback(expectedState, clientResource, callback, account)
     this.verbosePii('Navigate to:' + urlNavigate)
     frameHandle.src = 'about:blank'
-    this._loadFrameTimeout(urlNavigate, 'adalIdTokenFrame', this.config.clientId)
+    this._loadFrameTimeout(urlNavigate, frameName, clientResource, account)
   }
 
   /**
@@ -599,24 +1702,68 @@ class ActiveDirectoryPlugin {
     return url
   }
 
+  /**
+   * Adds the claims of a request, merged with the client capabilities of the app and, with AAD authorities, the
+   * authentication contexts of the acrValues option, to the authorization endpoint URL.
+   * @ignore
+   */
+  _addClaimsParameter(urlNavigate, claims, options) {
+    if (this._urlContainsQueryStringParameter('claims', urlNavigate)) {
+      if (claims) {
+        throw new Error('Claims cannot be passed as an extraQueryParameter')
+      }
+
+      this.verbose(
+        'Claims passed as an extraQueryParameter, client capabilities and authentication contexts are not added',
+      )
+      return urlNavigate
+    }
+
+    const requirements = getAuthRequirements(options)
+    const isAad = !this._authority.isB2C() && !this._authority.isAdfs()
+    const authContexts = requirements && isAad ? requirements.acrValues : null
+    const mergedClaims = mergeClaims(claims, this.config.clientCapabilities, authContexts)
+    return mergedClaims ? urlNavigate + '&claims=' + encodeURIComponent(mergedClaims) : urlNavigate
+  }
+
+  /**
+   * Adds the authentication requirements of a request to the authorization endpoint URL. They are stored by state to
+   * check the tokens of the response, which can come back after a full page redirect.
+   * @ignore
+   */
+  _addAuthRequirementParameters(urlNavigate, options) {
+    const requirements = getAuthRequirements(options)
+
+    if (!requirements) {
+      return urlNavigate
+    }
+
+    this._saveItem(
+      this.CONSTANTS.STORAGE.AUTH_REQUIREMENTS + this.config.state,
+      JSON.stringify(requirements),
+    )
+    return urlNavigate + getAuthRequirementParameters(requirements, this._authority.isAdfs())
+  }
+
   // Calling _loadFrame but with a timeout to signal failure in loadframeStatus. Callbacks are left
   // registered when network errors occur and subsequent token requests for same resource are registered to the pending request
   /**
    * @ignore
    */
-  _loadFrameTimeout(urlNavigation, frameName, resource) {
+  _loadFrameTimeout(urlNavigation, frameName, resource, account) {
+    const renewalKey = this._getRenewalKey(resource, account)
     //set iframe session to pending
     this.verbose('Set loading state to pending for: ' + resource)
     this._saveItem(
-      this.CONSTANTS.STORAGE.RENEW_STATUS + resource,
+      this.CONSTANTS.STORAGE.RENEW_STATUS + renewalKey,
       this.CONSTANTS.TOKEN_RENEW_STATUS_IN_PROGRESS,
     )
-    this._loadFrame(urlNavigation, frameName)
+    this._loadFrame(urlNavigation, frameName, renewalKey, this._activeRenewals[renewalKey])
     const self = this
 
     setTimeout(() => {
       if (
-        self._getItem(self.CONSTANTS.STORAGE.RENEW_STATUS + resource) ===
+        self._getItem(self.CONSTANTS.STORAGE.RENEW_STATUS + renewalKey) ===
         self.CONSTANTS.TOKEN_RENEW_STATUS_IN_PROGRESS
       ) {
         // fail the iframe session if it's in pending state
@@ -626,18 +1773,31 @@ class ActiveDirectoryPlugin {
             ' seconds for resource ' +
             resource,
         )
-        const expectedState = self._activeRenewals[resource]
+        const expectedState = self._activeRenewals[renewalKey]
+        const timeoutEvent = {
+          correlationId: self._getCorrelationId(expectedState),
+          resource,
+          account: account || self._user,
+          error: 'Token Renewal Failed',
+          errorDesc: 'Token renewal operation failed due to timeout',
+        }
+        self._emit(EVENT.RENEWAL_TIMEOUT, timeoutEvent)
+        self._emit(EVENT.ACQUIRE_TOKEN_FAILURE, timeoutEvent)
 
         if (expectedState && self._callBackMappedToRenewStates[expectedState]) {
           self._callBackMappedToRenewStates[expectedState](
-            'Token renewal operation failed due to timeout',
+            timeoutEvent.errorDesc,
             null,
-            'Token Renewal Failed',
+            timeoutEvent.error,
+            null,
+            new TimeoutError(ERROR_CODE.TIMEOUT, timeoutEvent.errorDesc, {
+              correlationId: timeoutEvent.correlationId,
+            }),
           )
         }
 
         self._saveItem(
-          self.CONSTANTS.STORAGE.RENEW_STATUS + resource,
+          self.CONSTANTS.STORAGE.RENEW_STATUS + renewalKey,
           self.CONSTANTS.TOKEN_RENEW_STATUS_CANCELED,
         )
       }
@@ -648,18 +1808,23 @@ class ActiveDirectoryPlugin {
    * Loads iframe with authorization endpoint URL
    * @ignore
    */
-  _loadFrame(urlNavigate, frameName) {
+  _loadFrame(urlNavigate, frameName, renewalKey, expectedState) {
     // This trick overcomes iframe navigation in IE
     // IE does not load the page consistently in iframe
     const self = this
     self.info('LoadFrame: ' + frameName)
     const frameCheck = frameName
     setTimeout(() => {
+      // aborted renewals are emptied on purpose
+      if (expectedState && self._activeRenewals[renewalKey] !== expectedState) {
+        return
+      }
+
       const frameHandle = self._addAdalFrame(frameCheck)
 
       if (frameHandle.src === '' || frameHandle.src === 'about:blank') {
         frameHandle.src = urlNavigate
-        self._loadFrame(urlNavigate, frameCheck)
+        self._loadFrame(urlNavigate, frameCheck, renewalKey, expectedState)
       }
     }, 500)
   }
@@ -669,30 +1834,56 @@ class ActiveDirectoryPlugin {
    * @param {string} error_description error description returned from AAD if token request fails.
    * @param {string} token token returned from AAD if token request is successful.
    * @param {string} error error message returned from AAD if token request fails.
+   * @param {string} tokenType either 'access_token' or 'id_token' if token request is successful.
+   * @param {AuthError} authError the error classified by type if token request fails, when known. See {@link AuthError.fromCallback} otherwise.
+   */
+
+  /**
+   * Options of token requests.
+   *  @class TokenRequestOptions
+   *  @property {User|string} account - the account, or its homeAccountId, to get the token for. Defaults to the active account.
+   *  @property {AbortSignal} signal - aborts the request, which then fails with an {@link AbortError}. The hidden iframe or the popup of the request is removed unless other callers wait for the same token.
+   *  @property {number} maxAge - maximum number of seconds since the user last signed in. See {@link LoginOptions}.
+   *  @property {string|Array.<string>} acrValues - authentication context class references, one of which the token must carry. See {@link LoginOptions}.
+   *  @property {Boolean} requireMfa - requires a token issued after a multi-factor authentication. Cached tokens not meeting maxAge, acrValues and requireMfa are not returned.
+   *  @property {string} claims - claims requested from AAD as JSON, like those of a claims challenge. The cache is bypassed and the token is renewed silently. Interactive requests take claims as an argument instead.
+   *  @property {string} policy - B2C user flow issuing the token. Tokens are cached by user flow. Defaults to the user flow of the authority.
    */
 
   /**
    * Acquires token from the cache if it is not expired. Otherwise sends request to AAD to obtain a new token.
-   * @param {string}   resource  ResourceUri identifying the target resource
+   * @param {string|Array.<string>}   resource  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
    * @param {tokenCallback} callback -  The callback provided by the caller. It will be called with token or error.
+   * @param {TokenRequestOptions} [options] -  Options of the request.
    */
-  acquireToken(resource, callback) {
+  acquireToken(resource, callback, options) {
+    if (options && options.signal) {
+      if (options.signal.aborted) {
+        this._failAbortedRequest(callback)
+        return
+      }
+
+      callback = this._bindAbortSignal(options.signal, callback)
+    }
+
+    resource = this._normalizeResource(resource)
+
     if (this._isEmpty(resource)) {
       this.warn('resource is required')
       callback('resource is required', null, 'resource is required')
       return
     }
 
-    const token = this.getCachedToken(resource)
+    const account = this._getRequestAccount(options)
 
-    if (token) {
-      this.info('Token is already in cache for resource:' + resource)
-      callback(null, token, null)
+    if (options && options.account && !account) {
+      this.warn('Account is not signed in')
+      callback('Account is not signed in', null, 'login required')
       return
     }
 
     if (
-      !this._user &&
+      !account &&
       !(
         this.config.extraQueryParameter &&
         this.config.extraQueryParameter.indexOf('login_hint') !== -1
@@ -703,49 +1894,516 @@ class ActiveDirectoryPlugin {
       return
     }
 
+    // cached tokens were not issued for the requested claims
+    const token = options && options.claims ? null : this.getCachedToken(resource, account, options)
+
+    if (token) {
+      this.info('Token is already in cache for resource:' + resource)
+      callback(null, token, null)
+      return
+    }
+
+    this._renewResource(resource, callback, account, options)
+  }
+
+  /**
+   * Renews the token of a resource with a hidden iframe, even if a valid token is cached.
+   * @ignore
+   */
+  _renewResource(resource, callback, account, options) {
+    account = account || this._user
+    // tokens of other accounts are requested with an id_token, which tells the cache whose token it is
+    const isActiveAccount = this._isActiveAccount(account)
+    // Active renewals contains the state for each renewal, by resource and account
+    const renewState = this._activeRenewals[this._getRenewalKey(resource, account)]
+
     // renew attempt with iframe
     // Already renewing for this resource, callback when we get the token.
-    if (this._activeRenewals[resource]) {
-      // Active renewals contains the state for each renewal.
-      this.registerCallback(this._activeRenewals[resource], resource, callback)
+    if (
+      renewState &&
+      options &&
+      (options.claims || options.policy || getAuthRequirements(options))
+    ) {
+      // the token of the renewal in progress may not satisfy the request, or come from another user flow, and uses
+      // the same iframe
+      const renewAgain = () => this._renewResource(resource, callback, account, options)
+      // an aborted request is found by its callback, see _removeAbortedCallback
+      renewAgain.callback = callback
+      this.registerCallback(renewState, resource, renewAgain, account)
+    } else if (renewState) {
+      this.registerCallback(renewState, resource, callback, account)
     } else {
       this._requestType = this.REQUEST_TYPE.RENEW_TOKEN
-      if (resource === this.config.clientId) {
+      if (resource === this._normalizeResource(this.config.clientId)) {
         // App uses idtoken to send to api endpoints
         // Default resource is tracked as clientid to store this token
-        if (this._user) {
+        if (isActiveAccount) {
           this.verbose('renewing idtoken')
-          this._renewIdToken(callback)
+          this._renewIdToken(callback, null, account, options)
         } else {
           this.verbose('renewing idtoken and access_token')
-          this._renewIdToken(callback, this.RESPONSE_TYPE.ID_TOKEN_TOKEN)
+          this._renewIdToken(callback, this.RESPONSE_TYPE.ID_TOKEN_TOKEN, account, options)
         }
       } else {
-        if (this._user) {
+        if (isActiveAccount) {
           this.verbose('renewing access_token')
-          this._renewToken(resource, callback)
+          this._renewToken(resource, callback, null, account, options)
         } else {
           this.verbose('renewing idtoken and access_token')
-          this._renewToken(resource, callback, this.RESPONSE_TYPE.ID_TOKEN_TOKEN)
+          this._renewToken(resource, callback, this.RESPONSE_TYPE.ID_TOKEN_TOKEN, account, options)
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns true if the page is loaded in an iframe or a popup, like the ones of the requests.
+   * @ignore
+   */
+  _isInFrameOrPopup() {
+    return window.parent !== window || !!window.opener
+  }
+
+  /**
+   * Starts renewing the tokens cached for the active account in the background, shortly before they expire. Failed
+   * renewals are retried with increasing delays until the token expires. Stopped by logOut.
+   * @param {AutoRenewOptions} [options]  -  options of the scheduler, only used when it is first started.
+   */
+  startAutoRenew(options) {
+    if (!this._renewalScheduler) {
+      this._renewalScheduler = new RenewalScheduler(this, options)
+    }
+
+    this._renewalScheduler.start()
+  }
+
+  /**
+   * Stops renewing the tokens in the background.
+   */
+  stopAutoRenew() {
+    if (this._renewalScheduler) {
+      this._renewalScheduler.stop()
+    }
+  }
+
+  /**
+   * Returns the status of the background renewals.
+   * @returns {{running: Boolean, tokens: Array.<RenewalStatus>}} the status.
+   */
+  getAutoRenewStatus() {
+    return {
+      running: !!this._renewalScheduler && this._renewalScheduler.isRunning(),
+      tokens: this._renewalScheduler ? this._renewalScheduler.getStatus() : [],
+    }
+  }
+
+  /**
+   * Reschedules the background renewals after the cache or the active account changed.
+   * @ignore
+   */
+  _refreshAutoRenew() {
+    if (this._renewalScheduler) {
+      this._renewalScheduler.refresh()
+    }
+  }
+
+  /**
+   * Starts checking the session of the signed in user with the check_session_iframe of the authority, using the
+   * session_state returned with the tokens. The sessionChanged event is emitted when the user signed out, or signed in
+   * again, in another app. The checks resume once a login or renewal returns a new session_state. Stopped by logOut.
+   * @param {SessionMonitorOptions} [options]  -  options of the monitor, only used when it is first started.
+   */
+  startSessionMonitor(options) {
+    if (!this._sessionMonitor) {
+      this._sessionMonitor = new SessionMonitor(this, options)
+    }
+
+    this._sessionMonitor.start()
+  }
+
+  /**
+   * Stops checking the session.
+   */
+  stopSessionMonitor() {
+    if (this._sessionMonitor) {
+      this._sessionMonitor.stop()
+    }
+  }
+
+  /**
+   * Sends a message to the other tabs of the app.
+   * @ignore
+   */
+  _postSyncMessage(type, data) {
+    if (this._tabSync) {
+      this.verbose('Sending ' + type + ' message to the other tabs')
+      this._tabSync.post(type, data)
+    }
+  }
+
+  /**
+   * Applies a message of another tab. The cache is shared, so only the state kept in memory is refreshed.
+   * @ignore
+   */
+  _handleSyncMessage(message) {
+    this.verbose('Received ' + message.type + ' message from another tab')
+
+    switch (message.type) {
+      case SYNC_EVENT.LOGOUT:
+        this._user = null
+        this._cancelPendingRenewals('User logged out in another tab', 'login required')
+        this._emit(EVENT.LOGOUT)
+        break
+      case SYNC_EVENT.LOGIN:
+      case SYNC_EVENT.ACCOUNT_CHANGED: {
+        const previousAccount = this.getCachedUser()
+        this._user = null
+        const account = this.getCachedUser()
+
+        if (!this._isActiveAccount(previousAccount)) {
+          if (previousAccount) {
+            this._cancelPendingRenewals('Active account changed in another tab', 'account changed')
+          }
+
+          this._emit(EVENT.ACCOUNT_CHANGED, { account })
         }
+        break
+      }
+      case SYNC_EVENT.TOKEN_ACQUIRED:
+        this._completePendingRenewal(message.resource)
+        break
+      default:
+        return
+    }
+
+    this._refreshAutoRenew()
+  }
+
+  /**
+   * Fails the renewals in progress. Their responses no longer match a state, so their tokens are not cached.
+   * @ignore
+   */
+  _cancelPendingRenewals(errorDesc, error) {
+    for (const resource in this._activeRenewals) {
+      const expectedState = this._activeRenewals[resource]
+
+      if (expectedState && this._callBackMappedToRenewStates[expectedState]) {
+        this._renewStates = this._renewStates.filter((state) => state !== expectedState)
+        this._callBackMappedToRenewStates[expectedState](
+          errorDesc,
+          null,
+          error,
+          null,
+          AuthError.fromCallback(errorDesc, error, {
+            correlationId: this._getCorrelationId(expectedState),
+          }),
+        )
+      }
+    }
+  }
+
+  /**
+   * Completes the renewal in progress for a resource with the token acquired by another tab.
+   * @ignore
+   */
+  _completePendingRenewal(resource) {
+    // the token is taken from the cache of the active account
+    const expectedState = this._activeRenewals[this._getRenewalKey(resource, this._user)]
+
+    if (!expectedState || !this._callBackMappedToRenewStates[expectedState]) {
+      return
+    }
+
+    const token = this.getCachedToken(resource)
+
+    if (token) {
+      this.info('Token for ' + resource + ' acquired by another tab')
+      const callback = this._callBackMappedToRenewStates[expectedState]
+      callback(null, token, null, this.CONSTANTS.ACCESS_TOKEN)
+    }
+  }
+
+  /**
+   * Result of a token request made with the promise based API.
+   *  @class AuthResult
+   *  @property {string} token - the access token, or the id_token for the app itself and logins.
+   *  @property {string} tokenType - either 'access_token' or 'id_token'.
+   *  @property {string} resource - the resource, or normalized scopes, the token was issued for.
+   *  @property {number} expiresOn - expiration of the token in seconds since 1970/01/01, when known.
+   *  @property {User} user - the account the token was issued to.
+   */
+
+  /**
+   * Acquires token from the cache if it is not expired. Otherwise sends request to AAD to obtain a new token.
+   * @param {string|Array.<string>}   resource  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
+   * @param {TokenRequestOptions} [options] -  Options of the request.
+   * @returns {Promise.<AuthResult>} resolves with the token, rejects with an {@link AuthError}.
+   */
+  acquireTokenAsync(resource, options) {
+    return this.initialize().then(
+      () =>
+        new Promise((resolve, reject) => {
+          resource = this._normalizeResource(resource)
+          const account = this._getRequestAccount(options)
+          this.acquireToken(
+            resource,
+            this._createPromiseCallback(resource, resolve, reject, account),
+            options,
+          )
+        }),
+    )
+  }
+
+  /**
+   * Acquires token interactively in a popUp window.
+   * @param {string|Array.<string>}   resource  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
+   * @param {string}   extraQueryParameters  extraQueryParameters to add to the authentication request
+   * @param {string}   claims  claims to add to the authentication request
+   * @param {TokenRequestOptions} [options] -  Options of the request.
+   * @returns {Promise.<AuthResult>} resolves with the token, rejects with an {@link AuthError}.
+   */
+  acquireTokenPopupAsync(resource, extraQueryParameters, claims, options) {
+    return this.initialize().then(
+      () =>
+        new Promise((resolve, reject) => {
+          resource = this._normalizeResource(resource)
+          const account = this._getRequestAccount(options)
+          this.acquireTokenPopup(
+            resource,
+            extraQueryParameters,
+            claims,
+            this._createPromiseCallback(resource, resolve, reject, account),
+            options,
+          )
+        }),
+    )
+  }
+
+  /**
+   * Options of claims challenges.
+   *  @class ClaimsChallengeOptions
+   *  @property {string} interaction - 'popup' to get the token in a popup when the claims cannot be satisfied silently, 'none' to fail with an {@link InteractionRequiredError} instead. Defaults to 'popup'.
+   *  @property {User|string} account - the account, or its homeAccountId, to get the token for. Defaults to the active account.
+   *  @property {AbortSignal} signal - aborts the request, which then fails with an {@link AbortError}.
+   */
+
+  /**
+   * Gets a new token for a resource whose API rejected the token with a claims challenge, returned by conditional
+   * access or Continuous Access Evaluation as a 401 response with a `WWW-Authenticate: Bearer error="insufficient_claims",
+   * claims="..."` header. The cached token is removed, and the token is requested with the claims, silently first.
+   * @param {string|Array.<string>} resource  -  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
+   * @param {Response|XMLHttpRequest|object|string} response  -  the 401 response: a fetch Response, an XMLHttpRequest,
+   * an axios response or error, or the value of its WWW-Authenticate header.
+   * @param {ClaimsChallengeOptions} [options] -  Options of the request.
+   * @returns {Promise.<AuthResult>} resolves with the new token, or with null if the response has no claims challenge.
+   * Rejects with an {@link AuthError}.
+   */
+  handleClaimsChallenge(resource, response, options = {}) {
+    const claims = parseClaimsChallenge(getWwwAuthenticateHeader(response))
+    const interaction = options.interaction || 'popup'
+
+    if (!claims) {
+      this.verbose('Response has no claims challenge')
+      return Promise.resolve(null)
+    }
+
+    return this.initialize().then(() => {
+      resource = this._normalizeResource(resource)
+      this.infoPii('Claims challenge received for ' + resource + ': ' + claims)
+      const account = this._getRequestAccount(options)
+
+      if (account) {
+        this._tokenCache.removeEntry(resource, this._getCacheAccount(account))
+      }
+
+      return this.acquireTokenAsync(resource, Object.assign({}, options, { claims })).catch(
+        (error) => {
+          if (interaction !== 'popup' || !(error instanceof InteractionRequiredError)) {
+            throw error
+          }
+
+          this.info('Claims challenge requires interaction, acquiring token in a popup')
+          return this.acquireTokenPopupAsync(resource, null, claims, options)
+        },
+      )
+    })
+  }
+
+  /**
+   * Creates a tokenCallback settling a promise with an {@link AuthResult} or an {@link AuthError}.
+   * @ignore
+   */
+  _createPromiseCallback(resource, resolve, reject, account) {
+    return (errorDesc, token, error, tokenType, authError) => {
+      if (errorDesc || error || !token) {
+        reject(
+          authError || AuthError.fromCallback(errorDesc, error || ERROR_CODE.TOKEN_NOT_AVAILABLE),
+        )
+        return
+      }
+
+      const resultType = tokenType || this.CONSTANTS.ACCESS_TOKEN
+      const cacheKey =
+        resultType === this.CONSTANTS.ID_TOKEN ? this.config.loginResource : resource || ''
+      const user = account || this._user
+      const policy = this._getTokenPolicy(token, null)
+      const entry = this._tokenCache.getEntry(
+        cacheKey,
+        this._getCacheAccount(user, policy) || this._getAnonymousCacheAccount(policy),
+      )
+
+      resolve({
+        token,
+        tokenType: resultType,
+        resource: cacheKey,
+        expiresOn: entry ? entry.expiresOn : null,
+        user,
+      })
+    }
+  }
+
+  /**
+   * Wraps the callback of a request so that aborting the signal fails it with an {@link AbortError}. The request
+   * itself is stopped when no other caller waits for it.
+   * @ignore
+   */
+  _bindAbortSignal(signal, callback) {
+    let aborted = false
+
+    const onAbort = () => {
+      aborted = true
+      this.info('Request aborted by the app')
+      this._removeAbortedCallback(boundCallback)
+      this._failAbortedRequest(callback)
+    }
+
+    const boundCallback = (errorDesc, token, error, tokenType, authError) => {
+      // the callbacks of a failed popup are called again by _handlePopupError
+      if (aborted) {
+        return
+      }
+
+      signal.removeEventListener('abort', onAbort)
+
+      if (callback) {
+        callback(errorDesc, token, error, tokenType, authError)
+      }
+    }
+
+    signal.addEventListener('abort', onAbort)
+    return boundCallback
+  }
+
+  /**
+   * Calls the callback of an aborted request with an {@link AbortError}.
+   * @ignore
+   */
+  _failAbortedRequest(callback) {
+    const error = 'Request aborted'
+    const errorDesc = 'Request aborted by the app'
+
+    if (callback) {
+      callback(errorDesc, null, error, null, new AbortError(ERROR_CODE.ABORTED, errorDesc))
+    }
+  }
+
+  /**
+   * Removes the callback of an aborted request from the callbacks waiting for a response, and stops the request if it
+   * was the last one. Requests waiting to be sent again after the response are found by the callback they carry.
+   * @ignore
+   */
+  _removeAbortedCallback(callback) {
+    for (const expectedState in this._callBacksMappedToRenewStates) {
+      const callbacks = this._callBacksMappedToRenewStates[expectedState] || []
+      let index = -1
+
+      for (let i = 0; i < callbacks.length && index === -1; i++) {
+        if (callbacks[i] === callback || (callbacks[i] && callbacks[i].callback === callback)) {
+          index = i
+        }
+      }
+
+      if (index > -1) {
+        callbacks.splice(index, 1)
+
+        if (callbacks.length === 0) {
+          this._stopRequest(expectedState)
+        }
+
+        return
+      }
+    }
+  }
+
+  /**
+   * Stops the request sent with a state: its popup is closed, or its hidden iframe is emptied, and its response is no
+   * longer expected.
+   * @ignore
+   */
+  _stopRequest(expectedState) {
+    const renewalKey = this._findRenewalKey(expectedState)
+
+    if (renewalKey !== null) {
+      this._activeRenewals[renewalKey] = null
+    }
+
+    this._renewStates = this._renewStates.filter((state) => state !== expectedState)
+    this._callBacksMappedToRenewStates[expectedState] = null
+    this._callBackMappedToRenewStates[expectedState] = null
+
+    if (this._interaction && this._interaction.state === expectedState) {
+      this.info('Closing the popup of the aborted request')
+      this._interaction.finish()
+      return
+    }
+
+    if (renewalKey !== null) {
+      const renewedResource = this._getResourceFromState(expectedState)
+      this.info('Stopping the token renewal of the aborted request for ' + renewedResource)
+      this._saveItem(
+        this.CONSTANTS.STORAGE.RENEW_STATUS + renewalKey,
+        this.CONSTANTS.TOKEN_RENEW_STATUS_CANCELED,
+      )
+
+      const frameHandle = document.getElementById(
+        this._getRenewalFrameName(renewedResource, renewalKey),
+      )
+
+      if (frameHandle) {
+        frameHandle.src = 'about:blank'
       }
     }
   }
 
   /**
    * Acquires token (interactive flow using a popUp window) by sending request to AAD to obtain a new token.
-   * @param {string}   resource  ResourceUri identifying the target resource
+   * With the v2.0 endpoint, the user is asked to consent to any scope not granted yet.
+   * @param {string|Array.<string>}   resource  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
    * @param {string}   extraQueryParameters  extraQueryParameters to add to the authentication request
    * @param {tokenCallback} callback -  The callback provided by the caller. It will be called with token or error.
+   * @param {TokenRequestOptions} [options] -  Options of the request.
    */
-  acquireTokenPopup(resource, extraQueryParameters, claims, callback) {
+  acquireTokenPopup(resource, extraQueryParameters, claims, callback, options) {
+    if (options && options.signal) {
+      if (options.signal.aborted) {
+        this._failAbortedRequest(callback)
+        return
+      }
+
+      callback = this._bindAbortSignal(options.signal, callback)
+    }
+
+    resource = this._normalizeResource(resource)
+
     if (this._isEmpty(resource)) {
       this.warn('resource is required')
       callback('resource is required', null, 'resource is required')
       return
     }
 
-    if (!this._user) {
+    const account = this._getRequestAccount(options)
+
+    if (!account) {
       this.warn('User login is required')
       callback('User login is required', null, 'login required')
       return
@@ -767,36 +2425,56 @@ class ActiveDirectoryPlugin {
     this._requestType = this.REQUEST_TYPE.RENEW_TOKEN
     this.verbose('Renew token Expected state: ' + expectedState)
     // remove the existing prompt=... query parameter and add prompt=select_account
-    let urlNavigate = this._urlRemoveQueryStringParameter(
-      this._getNavigateUrl('token', resource),
-      'prompt',
+    const interactiveUrl = this._tryGetNavigateUrl(
+      this._getInteractiveResponseType(account),
+      resource,
+      options && options.policy,
+      expectedState,
+      callback,
     )
+
+    if (!interactiveUrl) {
+      return
+    }
+
+    let urlNavigate = this._urlRemoveQueryStringParameter(interactiveUrl, 'prompt')
     urlNavigate = urlNavigate + '&prompt=select_account'
 
     if (extraQueryParameters) {
       urlNavigate += extraQueryParameters
     }
 
-    if (claims && urlNavigate.indexOf('&claims') === -1) {
-      urlNavigate += '&claims=' + encodeURIComponent(claims)
-    } else if (claims && urlNavigate.indexOf('&claims') !== -1) {
-      throw new Error('Claims cannot be passed as an extraQueryParameter')
+    urlNavigate = this._addClaimsParameter(urlNavigate, claims, options)
+    urlNavigate = this._addAuthRequirementParameters(urlNavigate, options)
+
+    if (this._isCodeFlow() || !this._isActiveAccount(account)) {
+      this._idTokenNonce = this._guid()
+      this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce, true)
+      urlNavigate += '&nonce=' + encodeURIComponent(this._idTokenNonce)
     }
 
-    urlNavigate = this._addHintParameters(urlNavigate)
+    urlNavigate = this._addHintParameters(urlNavigate, account)
     this._acquireTokenInProgress = true
     this.info('acquireToken interactive is called for the resource ' + resource)
-    this.registerCallback(expectedState, resource, callback)
+    this._emit(EVENT.ACQUIRE_TOKEN_START, {
+      correlationId: this._getCorrelationId(expectedState),
+      resource,
+      account,
+    })
+    this.registerCallback(expectedState, resource, callback, account)
     this._loginPopup(urlNavigate, resource, callback)
   }
 
   /**
    * Acquires token (interactive flow using a redirect) by sending request to AAD to obtain a new token. In this case the callback passed in the Authentication
    * request constructor will be called.
-   * @param {string}   resource  ResourceUri identifying the target resource
+   * @param {string|Array.<string>}   resource  ResourceUri identifying the target resource, or the scopes requested from the v2.0 endpoint
    * @param {string}   extraQueryParameters  extraQueryParameters to add to the authentication request
+   * @param {TokenRequestOptions} [options] -  Options of the request.
    */
-  acquireTokenRedirect(resource, extraQueryParameters, claims) {
+  acquireTokenRedirect(resource, extraQueryParameters, claims, options) {
+    resource = this._normalizeResource(resource)
+
     if (this._isEmpty(resource)) {
       this.warn('resource is required')
       callback('resource is required', null, 'resource is required')
@@ -804,8 +2482,15 @@ class ActiveDirectoryPlugin {
     }
 
     var callback = this.callback
+    const account = this._getRequestAccount(options)
+
+    // the page is left right away, so only requests aborted beforehand can be stopped
+    if (options && options.signal && options.signal.aborted) {
+      this._failAbortedRequest(callback)
+      return
+    }
 
-    if (!this._user) {
+    if (!account) {
       this.warn('User login is required')
       callback('User login is required', null, 'login required')
       return
@@ -826,28 +2511,54 @@ class ActiveDirectoryPlugin {
     this.verbose('Renew token Expected state: ' + expectedState)
 
     // remove the existing prompt=... query parameter and add prompt=select_account
-    let urlNavigate = this._urlRemoveQueryStringParameter(
-      this._getNavigateUrl('token', resource),
-      'prompt',
+    const interactiveUrl = this._tryGetNavigateUrl(
+      this._getInteractiveResponseType(account),
+      resource,
+      options && options.policy,
+      expectedState,
+      callback,
     )
+
+    if (!interactiveUrl) {
+      return
+    }
+
+    let urlNavigate = this._urlRemoveQueryStringParameter(interactiveUrl, 'prompt')
     urlNavigate = urlNavigate + '&prompt=select_account'
     if (extraQueryParameters) {
       urlNavigate += extraQueryParameters
     }
 
-    if (claims && urlNavigate.indexOf('&claims') === -1) {
-      urlNavigate += '&claims=' + encodeURIComponent(claims)
-    } else if (claims && urlNavigate.indexOf('&claims') !== -1) {
-      throw new Error('Claims cannot be passed as an extraQueryParameter')
+    urlNavigate = this._addClaimsParameter(urlNavigate, claims, options)
+    urlNavigate = this._addAuthRequirementParameters(urlNavigate, options)
+
+    if (this._isCodeFlow() || !this._isActiveAccount(account)) {
+      this._idTokenNonce = this._guid()
+      this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce, true)
+      urlNavigate += '&nonce=' + encodeURIComponent(this._idTokenNonce)
     }
 
-    urlNavigate = this._addHintParameters(urlNavigate)
+    urlNavigate = this._addHintParameters(urlNavigate, account)
     this._acquireTokenInProgress = true
     this.info('acquireToken interactive is called for the resource ' + resource)
+    this._emit(EVENT.ACQUIRE_TOKEN_START, {
+      correlationId: this._getCorrelationId(expectedState),
+      resource,
+      account,
+    })
     this._saveItem(this.CONSTANTS.STORAGE.LOGIN_REQUEST, window.location.href)
     this._saveItem(this.CONSTANTS.STORAGE.STATE_RENEW, expectedState, true)
     this.promptUser(urlNavigate)
   }
+  /**
+   * Returns the response type of interactive token requests. Tokens of other accounts than the active one
+   * are requested with an id_token, which tells the cache whose token it is.
+   * @ignore
+   */
+  _getInteractiveResponseType(account) {
+    return this._isActiveAccount(account) ? 'token' : this.RESPONSE_TYPE.ID_TOKEN_TOKEN
+  }
+
   /**
    * Redirects the browser to Azure AD authorization endpoint.
    * @param {string}   urlNavigate  Url of the authorization endpoint.
@@ -873,66 +2584,285 @@ class ActiveDirectoryPlugin {
     this._renewStates = []
     this._saveItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, '')
     this._saveItem(this.CONSTANTS.STORAGE.IDTOKEN, '')
+    this._saveItem(this.CONSTANTS.STORAGE.ACCOUNTS, '')
+    this._saveItem(this.CONSTANTS.STORAGE.ACTIVE_ACCOUNT, '')
     this._saveItem(this.CONSTANTS.STORAGE.ERROR, '')
     this._saveItem(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '')
     this._saveItem(this.CONSTANTS.STORAGE.LOGIN_ERROR, '')
     this._saveItem(this.CONSTANTS.STORAGE.LOGIN_ERROR, '')
-    let keys = this._getItem(this.CONSTANTS.STORAGE.TOKEN_KEYS)
-
-    if (!this._isEmpty(keys)) {
-      keys = keys.split(this.CONSTANTS.RESOURCE_DELIMETER)
-      for (let i = 0; i < keys.length && keys[i] !== ''; i++) {
-        this._saveItem(this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + keys[i], '')
-        this._saveItem(this.CONSTANTS.STORAGE.EXPIRATION_KEY + keys[i], 0)
-      }
-    }
-
-    this._saveItem(this.CONSTANTS.STORAGE.TOKEN_KEYS, '')
+    this._tokenCache.clear()
+    this._refreshAutoRenew()
   }
 
   /**
    * Clears cache items for a given resource.
-   * @param {string}  resource a URI that identifies the resource.
+   * @param {string|Array.<string>}  resource a URI that identifies the resource, or the scopes of a v2.0 token.
    */
   clearCacheForResource(resource) {
+    resource = this._normalizeResource(resource)
     this._saveItem(this.CONSTANTS.STORAGE.STATE_RENEW, '')
     this._saveItem(this.CONSTANTS.STORAGE.ERROR, '')
     this._saveItem(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '')
 
-    if (this._hasResource(resource)) {
-      this._saveItem(this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + resource, '')
-      this._saveItem(this.CONSTANTS.STORAGE.EXPIRATION_KEY + resource, 0)
-    }
+    this._tokenCache.removeEntry(resource)
+    this._refreshAutoRenew()
   }
 
   /**
-   * Redirects user to logout endpoint.
-   * After logout, it will redirect to postLogoutRedirectUri if added as a property on the config object.
+   * Options of logouts.
+   *  @class LogOutOptions
+   *  @property {string} mode - How the user is logged out of Azure AD after the cache is cleared:
+   *  'redirect' navigates the app to the logout endpoint, 'popup' opens it in a popup window, 'browser' opens it with
+   *  the interactive transport, like the system browser of Capacitor apps, and 'local' only logs out of the app.
+   *  Defaults to 'redirect'.
+   *  @property {User|string} account - the account to log out, or its homeAccountId. The other accounts stay signed in
+   *  to the app. Defaults to every account.
+   *  @property {string} logoutHint - sent as logout_hint to the v2.0 endpoint so that Azure AD does not ask which account
+   *  to log out. Defaults to the login_hint claim of the account, when its id_token has one. AD FS is sent the id_token
+   *  of the account as id_token_hint instead.
+   *  @property {string} postLogoutRedirectUri - where Azure AD redirects after the logout, which closes the window of
+   *  the 'popup' and 'browser' modes. Defaults to the postLogoutRedirectUri of the config, or to the redirectUri for
+   *  the 'browser' mode.
    */
-  logOut() {
-    this.clearCache()
-    this._user = null
-    let urlNavigate
 
+  /**
+   * Logs the user out of the app, then out of Azure AD as set by the mode option.
+   * @param {LogOutOptions} [options]  -  Options of the logout.
+   * @returns {Promise} resolves once the app is logged out and, for the 'popup' and 'browser' modes, once the window
+   * is closed. If the window could not be opened, the logoutFailure event is emitted and the promise resolves all the
+   * same, the user being logged out of the app. Rejects with a login_required {@link AuthError}, without logging anyone
+   * out, when the account option is not signed in.
+   */
+  logOut(options = {}) {
+    const mode = options.mode || 'redirect'
+
+    if (['local', 'redirect', 'popup', 'browser'].indexOf(mode) === -1) {
+      throw new Error('Unsupported logout mode: ' + mode)
+    }
+
+    const account = options.account ? this._getRequestAccount(options) : this.getCachedUser()
+    const storedAccount = account && this._findStoredAccount(account)
+    const idTokenHint = this._authority.isAdfs() && storedAccount ? storedAccount.idToken : null
+
+    // logging out of Azure AD would end the session of whichever account is signed in to it
+    if (options.account && !account) {
+      this.warn('Account to log out is not signed in')
+      return Promise.reject(new AuthError(ERROR_CODE.LOGIN_REQUIRED, 'Account is not signed in'))
+    }
+
+    this._clearSession(options.account ? account : undefined)
+
+    if (mode === 'local') {
+      return Promise.resolve()
+    }
+
+    // the transport only reports the redirects opening the app
+    const postLogoutRedirectUri =
+      options.postLogoutRedirectUri ||
+      (mode === 'browser' ? this.config.redirectUri : this.config.postLogoutRedirectUri)
+    const logoutHint =
+      options.logoutHint || (account && account.profile && account.profile.login_hint) || null
+    const urlNavigate = this._getLogOutUrl(postLogoutRedirectUri, logoutHint, idTokenHint)
+    this.infoPii('Logout navigate to: ' + urlNavigate)
+
+    if (mode === 'redirect') {
+      this.promptUser(urlNavigate)
+      return Promise.resolve()
+    }
+
+    const transport = mode === 'browser' ? this._getInteractiveTransport() : null
+
+    if (mode === 'browser' && !transport) {
+      this.warn('No interactive transport is available, logging out in a popup')
+    }
+
+    const logOutWindow = transport
+      ? this._logOutWithTransport(transport, urlNavigate, postLogoutRedirectUri)
+      : this._logOutPopup(urlNavigate, postLogoutRedirectUri)
+
+    return logOutWindow.catch((err) =>
+      this._emit(EVENT.LOGOUT_FAILURE, {
+        account,
+        error: err.errorCode,
+        errorDesc: err.errorMessage,
+      }),
+    )
+  }
+
+  /**
+   * Constructs the URL of the logout endpoint.
+   * @ignore
+   */
+  _getLogOutUrl(postLogoutRedirectUri, logoutHint, idTokenHint) {
     if (this.config.logOutUri) {
-      urlNavigate = this.config.logOutUri
-    } else {
-      let tenant = 'common'
-      let logout = ''
+      return this.config.logOutUri
+    }
+
+    const parameters = []
+
+    if (postLogoutRedirectUri) {
+      parameters.push('post_logout_redirect_uri=' + encodeURIComponent(postLogoutRedirectUri))
+    }
+
+    // the v1 endpoint and the other authorities do not know the hint
+    if (
+      logoutHint &&
+      this._isV2Endpoint() &&
+      !this._authority.isB2C() &&
+      !this._authority.isAdfs()
+    ) {
+      parameters.push('logout_hint=' + encodeURIComponent(logoutHint))
+    }
+
+    // AD FS identifies the session to end by an id_token
+    if (idTokenHint) {
+      parameters.push('id_token_hint=' + encodeURIComponent(idTokenHint))
+    }
+
+    return this._getEndpointUrl('logout') + '?' + parameters.join('&')
+  }
+
+  /**
+   * Opens the logout endpoint in a popup window, closed once it reaches the post logout redirect uri.
+   * @ignore
+   */
+  _logOutPopup(urlNavigate, postLogoutRedirectUri) {
+    const popupWindow = this._openPopup(
+      urlNavigate,
+      'logout',
+      this.CONSTANTS.POPUP_WIDTH,
+      this.CONSTANTS.POPUP_HEIGHT,
+    )
+
+    if (!popupWindow || popupWindow.closed || popupWindow.closed === undefined) {
+      const errorDesc =
+        'Popup window was blocked by the browser. Open it from a user action, like a click.'
+      this.warn(errorDesc)
+      return Promise.reject(AuthError.fromCallback(errorDesc, 'Error opening popup'))
+    }
+
+    const redirectUri = postLogoutRedirectUri ? postLogoutRedirectUri.split('#')[0] : null
+    const openedOn = new Date().getTime()
+
+    return new Promise((resolve) => {
+      const pollTimer = window.setInterval(() => {
+        let done = popupWindow.closed || popupWindow.closed === undefined
+
+        if (!done && this.CONSTANTS.POPUP_TIMEOUT > 0) {
+          done = new Date().getTime() - openedOn > this.CONSTANTS.POPUP_TIMEOUT
+        }
+
+        try {
+          if (!done && redirectUri) {
+            done = this._isRedirectUrl(popupWindow.location.href, redirectUri)
+          }
+        } catch (e) {
+          // the logout endpoint is on another origin
+        }
+
+        if (done) {
+          window.clearInterval(pollTimer)
+          this.info('Closing logout popup window')
+          popupWindow.close()
+          resolve()
+        }
+      }, this.CONSTANTS.POPUP_POLL_INTERVAL)
+    })
+  }
+
+  /**
+   * Opens the logout endpoint with an interactive transport, closed once it redirects to the post logout redirect uri.
+   * @ignore
+   */
+  _logOutWithTransport(transport, urlNavigate, postLogoutRedirectUri) {
+    return new Promise((resolve, reject) => {
+      let timeoutTimer = null
+      const finish = () => {
+        window.clearTimeout(timeoutTimer)
+        transport.close()
+        resolve()
+      }
+
+      const handlers = {
+        onRedirect: (url) => {
+          if (!postLogoutRedirectUri || !this._isRedirectUrl(url, postLogoutRedirectUri)) {
+            return false
+          }
+
+          this.info('Received the post logout redirect from the interactive transport')
+          finish()
+          return true
+        },
+        // the session is usually ended before the user closes the browser
+        onCancel: finish,
+      }
 
-      if (this.config.tenant) {
-        tenant = this.config.tenant
+      if (this.CONSTANTS.POPUP_TIMEOUT > 0) {
+        timeoutTimer = window.setTimeout(finish, this.CONSTANTS.POPUP_TIMEOUT)
       }
 
-      if (this.config.postLogoutRedirectUri) {
-        logout = 'post_logout_redirect_uri=' + encodeURIComponent(this.config.postLogoutRedirectUri)
+      Promise.resolve()
+        .then(() => transport.open(urlNavigate, handlers))
+        .catch((err) => {
+          window.clearTimeout(timeoutTimer)
+          const errorDesc = 'Interactive transport could not be opened: ' + (err && err.message)
+          this.warn(errorDesc)
+          reject(AuthError.fromCallback(errorDesc, 'Error opening popup'))
+        })
+    })
+  }
+
+  /**
+   * Logs the user out of the app when Azure AD loads its front-channel logout URL, after the user logged out in another
+   * app. Call it from the page registered as front-channel logout URL. The page is loaded in a hidden iframe, which
+   * only shares the cache of the app with the 'localStorage' and 'cookieStorage' cache locations.
+   * @param {string} [url]  -  the URL of the page, with the sid parameter sent by Azure AD. Defaults to the current URL.
+   * @returns {Boolean} true if an account was logged out. An account is only logged out if its session id matches the
+   * sid parameter, when there is one.
+   */
+  handleFrontChannelLogout(url = window.location.href) {
+    const queryStart = url.indexOf('?')
+    const query = queryStart > -1 ? url.substring(queryStart + 1).split('#')[0] : ''
+    const sid = this._deserialize(query).sid
+    const accounts = this.getAllAccounts()
+
+    if (!sid) {
+      this.info('Front-channel logout without session id, logging out every account')
+      this._clearSession()
+      return accounts.length > 0
+    }
+
+    for (let i = 0; i < accounts.length; i++) {
+      if (accounts[i].profile.sid === sid) {
+        this.infoPii('Front-channel logout of account ' + accounts[i].homeAccountId)
+        this._clearSession(accounts[i])
+        return true
       }
+    }
 
-      urlNavigate = this.instance + tenant + '/oauth2/logout?' + logout
+    this.info('Front-channel logout for a session unknown to the app, ignored')
+    return false
+  }
+
+  /**
+   * Logs out of the app only, without navigating to the logout endpoint. An account is removed alone when other
+   * accounts are signed in.
+   * @ignore
+   */
+  _clearSession(account) {
+    if (account && this.getAllAccounts().length > 1) {
+      this.removeAccount(account)
+      this._emit(EVENT.LOGOUT, { account })
+      return
     }
 
-    this.infoPii('Logout navigate to: ' + urlNavigate)
-    this.promptUser(urlNavigate)
+    account = account || this.getCachedUser()
+    this.stopAutoRenew()
+    this.stopSessionMonitor()
+    this.clearCache()
+    this._user = null
+    this._postSyncMessage(SYNC_EVENT.LOGOUT)
+    this._emit(EVENT.LOGOUT, { account })
   }
 
   _isEmpty(str) {
@@ -974,35 +2904,61 @@ class ActiveDirectoryPlugin {
     }
   }
 
+  /**
+   * Returns the user object from memory or from the cached id_token.
+   * @returns {Promise.<User>} resolves with the user, rejects with an {@link AuthError} if user info is not available.
+   */
+  getUserAsync() {
+    return this.initialize().then(
+      () =>
+        new Promise((resolve, reject) => {
+          this.getUser((error, user) => {
+            if (error) {
+              reject(new AuthError(ERROR_CODE.USER_NOT_AVAILABLE, error))
+            } else {
+              resolve(user)
+            }
+          })
+        }),
+    )
+  }
+
   /**
    * Adds login_hint to authorization URL which is used to pre-fill the username field of sign in page for the user if known ahead of time.
    * domain_hint can be one of users/organisations which when added skips the email based discovery process of the user.
    * @ignore
    */
-  _addHintParameters(urlNavigate) {
+  _addHintParameters(urlNavigate, account) {
     //If you don�t use prompt=none, then if the session does not exist, there will be a failure.
     //If sid is sent alongside domain or login hints, there will be a failure since request is ambiguous.
     //If sid is sent with a prompt value other than none or attempt_none, there will be a failure since the request is ambiguous.
+    const user = account || this._user
+    // the sid claim of AD FS is the security identifier of the Windows account, not a session id
+    const isAdfs = this._authority.isAdfs()
 
-    if (this._user && this._user.profile) {
-      if (this._user.profile.sid && urlNavigate.indexOf('&prompt=none') !== -1) {
+    if (user && user.profile) {
+      const loginHint = user.profile.upn || (isAdfs ? user.profile.unique_name : null)
+
+      if (!isAdfs && user.profile.sid && urlNavigate.indexOf('&prompt=none') !== -1) {
         // don't add sid twice if user provided it in the extraQueryParameter value
         if (!this._urlContainsQueryStringParameter('sid', urlNavigate)) {
           // add sid
-          urlNavigate += '&sid=' + encodeURIComponent(this._user.profile.sid)
+          urlNavigate += '&sid=' + encodeURIComponent(user.profile.sid)
         }
-      } else if (this._user.profile.upn) {
+      } else if (loginHint) {
         // don't add login_hint twice if user provided it in the extraQueryParameter value
         if (!this._urlContainsQueryStringParameter('login_hint', urlNavigate)) {
           // add login_hint
-          urlNavigate += '&login_hint=' + encodeURIComponent(this._user.profile.upn)
+          urlNavigate += '&login_hint=' + encodeURIComponent(loginHint)
         }
-        // don't add domain_hint twice if user provided it in the extraQueryParameter value
+        // don't add domain_hint twice if user provided it in the extraQueryParameter value, AD FS has no home realm
+        // discovery to skip
         if (
+          !isAdfs &&
           !this._urlContainsQueryStringParameter('domain_hint', urlNavigate) &&
-          this._user.profile.upn.indexOf('@') > -1
+          user.profile.upn.indexOf('@') > -1
         ) {
-          const parts = this._user.profile.upn.split('@')
+          const parts = user.profile.upn.split('@')
           // local part can include @ in quotes. Sending last part handles that.
           urlNavigate += '&domain_hint=' + encodeURIComponent(parts[parts.length - 1])
         }
@@ -1023,11 +2979,16 @@ class ActiveDirectoryPlugin {
       if (parsedJson.aud.toLowerCase() === this.config.clientId.toLowerCase()) {
         user = {
           userName: '',
+          homeAccountId: this._getHomeAccountId(parsedJson),
+          tenantId: parsedJson.tid || null,
           profile: parsedJson,
         }
 
         if (parsedJson.hasOwnProperty('upn')) {
           user.userName = parsedJson.upn
+        } else if (this._authority.isAdfs() && parsedJson.hasOwnProperty('unique_name')) {
+          // AD FS issues the Windows logon name, like CONTOSO\jdoe, when it has no upn claim rule
+          user.userName = parsedJson.unique_name
         } else if (parsedJson.hasOwnProperty('email')) {
           user.userName = parsedJson.email
         }
@@ -1039,6 +3000,15 @@ class ActiveDirectoryPlugin {
     return user
   }
 
+  /**
+   * Builds the identifier of an account from the object id and tenant id claims of its id_token.
+   * @ignore
+   */
+  _getHomeAccountId(profile) {
+    const objectId = profile.oid || profile.sub || ''
+    return profile.tid ? objectId + '.' + profile.tid : objectId
+  }
+
   /**
    * Returns the anchor part(#) of the URL
    * @ignore
@@ -1064,7 +3034,8 @@ class ActiveDirectoryPlugin {
     return (
       parameters.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION) ||
       parameters.hasOwnProperty(this.CONSTANTS.ACCESS_TOKEN) ||
-      parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN)
+      parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN) ||
+      parameters.hasOwnProperty(this.CONSTANTS.CODE)
     )
   }
 
@@ -1083,7 +3054,7 @@ class ActiveDirectoryPlugin {
    *  @property {REQUEST_TYPE} requestType - either LOGIN, RENEW_TOKEN or UNKNOWN.
    *  @property {boolean} stateMatch - true if state is valid, false otherwise.
    *  @property {string} stateResponse - unique guid used to match the response with the request.
-   *  @property {boolean} valid - true if requestType contains id_token, access_token or error, false otherwise.
+   *  @property {boolean} valid - true if requestType contains id_token, access_token, code or error, false otherwise.
    */
 
   /**
@@ -1106,7 +3077,8 @@ class ActiveDirectoryPlugin {
       if (
         parameters.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION) ||
         parameters.hasOwnProperty(this.CONSTANTS.ACCESS_TOKEN) ||
-        parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN)
+        parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN) ||
+        parameters.hasOwnProperty(this.CONSTANTS.CODE)
       ) {
         requestInfo.valid = true
 
@@ -1150,18 +3122,7 @@ class ActiveDirectoryPlugin {
    * @ignore
    */
   _matchNonce(user) {
-    let requestNonce = this._getItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN)
-
-    if (requestNonce) {
-      requestNonce = requestNonce.split(this.CONSTANTS.CACHE_DELIMETER)
-      for (let i = 0; i < requestNonce.length; i++) {
-        if (requestNonce[i] === user.profile.nonce) {
-          return true
-        }
-      }
-    }
-
-    return false
+    return this._getItemList(this.CONSTANTS.STORAGE.NONCE_IDTOKEN).indexOf(user.profile.nonce) > -1
   }
 
   /**
@@ -1169,30 +3130,20 @@ class ActiveDirectoryPlugin {
    * @ignore
    */
   _matchState(requestInfo) {
-    let loginStates = this._getItem(this.CONSTANTS.STORAGE.STATE_LOGIN)
-
-    if (loginStates) {
-      loginStates = loginStates.split(this.CONSTANTS.CACHE_DELIMETER)
-      for (var i = 0; i < loginStates.length; i++) {
-        if (loginStates[i] === requestInfo.stateResponse) {
-          requestInfo.requestType = this.REQUEST_TYPE.LOGIN
-          requestInfo.stateMatch = true
-          return true
-        }
-      }
+    const loginStates = this._getItemList(this.CONSTANTS.STORAGE.STATE_LOGIN)
+
+    if (loginStates.indexOf(requestInfo.stateResponse) > -1) {
+      requestInfo.requestType = this.REQUEST_TYPE.LOGIN
+      requestInfo.stateMatch = true
+      return true
     }
 
-    let acquireTokenStates = this._getItem(this.CONSTANTS.STORAGE.STATE_RENEW)
+    const acquireTokenStates = this._getItemList(this.CONSTANTS.STORAGE.STATE_RENEW)
 
-    if (acquireTokenStates) {
-      acquireTokenStates = acquireTokenStates.split(this.CONSTANTS.CACHE_DELIMETER)
-      for (var i = 0; i < acquireTokenStates.length; i++) {
-        if (acquireTokenStates[i] === requestInfo.stateResponse) {
-          requestInfo.requestType = this.REQUEST_TYPE.RENEW_TOKEN
-          requestInfo.stateMatch = true
-          return true
-        }
-      }
+    if (acquireTokenStates.indexOf(requestInfo.stateResponse) > -1) {
+      requestInfo.requestType = this.REQUEST_TYPE.RENEW_TOKEN
+      requestInfo.stateMatch = true
+      return true
     }
 
     return false
@@ -1225,6 +3176,55 @@ class ActiveDirectoryPlugin {
     this._saveItem(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '')
 
     let resource = this._getResourceFromState(requestInfo.stateResponse)
+    const requestResource = resource
+    let account = this._user
+    let nonceError = null
+
+    // responses with an invalid id_token are recorded as errors, so that none of their tokens are cached
+    if (
+      requestInfo.stateMatch &&
+      !requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION) &&
+      requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN)
+    ) {
+      const claims = this._extractIdToken(requestInfo.parameters[this.CONSTANTS.ID_TOKEN])
+      const claimsError = claims && this._idTokenValidator.validateClaims(claims)
+
+      if (claimsError) {
+        this.warn('Rejecting id_token: ' + claimsError)
+        requestInfo.parameters[this.CONSTANTS.ERROR] = 'invalid id_token'
+        requestInfo.parameters[this.CONSTANTS.ERROR_DESCRIPTION] =
+          'Invalid id_token claims. ' + claimsError
+      }
+    }
+
+    // tokens not meeting the authentication requirements of their request are neither cached nor returned
+    const requirementsKey = this.CONSTANTS.STORAGE.AUTH_REQUIREMENTS + requestInfo.stateResponse
+    const requirements = requestInfo.stateMatch ? this._getItem(requirementsKey) : null
+
+    if (requirements) {
+      this._removeItem(requirementsKey)
+    }
+
+    if (requirements && !requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION)) {
+      const idToken = requestInfo.parameters[this.CONSTANTS.ID_TOKEN]
+      const authClaims = this._getAuthClaims(
+        requestInfo.parameters[this.CONSTANTS.ACCESS_TOKEN] || idToken,
+        idToken ? this._extractIdToken(idToken) : null,
+      )
+      const requirementsError = checkAuthRequirements(
+        authClaims,
+        JSON.parse(requirements),
+        authClaims.issuedOn || this._now(),
+      )
+
+      if (requirementsError) {
+        this.warn('Rejecting token: ' + requirementsError)
+        requestInfo.parameters[this.CONSTANTS.ERROR] = 'interaction_required'
+        requestInfo.parameters[this.CONSTANTS.ERROR_DESCRIPTION] =
+          'The token does not meet the authentication requirements of the request. ' +
+          requirementsError
+      }
+    }
 
     // Record error
     if (requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION)) {
@@ -1256,71 +3256,77 @@ class ActiveDirectoryPlugin {
           )
         }
 
-        let keys
-
         if (requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ACCESS_TOKEN)) {
           this.info('Fragment has access token')
-
-          if (!this._hasResource(resource)) {
-            keys = this._getItem(this.CONSTANTS.STORAGE.TOKEN_KEYS) || ''
-            this._saveItem(
-              this.CONSTANTS.STORAGE.TOKEN_KEYS,
-              keys + resource + this.CONSTANTS.RESOURCE_DELIMETER,
-            )
-          }
+          // the account of the token is the one of the id_token returned alongside, if any
+          const profile =
+            this._extractIdToken(requestInfo.parameters[this.CONSTANTS.ID_TOKEN]) ||
+            (this._user && this._user.profile)
 
           // save token with related resource
-          this._saveItem(
-            this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + resource,
-            requestInfo.parameters[this.CONSTANTS.ACCESS_TOKEN],
-          )
-          this._saveItem(
-            this.CONSTANTS.STORAGE.EXPIRATION_KEY + resource,
-            this._expiresIn(requestInfo.parameters[this.CONSTANTS.EXPIRES_IN]),
+          this._tokenCache.setEntry(
+            this._createCacheEntry(
+              resource,
+              requestInfo.parameters[this.CONSTANTS.ACCESS_TOKEN],
+              this._expiresIn(requestInfo.parameters[this.CONSTANTS.EXPIRES_IN]),
+              this.CONSTANTS.ACCESS_TOKEN,
+              profile,
+              requestInfo.parameters[this.CONSTANTS.SCOPE],
+            ),
           )
+          this._postSyncMessage(SYNC_EVENT.TOKEN_ACQUIRED, { resource })
         }
 
         if (requestInfo.parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN)) {
           this.info('Fragment has id token')
           this._loginInProgress = false
-          this._user = this._createUser(requestInfo.parameters[this.CONSTANTS.ID_TOKEN])
-          if (this._user && this._user.profile) {
-            if (!this._matchNonce(this._user)) {
-              this._saveItem(
-                this.CONSTANTS.STORAGE.LOGIN_ERROR,
+          const idToken = requestInfo.parameters[this.CONSTANTS.ID_TOKEN]
+          const user = this._createUser(idToken)
+          if (user && user.profile) {
+            if (!this._matchNonce(user)) {
+              nonceError =
                 'Nonce received: ' +
-                  this._user.profile.nonce +
-                  ' is not same as requested: ' +
-                  this._getItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN),
-              )
-              this._user = null
+                user.profile.nonce +
+                ' is not same as requested: ' +
+                this._getItem(this.CONSTANTS.STORAGE.NONCE_IDTOKEN)
+              this._saveItem(this.CONSTANTS.STORAGE.LOGIN_ERROR, nonceError)
             } else {
-              this._saveItem(
-                this.CONSTANTS.STORAGE.IDTOKEN,
-                requestInfo.parameters[this.CONSTANTS.ID_TOKEN],
-              )
+              account = user
+              this._saveAccount(user, idToken)
+
+              // logins switch to the signed in account, token renewals of other accounts leave the active one alone
+              const activeAccount = this.getCachedUser()
+              if (
+                requestInfo.requestType === this.REQUEST_TYPE.LOGIN ||
+                !activeAccount ||
+                this._isActiveAccount(user)
+              ) {
+                this._user = user
+                this._saveItem(this.CONSTANTS.STORAGE.IDTOKEN, idToken)
+                this._saveItem(this.CONSTANTS.STORAGE.ACTIVE_ACCOUNT, user.homeAccountId)
+              }
 
               // Save idtoken as access token for app itself
               resource = this.config.loginResource
                 ? this.config.loginResource
                 : this.config.clientId
 
-              if (!this._hasResource(resource)) {
-                keys = this._getItem(this.CONSTANTS.STORAGE.TOKEN_KEYS) || ''
-                this._saveItem(
-                  this.CONSTANTS.STORAGE.TOKEN_KEYS,
-                  keys + resource + this.CONSTANTS.RESOURCE_DELIMETER,
-                )
-              }
-
-              this._saveItem(
-                this.CONSTANTS.STORAGE.ACCESS_TOKEN_KEY + resource,
-                requestInfo.parameters[this.CONSTANTS.ID_TOKEN],
-              )
-              this._saveItem(
-                this.CONSTANTS.STORAGE.EXPIRATION_KEY + resource,
-                this._user.profile.exp,
+              this._tokenCache.setEntry(
+                this._createCacheEntry(
+                  resource,
+                  idToken,
+                  user.profile.exp,
+                  this.CONSTANTS.ID_TOKEN,
+                  user.profile,
+                  null,
+                ),
               )
+
+              if (requestInfo.requestType === this.REQUEST_TYPE.LOGIN) {
+                this._postSyncMessage(SYNC_EVENT.LOGIN, { homeAccountId: user.homeAccountId })
+              } else {
+                this._postSyncMessage(SYNC_EVENT.TOKEN_ACQUIRED, { resource })
+              }
             }
           } else {
             requestInfo.parameters['error'] = 'invalid id_token'
@@ -1345,10 +3351,31 @@ class ActiveDirectoryPlugin {
       }
     }
 
+    // renewals are keyed by account as well, see _getRenewalKey
     this._saveItem(
-      this.CONSTANTS.STORAGE.RENEW_STATUS + resource,
+      this.CONSTANTS.STORAGE.RENEW_STATUS +
+        (this._findRenewalKey(requestInfo.stateResponse) || resource),
       this.CONSTANTS.TOKEN_RENEW_STATUS_COMPLETED,
     )
+    this._refreshAutoRenew()
+
+    const isLogin = requestInfo.requestType === this.REQUEST_TYPE.LOGIN
+    const error = requestInfo.parameters[this.CONSTANTS.ERROR] || (nonceError && 'Invalid_nonce')
+    let eventName = isLogin ? EVENT.LOGIN_SUCCESS : EVENT.ACQUIRE_TOKEN_SUCCESS
+
+    if (error) {
+      eventName = isLogin ? EVENT.LOGIN_FAILURE : EVENT.ACQUIRE_TOKEN_FAILURE
+    }
+
+    this._emit(eventName, {
+      correlationId: this._getCorrelationId(requestInfo.stateResponse),
+      resource: isLogin ? this.config.loginResource : requestResource,
+      account: isLogin && error ? null : account,
+      error: error || null,
+      errorDesc: error
+        ? requestInfo.parameters[this.CONSTANTS.ERROR_DESCRIPTION] || nonceError
+        : null,
+    })
   }
 
   /**
@@ -1393,21 +3420,113 @@ class ActiveDirectoryPlugin {
   }
 
   /**
-   * Strips the protocol part of the URL and returns it.
-   * @ignore
+   * Strips the protocol part of the URL and returns it.
+   * @ignore
+   */
+  _getHostFromUri(uri) {
+    // remove http:// or https:// from uri
+    let extractedUri = String(uri).replace(/^(https?:)\/\//, '')
+    extractedUri = extractedUri.split('/')[0]
+    return extractedUri
+  }
+
+  /**
+   * Sends a request with fetch. Requests to the endpoints mapped to a resource by getResourceForEndpoint get an
+   * 'Authorization: Bearer' header with a token from acquireToken, and are retried once with a new token after a 401 response.
+   * @param {string|Request} input  -  the URL or Request passed to fetch.
+   * @param {object} [init]  -  the options passed to fetch.
+   * @returns {Promise.<Response>} rejects with an {@link AuthError} if no token can be acquired.
+   */
+  authFetch(input, init) {
+    if (!this._authFetch) {
+      this._authFetch = createAuthFetch(this, (...args) =>
+        (this._originalFetch || window.fetch).apply(window, args),
+      )
+    }
+
+    return this._authFetch(input, init)
+  }
+
+  /**
+   * Replaces window.fetch with authFetch, so that every request sent with fetch gets a token.
+   * @returns {function} restores the original window.fetch.
+   */
+  installFetchInterceptor() {
+    if (!this._originalFetch) {
+      this._originalFetch = window.fetch
+      window.fetch = (input, init) => this.authFetch(input, init)
+    }
+
+    return () => {
+      if (this._originalFetch) {
+        window.fetch = this._originalFetch
+        this._originalFetch = null
+      }
+    }
+  }
+
+  /**
+   * Creates axios interceptors attaching tokens like authFetch.
+   * @param {object} axiosInstance  -  the axios instance the interceptors are registered on.
+   * @returns {{request: function, responseError: function}} the request interceptor and the response error interceptor.
+   */
+  createAxiosInterceptors(axiosInstance) {
+    return createAxiosInterceptors(this, axiosInstance)
+  }
+
+  /**
+   * Wraps XMLHttpRequest so that requests to the endpoints mapped to a resource get a token like with authFetch.
+   * Listeners added before open() also see the 401 responses that are retried.
+   * @returns {function} restores the original XMLHttpRequest methods.
+   */
+  installXhrInterceptor() {
+    return installXhrInterceptor(this, window.XMLHttpRequest)
+  }
+
+  /**
+   * Removes a token rejected by an API from the cache, so that the next request gets a new one.
+   * @ignore
+   */
+  _removeCachedToken(token) {
+    this._tokenCache.removeToken(token)
+  }
+
+  /**
+   * This method must be called for processing the response received from AAD. It extracts the hash, processes the token or error, saves it in the cache and calls the registered callbacks with the result.
+   * @param {string} [hash=window.location.hash] - Hash fragment of Url.
+   */
+  handleWindowCallback(hash) {
+    this._handleWindowCallback(hash, null)
+  }
+
+  /**
+   * Processes the response of a redirect flow, like handleWindowCallback does.
+   * @param {string} [hash=window.location.hash] - Hash fragment of Url.
+   * @returns {Promise.<AuthResult>} resolves with the token received, or with null if the hash is not a response from AAD. Rejects with an {@link AuthError} if AAD returned an error.
    */
-  _getHostFromUri(uri) {
-    // remove http:// or https:// from uri
-    let extractedUri = String(uri).replace(/^(https?:)\/\//, '')
-    extractedUri = extractedUri.split('/')[0]
-    return extractedUri
+  handleRedirectPromise(hash) {
+    if (hash == null) {
+      hash = window.location.hash
+    }
+
+    if (!this.isCallback(hash)) {
+      return Promise.resolve(null)
+    }
+
+    return this.initialize().then(
+      () =>
+        new Promise((resolve, reject) => {
+          const resource = this._getResourceFromState(this.getRequestInfo(hash).stateResponse)
+          this._handleWindowCallback(hash, this._createPromiseCallback(resource, resolve, reject))
+        }),
+    )
   }
 
   /**
-   * This method must be called for processing the response received from AAD. It extracts the hash, processes the token or error, saves it in the cache and calls the registered callbacks with the result.
-   * @param {string} [hash=window.location.hash] - Hash fragment of Url.
+   * Handles the response from AAD and calls resultCallback, if any, after the registered callback.
+   * @ignore
    */
-  handleWindowCallback(hash) {
+  _handleWindowCallback(hash, resultCallback) {
     // This is for regular javascript usage for redirect handling
     // need to make sure this is for callback
     if (hash == null) {
@@ -1430,9 +3549,7 @@ class ActiveDirectoryPlugin {
       }
 
       const requestInfo = self.getRequestInfo(hash)
-      let token,
-        tokenReceivedCallback,
-        tokenType = null
+      let tokenReceivedCallback
 
       if (isPopup || window.parent !== window) {
         tokenReceivedCallback = self._callBackMappedToRenewStates[requestInfo.stateResponse]
@@ -1441,62 +3558,444 @@ class ActiveDirectoryPlugin {
       }
 
       self.info('Returned from redirect url')
-      self.saveTokenFromHash(requestInfo)
+      self._handleResponse(requestInfo, tokenReceivedCallback, isPopup, resultCallback)
+    }
+  }
 
-      if (requestInfo.requestType === this.REQUEST_TYPE.RENEW_TOKEN && window.parent) {
-        if (window.parent !== window) {
-          self.verbose('Window is in iframe, acquiring token silently')
-        } else {
-          self.verbose('acquiring token interactive in progress')
-        }
+  /**
+   * Redeems the authorization code and validates the id_token of a response when needed, then completes it.
+   * @ignore
+   */
+  _handleResponse(requestInfo, tokenReceivedCallback, isPopup, resultCallback) {
+    const complete = () => {
+      this._validateIdTokenSignature(requestInfo, () => {
+        this._completeWindowCallback(requestInfo, tokenReceivedCallback, isPopup, resultCallback)
+      })
+    }
+
+    if (requestInfo.parameters.hasOwnProperty(this.CONSTANTS.CODE)) {
+      // tokens are only known once the authorization code has been redeemed
+      this._redeemAuthCode(requestInfo, complete)
+    } else {
+      complete()
+    }
+  }
 
-        token =
-          requestInfo.parameters[self.CONSTANTS.ACCESS_TOKEN] ||
-          requestInfo.parameters[self.CONSTANTS.ID_TOKEN]
-        tokenType = self.CONSTANTS.ACCESS_TOKEN
-      } else if (requestInfo.requestType === this.REQUEST_TYPE.LOGIN) {
-        token = requestInfo.parameters[self.CONSTANTS.ID_TOKEN]
-        tokenType = self.CONSTANTS.ID_TOKEN
+  /**
+   * Saves the response in the cache, calls the registered callback and navigates back to the login request url when needed.
+   * @ignore
+   */
+  _completeWindowCallback(requestInfo, tokenReceivedCallback, isPopup, resultCallback) {
+    const self = this
+    let token,
+      tokenType = null
+
+    self.saveTokenFromHash(requestInfo)
+
+    if (requestInfo.requestType === this.REQUEST_TYPE.RENEW_TOKEN && window.parent) {
+      if (window.parent !== window) {
+        self.verbose('Window is in iframe, acquiring token silently')
+      } else {
+        self.verbose('acquiring token interactive in progress')
       }
 
-      const errorDesc = requestInfo.parameters[self.CONSTANTS.ERROR_DESCRIPTION]
-      const error = requestInfo.parameters[self.CONSTANTS.ERROR]
-      try {
-        if (tokenReceivedCallback) {
-          tokenReceivedCallback(errorDesc, token, error, tokenType)
+      token =
+        requestInfo.parameters[self.CONSTANTS.ACCESS_TOKEN] ||
+        requestInfo.parameters[self.CONSTANTS.ID_TOKEN]
+      tokenType = self.CONSTANTS.ACCESS_TOKEN
+    } else if (requestInfo.requestType === this.REQUEST_TYPE.LOGIN) {
+      token = requestInfo.parameters[self.CONSTANTS.ID_TOKEN]
+      tokenType = self.CONSTANTS.ID_TOKEN
+    }
+
+    const errorDesc = requestInfo.parameters[self.CONSTANTS.ERROR_DESCRIPTION]
+    const error = requestInfo.parameters[self.CONSTANTS.ERROR]
+    const authError =
+      errorDesc || error
+        ? AuthError.fromCallback(errorDesc, error, {
+            subError: requestInfo.parameters[self.CONSTANTS.SUB_ERROR],
+            correlationId: self._getCorrelationId(requestInfo.stateResponse),
+          })
+        : null
+
+    // the user selected "Forgot your password?" during a B2C login, which continues with the password reset
+    if (
+      requestInfo.requestType === this.REQUEST_TYPE.LOGIN &&
+      self.config.passwordResetPolicy &&
+      (errorDesc || '').indexOf(self.CONSTANTS.B2C_PASSWORD_RESET_ERROR) > -1
+    ) {
+      self._resetPassword(tokenReceivedCallback, isPopup)
+      return
+    }
+
+    try {
+      if (tokenReceivedCallback) {
+        tokenReceivedCallback(errorDesc, token, error, tokenType, authError)
+      }
+    } catch (err) {
+      self.error('Error occurred in user defined callback function: ' + err)
+    }
+
+    if (resultCallback) {
+      resultCallback(errorDesc, token, error, tokenType, authError)
+    }
+
+    if (window.parent === window && !isPopup) {
+      if (self.config.navigateToLoginRequestUrl) {
+        window.location.href = self._getItem(self.CONSTANTS.STORAGE.LOGIN_REQUEST)
+      } else window.location.hash = ''
+    }
+  }
+
+  /**
+   * Starts the B2C password reset user flow in place of a login. The callback of the login receives the result of the
+   * password reset.
+   * @ignore
+   */
+  _resetPassword(callback, isPopup) {
+    this.info('Password reset requested, starting user flow ' + this.config.passwordResetPolicy)
+
+    if (!isPopup) {
+      // back to the page the login started from once the password is reset
+      this._saveItem(
+        this.CONSTANTS.STORAGE.ANGULAR_LOGIN_REQUEST,
+        this._getItem(this.CONSTANTS.STORAGE.LOGIN_REQUEST),
+      )
+    }
+
+    this._login(callback, isPopup, { policy: this.config.passwordResetPolicy })
+  }
+
+  /**
+   * Redeems the authorization code of a code flow response at the token endpoint and merges the
+   * returned tokens into the request parameters, so they can be cached by saveTokenFromHash.
+   * @ignore
+   */
+  _redeemAuthCode(requestInfo, callback) {
+    const parameters = requestInfo.parameters
+    const verifierKey = this.CONSTANTS.STORAGE.CODE_VERIFIER + requestInfo.stateResponse
+    const codeVerifier = this._getItem(verifierKey)
+    const policyKey = this.CONSTANTS.STORAGE.POLICY + requestInfo.stateResponse
+    const policy = this._getItem(policyKey)
+    this._removeItem(verifierKey)
+    this._removeItem(policyKey)
+
+    // saveTokenFromHash records the invalid state
+    if (!requestInfo.stateMatch) {
+      callback()
+      return
+    }
+
+    if (!codeVerifier) {
+      parameters[this.CONSTANTS.ERROR] = 'invalid_request'
+      parameters[this.CONSTANTS.ERROR_DESCRIPTION] =
+        'Code verifier not found for state: ' + requestInfo.stateResponse
+      callback()
+      return
+    }
+
+    const body = [
+      'grant_type=authorization_code',
+      'client_id=' + encodeURIComponent(this.config.clientId),
+      'code=' + encodeURIComponent(parameters[this.CONSTANTS.CODE]),
+      'redirect_uri=' + encodeURIComponent(this.config.redirectUri),
+      'code_verifier=' + encodeURIComponent(codeVerifier),
+    ].join('&')
+
+    delete parameters[this.CONSTANTS.CODE]
+    this.verbose('Redeeming authorization code for state: ' + requestInfo.stateResponse)
+
+    const self = this
+    this._discoverAuthority()
+      .then(() =>
+        fetch(self._getTokenEndpoint(policy), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body,
+        }),
+      )
+      .then((response) => response.json())
+      .then(
+        (tokenResponse) => {
+          for (const key in tokenResponse) {
+            if (tokenResponse.hasOwnProperty(key)) {
+              parameters[key] = tokenResponse[key]
+            }
+          }
+
+          if (
+            parameters.hasOwnProperty(self.CONSTANTS.ERROR) &&
+            !parameters[self.CONSTANTS.ERROR_DESCRIPTION]
+          ) {
+            parameters[self.CONSTANTS.ERROR_DESCRIPTION] = parameters[self.CONSTANTS.ERROR]
+          }
+        },
+        (err) => {
+          self.warn('Authorization code could not be redeemed: ' + err.message)
+          parameters[self.CONSTANTS.ERROR] = 'Token Request Failed'
+          parameters[self.CONSTANTS.ERROR_DESCRIPTION] =
+            'Authorization code could not be redeemed: ' + err.message
+        },
+      )
+      .then(() => callback())
+      .catch((err) => {
+        self.error('Failed to complete the authorization code response', err)
+
+        // the renewal or popup is over, the requests waiting for its token would never be called otherwise
+        const waitingCallback = self._callBackMappedToRenewStates[requestInfo.stateResponse]
+
+        if (waitingCallback) {
+          const errorDesc = 'Authorization code response could not be completed: ' + err.message
+          waitingCallback(
+            errorDesc,
+            null,
+            ERROR_CODE.UNEXPECTED_ERROR,
+            null,
+            AuthError.fromCallback(errorDesc, ERROR_CODE.UNEXPECTED_ERROR, {
+              correlationId: self._getCorrelationId(requestInfo.stateResponse),
+            }),
+          )
+        }
+      })
+  }
+
+  /**
+   * Checks the signature of the id_token of a response when validateIdTokenSignature is set. An invalid response is
+   * turned into an 'invalid id_token' error, and its tokens are removed so that saveTokenFromHash does not cache them.
+   * @ignore
+   */
+  _validateIdTokenSignature(requestInfo, callback) {
+    const parameters = requestInfo.parameters
+
+    if (
+      !this.config.validateIdTokenSignature ||
+      !requestInfo.stateMatch ||
+      !parameters.hasOwnProperty(this.CONSTANTS.ID_TOKEN) ||
+      parameters.hasOwnProperty(this.CONSTANTS.ERROR)
+    ) {
+      callback()
+      return
+    }
+
+    const self = this
+    this._idTokenValidator.validateSignature(parameters[this.CONSTANTS.ID_TOKEN]).then(
+      () => {
+        self.verbose('id_token signature is valid')
+        callback()
+      },
+      (err) => {
+        self.warn('Rejecting response: ' + err.message)
+        delete parameters[self.CONSTANTS.ID_TOKEN]
+        delete parameters[self.CONSTANTS.ACCESS_TOKEN]
+        parameters[self.CONSTANTS.ERROR] = 'invalid id_token'
+        parameters[self.CONSTANTS.ERROR_DESCRIPTION] = 'Invalid id_token signature. ' + err.message
+        callback()
+      },
+    )
+  }
+
+  /**
+   * Constructs the URL of the OpenID configuration of the tenant.
+   * @ignore
+   */
+  _getOpenIdConfigurationUrl() {
+    return this._authority.getOpenIdConfigurationUrl(this._isV2Endpoint())
+  }
+
+  /**
+   * Fetches the OpenID configuration of the tenant once, sharing it between its users.
+   * @ignore
+   */
+  _getOpenIdConfiguration() {
+    if (!this._openIdConfiguration) {
+      this._openIdConfiguration = this._discoverAuthority()
+        .then(() => this._fetchJson(this._getOpenIdConfigurationUrl()))
+        .catch((err) => {
+          // fetched again by the next caller
+          this._openIdConfiguration = null
+          throw err
+        })
+    }
+
+    return this._openIdConfiguration
+  }
+
+  /**
+   * Returns the URL of the page checking the session, from the config or the OpenID configuration.
+   * @ignore
+   */
+  _getCheckSessionIframeUri() {
+    if (this.config.checkSessionIframeUri) {
+      return Promise.resolve(this.config.checkSessionIframeUri)
+    }
+
+    return this._getOpenIdConfiguration().then((metadata) => metadata.check_session_iframe || null)
+  }
+
+  /**
+   * Fetches a JSON document.
+   * @ignore
+   */
+  _fetchJson(url) {
+    return Promise.resolve()
+      .then(() => fetch(url))
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('HTTP status ' + response.status + ' from ' + url)
         }
-      } catch (err) {
-        self.error('Error occurred in user defined callback function: ' + err)
+
+        return response.json()
+      })
+  }
+
+  /**
+   * Returns true if tokens are obtained with the authorization code flow.
+   * @ignore
+   */
+  _isCodeFlow() {
+    return this.config.flowType === this.FLOW_TYPE.AUTH_CODE
+  }
+
+  /**
+   * Constructs the token endpoint URL used to redeem authorization codes.
+   * @ignore
+   */
+  _getTokenEndpoint(policy) {
+    return this._getEndpointUrl('token', policy)
+  }
+
+  /**
+   * Waits for the instance discovery of the authority, when its host is not trusted yet.
+   * @ignore
+   */
+  _discoverAuthority() {
+    return this._authority.discover((url) => this._fetchJson(url))
+  }
+
+  /**
+   * Returns the URL of an OAuth endpoint of the authority for the configured endpoint version, and for the given B2C
+   * user flow if any.
+   * @ignore
+   */
+  _getEndpointUrl(endpoint, policy) {
+    return this._authority.getEndpointUrl(endpoint, this._isV2Endpoint(), policy)
+  }
+
+  /**
+   * Returns true if the Microsoft identity platform v2.0 endpoints are used.
+   * @ignore
+   */
+  _isV2Endpoint() {
+    return this.config.endpointVersion === this.ENDPOINT_VERSION.V2
+  }
+
+  /**
+   * Normalizes a list of scopes, given as array or space separated string, into the lower case, sorted and
+   * space separated string used to key the cache. Resources are returned untouched with the v1 endpoint.
+   * @ignore
+   */
+  _normalizeResource(resource) {
+    if (!this._isV2Endpoint() || this._isEmpty(resource)) {
+      return resource
+    }
+
+    const scopes = Array.isArray(resource) ? resource : String(resource).split(' ')
+    const normalized = []
+
+    for (let i = 0; i < scopes.length; i++) {
+      const scope = String(scopes[i]).trim().toLowerCase()
+
+      if (scope && normalized.indexOf(scope) === -1) {
+        normalized.push(scope)
       }
+    }
 
-      if (window.parent === window && !isPopup) {
-        if (self.config.navigateToLoginRequestUrl) {
-          window.location.href = self._getItem(self.CONSTANTS.STORAGE.LOGIN_REQUEST)
-        } else window.location.hash = ''
+    return normalized.sort().join(' ')
+  }
+
+  /**
+   * Returns true if every scope of the requested set is part of the cached set. Both sets must be normalized.
+   * @ignore
+   */
+  _scopesContain(cachedScopes, requestedScopes) {
+    const cached = cachedScopes.split(' ')
+    const requested = requestedScopes.split(' ')
+
+    for (let i = 0; i < requested.length; i++) {
+      if (cached.indexOf(requested[i]) === -1) {
+        return false
       }
     }
+
+    return true
   }
 
   /**
-   * Constructs the authorization endpoint URL and returns it.
+   * Builds the scope parameter of a v2.0 authorization request. Requests for the app itself ask for the
+   * OpenID Connect scopes and the scopes to consent to at login.
    * @ignore
    */
-  _getNavigateUrl(responseType, resource) {
-    let tenant = 'common'
-    if (this.config.tenant) {
-      tenant = this.config.tenant
+  _getScopeParameter(resource) {
+    let scopes = this.CONSTANTS.OIDC_SCOPES.slice()
+
+    if (this._isEmpty(resource) || resource === this._normalizeResource(this.config.clientId)) {
+      scopes = scopes.concat(this.config.extraScopesToConsent || [])
+    } else {
+      scopes = scopes.concat(resource.split(' '))
     }
 
-    const urlNavigate =
-      this.instance +
-      tenant +
-      '/oauth2/authorize' +
+    return this._normalizeResource(scopes)
+  }
+
+  /**
+   * Constructs the authorization endpoint URL and returns it.
+   * @ignore
+   */
+  _getNavigateUrl(responseType, resource, policy) {
+    let urlNavigate =
+      this._getEndpointUrl('authorize', policy) +
       this._serialize(responseType, this.config, resource) +
       this._addLibMetadata()
+
+    if (this._isCodeFlow()) {
+      // the verifier is stored by state so that it survives a full page redirect
+      const pkceCodes = createPkceCodes()
+      this._saveItem(this.CONSTANTS.STORAGE.CODE_VERIFIER + this.config.state, pkceCodes.verifier)
+
+      // the code is redeemed at the token endpoint of the same B2C user flow
+      if (policy) {
+        this._saveItem(this.CONSTANTS.STORAGE.POLICY + this.config.state, policy)
+      }
+
+      urlNavigate +=
+        '&code_challenge=' +
+        encodeURIComponent(pkceCodes.challenge) +
+        '&code_challenge_method=' +
+        pkceCodes.method
+    }
+
     this.info('Navigate url:' + urlNavigate)
     return urlNavigate
   }
 
+  /**
+   * Constructs the authorization endpoint URL, or fails the request if it cannot be built, like when the authority is
+   * not validated yet, the B2C policy is invalid or PKCE is not supported. The error code is the one of the AuthError
+   * thrown.
+   * @ignore
+   * @returns {string} the URL, or null if the callback was called with the error.
+   */
+  _tryGetNavigateUrl(responseType, resource, policy, expectedState, callback) {
+    try {
+      return this._getNavigateUrl(responseType, resource, policy)
+    } catch (err) {
+      this.error('Failed to build the authorization URL', err)
+      this._renewStates = this._renewStates.filter((state) => state !== expectedState)
+      callback(err.message, null, err.errorCode || ERROR_CODE.UNEXPECTED_ERROR)
+      return null
+    }
+  }
+
   /**
    * Returns the decoded id_token.
    * @ignore
@@ -1644,9 +4143,23 @@ class ActiveDirectoryPlugin {
     const str = []
 
     if (obj !== null) {
-      str.push('?response_type=' + 'id_token token')
+      if (obj.flowType === this.FLOW_TYPE.AUTH_CODE) {
+        // the code is returned in the fragment so the response is handled like the implicit one
+        str.push('?response_type=' + this.RESPONSE_TYPE.CODE)
+        str.push('response_mode=fragment')
+      } else {
+        str.push('?response_type=' + 'id_token token')
+      }
+
       str.push('client_id=' + encodeURIComponent(obj.clientId))
-      str.push('resource=' + encodeURIComponent(obj.clientId))
+
+      if (obj.endpointVersion === this.ENDPOINT_VERSION.V2) {
+        str.push('scope=' + encodeURIComponent(this._getScopeParameter(resource)))
+      } else if (obj.flowType === this.FLOW_TYPE.AUTH_CODE) {
+        str.push('resource=' + encodeURIComponent(resource || obj.clientId))
+      } else {
+        str.push('resource=' + encodeURIComponent(obj.clientId))
+      }
 
       str.push('redirect_uri=' + encodeURIComponent(obj.redirectUri))
       str.push('state=' + encodeURIComponent(obj.state))
@@ -1659,7 +4172,7 @@ class ActiveDirectoryPlugin {
         str.push(obj.extraQueryParameter)
       }
 
-      const correlationId = obj.correlationId ? obj.correlationId : this._guid()
+      const correlationId = obj.correlationId || this._getCorrelationId(obj.state)
       str.push('client-request-id=' + encodeURIComponent(correlationId))
     }
 
@@ -1847,34 +4360,64 @@ class ActiveDirectoryPlugin {
   }
 
   /**
-   * Saves the key-value pair in the cache
+   * Creates the storage adapter used by the cache from config.storage or config.cacheLocation.
    * @ignore
    */
-  _saveItem(key, obj, preserve) {
-    if (this.config && this.config.cacheLocation && this.config.cacheLocation === 'localStorage') {
-      if (!this._supportsLocalStorage()) {
-        this.info('Local storage is not supported')
-        return false
+  _createStorage() {
+    const self = this
+
+    if (this.config.storage) {
+      if (this.config.storage.async) {
+        return new AsyncStorageCache(this.config.storage, this.CONSTANTS.STORAGE_PREFIX, (err) => {
+          self.warn('Error persisting cache item: ' + (err && err.message ? err.message : err))
+        })
       }
 
+      return this.config.storage
+    }
+
+    switch (this.config.cacheLocation) {
+      case this.CONSTANTS.CACHE_LOCATION.LOCAL_STORAGE:
+        if (this._supportsLocalStorage()) {
+          return new WebStorageAdapter(window.localStorage)
+        }
+
+        this.info('Local storage is not supported, using memory storage')
+        return new MemoryStorageAdapter()
+      case this.CONSTANTS.CACHE_LOCATION.MEMORY_STORAGE:
+        return new MemoryStorageAdapter()
+      case this.CONSTANTS.CACHE_LOCATION.COOKIE_STORAGE:
+        return new CookieStorageAdapter(this.config.cookieOptions)
+      default:
+        // Default as session storage
+        if (this._supportsSessionStorage()) {
+          return new WebStorageAdapter(window.sessionStorage)
+        }
+
+        this.info('Session storage is not supported, using memory storage')
+        return new MemoryStorageAdapter()
+    }
+  }
+
+  /**
+   * Saves the key-value pair in the cache
+   * @ignore
+   */
+  _saveItem(key, obj, preserve) {
+    try {
       if (preserve) {
-        const value = this._getItem(key) || ''
-        localStorage.setItem(key, value + obj + this.CONSTANTS.CACHE_DELIMETER)
+        const values = this._getItemList(key)
+        values.push(obj)
+        this._storage.setItem(key, JSON.stringify(values))
       } else {
-        localStorage.setItem(key, obj)
+        this._storage.setItem(key, obj)
       }
 
       return true
-    }
-
-    // Default as session storage
-    if (!this._supportsSessionStorage()) {
-      this.info('Session storage is not supported')
+    } catch (e) {
+      this.warn('Error saving cache item ' + key + ': ' + e.message)
       return false
     }
-
-    sessionStorage.setItem(key, obj)
-    return true
   }
 
   /**
@@ -1882,22 +4425,46 @@ class ActiveDirectoryPlugin {
    * @ignore
    */
   _getItem(key) {
-    if (this.config && this.config.cacheLocation && this.config.cacheLocation === 'localStorage') {
-      if (!this._supportsLocalStorage()) {
-        this.info('Local storage is not supported')
-        return null
-      }
+    try {
+      return this._storage.getItem(key)
+    } catch (e) {
+      this.warn('Error reading cache item ' + key + ': ' + e.message)
+      return null
+    }
+  }
+
+  /**
+   * Returns the list of values saved for the given key with the preserve flag of _saveItem
+   * @ignore
+   */
+  _getItemList(key) {
+    const value = this._getItem(key)
 
-      return localStorage.getItem(key)
+    if (this._isEmpty(value)) {
+      return []
     }
 
-    // Default as session storage
-    if (!this._supportsSessionStorage()) {
-      this.info('Session storage is not supported')
-      return null
+    try {
+      const values = JSON.parse(value)
+      return Array.isArray(values) ? values : [String(values)]
+    } catch (e) {
+      // lists saved by ADAL are joined with the cache delimiter
+      return value.split(this.CONSTANTS.CACHE_DELIMETER).filter((item) => item !== '')
     }
+  }
 
-    return sessionStorage.getItem(key)
+  /**
+   * Removes the given key from the cache
+   * @ignore
+   */
+  _removeItem(key) {
+    try {
+      this._storage.removeItem(key)
+      return true
+    } catch (e) {
+      this.warn('Error removing cache item ' + key + ': ' + e.message)
+      return false
+    }
   }
 
   /**
@@ -2078,4 +4645,23 @@ class ActiveDirectoryPlugin {
   }
 }
 
+export {
+  AbortError,
+  AuthError,
+  CapacitorBrowserTransport,
+  CordovaInAppBrowserTransport,
+  ConsentRequiredError,
+  CookieStorageAdapter,
+  ERROR_CODE,
+  EVENT,
+  InteractionRequiredError,
+  MemoryStorageAdapter,
+  parseClaimsChallenge,
+  PopupBlockedError,
+  SESSION_CHANGE_ACTION,
+  ServerError,
+  StateMismatchError,
+  TimeoutError,
+  WebStorageAdapter,
+}
 export default ActiveDirectoryPlugin
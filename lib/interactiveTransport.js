@@ -0,0 +1,200 @@
+//----------------------------------------------------------------------
+// Interactive transports open the authorize URL of logins and
+// interactive token requests outside of the app webview, and report
+// the redirect back to the plugin.
+//----------------------------------------------------------------------
+
+// how long a closed browser waits for the redirect before reporting a cancellation, as the
+// browser can be reported closed right before the app is opened with the redirect
+const CANCEL_DELAY = 1000
+
+/**
+ * Transport used instead of a popup window for interactive requests.
+ * @class InteractiveTransport
+ *  @property {function} open - (url, handlers) => Promise, opens the authorize URL. handlers.onRedirect must be called with
+ *  the URLs the app is opened with, and returns false for those which are not a response to the redirectUri.
+ *  handlers.onCancel must be called with a description if the user closed the browser.
+ *  @property {function} close - closes the browser once the plugin got the redirect, or gave up waiting for it.
+ */
+
+/**
+ * Opens the authorize URL in the system browser with the Capacitor Browser plugin, which uses
+ * SFSafariViewController or Custom Tabs, and receives the redirect to a custom scheme from the appUrlOpen event of the
+ * Capacitor App plugin.
+ */
+export class CapacitorBrowserTransport {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.browser]  -  the Browser plugin, with open, close and addListener. Defaults to `Capacitor.Plugins.Browser`.
+   * @param {object} [options.app]  -  the App plugin, with addListener. Defaults to `Capacitor.Plugins.App`.
+   * @param {object} [options.browserOptions]  -  options passed to Browser.open besides the url, like presentationStyle.
+   */
+  constructor(options = {}) {
+    this._browser = options.browser || null
+    this._app = options.app || null
+    this._browserOptions = options.browserOptions || {}
+    this._listeners = []
+    this._cancelTimer = null
+    this._opened = false
+  }
+
+  /**
+   * Opens the authorize URL in the system browser.
+   * @param {string} url
+   * @param {{onRedirect: function, onCancel: function}} handlers
+   * @returns {Promise} resolves once the browser is opened.
+   */
+  open(url, handlers) {
+    const browser = this._getPlugin('_browser', 'Browser')
+    const app = this._getPlugin('_app', 'App')
+
+    this.close()
+
+    return Promise.all([
+      this._addListener(app, 'appUrlOpen', (event) => {
+        if (event && event.url) {
+          handlers.onRedirect(event.url)
+        }
+      }),
+      this._addListener(browser, 'browserFinished', () => {
+        window.clearTimeout(this._cancelTimer)
+        this._cancelTimer = window.setTimeout(
+          () => handlers.onCancel('Browser closed by the user before the sign in completed'),
+          CANCEL_DELAY,
+        )
+      }),
+    ]).then(() => {
+      this._opened = true
+      return browser.open(Object.assign({}, this._browserOptions, { url }))
+    })
+  }
+
+  /**
+   * Stops listening to the app and the browser, and closes the browser where the platform allows it.
+   */
+  close() {
+    window.clearTimeout(this._cancelTimer)
+    this._cancelTimer = null
+
+    const listeners = this._listeners
+    this._listeners = []
+
+    // listeners that could not be added have nothing to remove
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i].then((handle) => handle && handle.remove && handle.remove()).catch(() => {})
+    }
+
+    if (this._opened) {
+      this._opened = false
+      // Android cannot close Custom Tabs, which are left behind the app instead
+      Promise.resolve()
+        .then(() => this._browser.close())
+        .catch(() => {})
+    }
+  }
+
+  /**
+   * Returns the plugin passed to the constructor, or the one registered by Capacitor.
+   * @ignore
+   */
+  _getPlugin(property, name) {
+    if (!this[property]) {
+      const capacitor = window.Capacitor
+      this[property] = (capacitor && capacitor.Plugins && capacitor.Plugins[name]) || null
+    }
+
+    if (!this[property]) {
+      throw new Error('The Capacitor ' + name + ' plugin is not available')
+    }
+
+    return this[property]
+  }
+
+  /**
+   * Adds a listener, Capacitor 3 and later return the listener handle asynchronously.
+   * @ignore
+   */
+  _addListener(plugin, eventName, listener) {
+    const handle = Promise.resolve(plugin.addListener(eventName, listener))
+    this._listeners.push(handle)
+    return handle
+  }
+}
+
+/**
+ * Opens the authorize URL in the Cordova InAppBrowser, and reports each page it starts loading so that the plugin
+ * picks the redirect. A page failing to load, or the browser being closed, cancels the request.
+ */
+export class CordovaInAppBrowserTransport {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.open]  -  the InAppBrowser open function. Defaults to `cordova.InAppBrowser.open`.
+   * @param {string} [options.features]  -  the features of the InAppBrowser window. Defaults to 'location=no'.
+   */
+  constructor(options = {}) {
+    this._open = options.open || null
+    this._features = options.features || 'location=no'
+    this._browserRef = null
+    this._listeners = []
+  }
+
+  /**
+   * Opens the authorize URL in the InAppBrowser.
+   * @param {string} url
+   * @param {{onRedirect: function, onCancel: function}} handlers
+   */
+  open(url, handlers) {
+    const open =
+      this._open ||
+      (window.cordova && window.cordova.InAppBrowser && window.cordova.InAppBrowser.open)
+
+    if (!open) {
+      throw new Error('The Cordova InAppBrowser plugin is not available')
+    }
+
+    this.close()
+    this._browserRef = open(url, '_blank', this._features)
+
+    if (!this._browserRef) {
+      throw new Error('The InAppBrowser window could not be opened')
+    }
+
+    this._addListener('loadstart', (event) => handlers.onRedirect(event.url))
+    this._addListener('loaderror', (event) => {
+      // Android reports the redirect to a custom scheme as a load error only
+      if (!handlers.onRedirect(event.url)) {
+        handlers.onCancel(
+          'In-app browser failed to load ' + event.url + ': ' + (event.message || event.code),
+        )
+      }
+    })
+    this._addListener('exit', () =>
+      handlers.onCancel('In-app browser closed by the user before the sign in completed'),
+    )
+  }
+
+  /**
+   * Stops listening to the InAppBrowser and closes it.
+   */
+  close() {
+    const browserRef = this._browserRef
+
+    if (!browserRef) {
+      return
+    }
+
+    // listeners are removed first, as closing fires the exit event
+    for (let i = 0; i < this._listeners.length; i++) {
+      browserRef.removeEventListener(this._listeners[i][0], this._listeners[i][1])
+    }
+
+    this._listeners = []
+    this._browserRef = null
+    browserRef.close()
+  }
+
+  _addListener(eventName, listener) {
+    this._browserRef.addEventListener(eventName, listener)
+    this._listeners.push([eventName, listener])
+  }
+}
@@ -0,0 +1,396 @@
+//----------------------------------------------------------------------
+// Helpers attaching tokens to the requests sent to the APIs mapped by
+// getResourceForEndpoint.
+//
+// fetch, axios and XMLHttpRequest requests are handled the same way:
+// - requests already carrying an Authorization header are sent as is
+// - requests wait for a renewal in progress for the same resource
+// - a request rejected with a 401 status is sent once more with a new token,
+//   requested with the claims of the claims challenge of the response if any
+//----------------------------------------------------------------------
+
+import { getWwwAuthenticateHeader, parseClaimsChallenge } from './claims'
+import { AuthError, ERROR_CODE } from './errors'
+
+const AUTHORIZATION_HEADER = 'Authorization'
+const UNAUTHORIZED_STATUS = 401
+const XHR_DONE = 4
+const XHR_OPENED = 1
+
+/**
+ * Returns the URL of the input passed to fetch.
+ * @ignore
+ */
+function getRequestUrl(input) {
+  if (typeof input === 'string') {
+    return input
+  }
+
+  return input && input.url ? input.url : String(input)
+}
+
+/**
+ * Returns true if the input passed to fetch is a Request object.
+ * @ignore
+ */
+function isRequest(input) {
+  return typeof Request !== 'undefined' && input instanceof Request
+}
+
+/**
+ * Returns the full URL of an axios request.
+ * @ignore
+ */
+function getAxiosUrl(config) {
+  const url = config.url || ''
+
+  if (config.baseURL && !/^https?:\/\//i.test(url)) {
+    return config.baseURL.replace(/\/+$/, '') + '/' + url.replace(/^\/+/, '')
+  }
+
+  return url
+}
+
+/**
+ * Reads a header from axios headers, which are either an AxiosHeaders instance or a plain object.
+ * @ignore
+ */
+function getAxiosHeader(headers, name) {
+  if (!headers) {
+    return null
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || null
+  }
+
+  for (const key in headers) {
+    if (key.toLowerCase() === name.toLowerCase()) {
+      return headers[key]
+    }
+  }
+
+  return null
+}
+
+/**
+ * Sets the Authorization header of an axios request.
+ * @ignore
+ */
+function setAxiosAuthorization(config, token) {
+  const value = 'Bearer ' + token
+
+  if (config.headers && typeof config.headers.set === 'function') {
+    config.headers.set(AUTHORIZATION_HEADER, value)
+  } else {
+    config.headers = Object.assign({}, config.headers, { [AUTHORIZATION_HEADER]: value })
+  }
+
+  config.aadToken = token
+}
+
+/**
+ * Gets a token for the resource. If a renewal for the resource and account is in progress, waits for it instead of
+ * starting another one.
+ * @param {ActiveDirectoryPlugin} plugin
+ * @param {string|Array.<string>} resource
+ * @param {User|string} [account]  -  the account, or its homeAccountId. Defaults to the active account.
+ * @returns {Promise.<string>} resolves with the token, rejects with an {@link AuthError}.
+ * @ignore
+ */
+export function getToken(plugin, resource, account) {
+  return plugin.initialize().then(() => {
+    const normalizedResource = plugin._normalizeResource(resource)
+    const requestAccount = plugin._getRequestAccount({ account })
+    const renewState =
+      plugin._activeRenewals[plugin._getRenewalKey(normalizedResource, requestAccount)]
+
+    if (!renewState || !requestAccount) {
+      return plugin
+        .acquireTokenAsync(normalizedResource, { account })
+        .then((result) => result.token)
+    }
+
+    plugin.verbose('Waiting for the renewal in progress for ' + normalizedResource)
+    return new Promise((resolve, reject) => {
+      plugin.registerCallback(
+        renewState,
+        normalizedResource,
+        (errorDesc, token, error, tokenType, authError) => {
+          if (errorDesc || error || !token) {
+            reject(
+              authError ||
+                AuthError.fromCallback(errorDesc, error || ERROR_CODE.TOKEN_NOT_AVAILABLE),
+            )
+          } else {
+            resolve(token)
+          }
+        },
+        requestAccount,
+      )
+    })
+  })
+}
+
+/**
+ * Gets a token again after the API rejected it, without taking it from the cache. Claims challenges are only satisfied
+ * silently, as popups cannot be opened outside of a user action.
+ * @param {ActiveDirectoryPlugin} plugin
+ * @param {string|Array.<string>} resource
+ * @param {string} rejectedToken
+ * @param {string} [wwwAuthenticate]  -  the WWW-Authenticate header of the 401 response.
+ * @ignore
+ */
+export function renewToken(plugin, resource, rejectedToken, wwwAuthenticate) {
+  plugin.info('Request rejected with status 401, retrying with a new token for ' + resource)
+  plugin._removeCachedToken(rejectedToken)
+
+  if (parseClaimsChallenge(wwwAuthenticate)) {
+    return plugin
+      .handleClaimsChallenge(resource, wwwAuthenticate, { interaction: 'none' })
+      .then((result) => result.token)
+  }
+
+  return getToken(plugin, resource)
+}
+
+/**
+ * Creates a function with the signature of fetch, which adds an 'Authorization: Bearer' header to requests sent to the
+ * endpoints mapped to a resource.
+ * @param {ActiveDirectoryPlugin} plugin
+ * @param {function} fetchImpl  -  the fetch function sending the requests.
+ * @returns {function} (input, init) => Promise.<Response>
+ */
+export function createAuthFetch(plugin, fetchImpl) {
+  return (input, init) => {
+    const resource = plugin.getResourceForEndpoint(getRequestUrl(input))
+    const initialHeaders = new Headers(
+      (init && init.headers) || (isRequest(input) ? input.headers : {}),
+    )
+
+    if (!resource || initialHeaders.has(AUTHORIZATION_HEADER)) {
+      return fetchImpl(input, init)
+    }
+
+    const send = (token) => {
+      // requests are cloned so that their body can be sent again on retry
+      const request = isRequest(input) ? input.clone() : input
+      const headers = new Headers(initialHeaders)
+      headers.set(AUTHORIZATION_HEADER, 'Bearer ' + token)
+      return fetchImpl(request, Object.assign({}, init, { headers }))
+    }
+
+    return getToken(plugin, resource).then((token) =>
+      send(token).then((response) => {
+        if (response.status !== UNAUTHORIZED_STATUS) {
+          return response
+        }
+
+        return renewToken(plugin, resource, token, getWwwAuthenticateHeader(response)).then(send)
+      }),
+    )
+  }
+}
+
+/**
+ * Creates the interceptors of an axios instance. Register them with
+ * `axiosInstance.interceptors.request.use(interceptors.request)` and
+ * `axiosInstance.interceptors.response.use(null, interceptors.responseError)`.
+ * @param {ActiveDirectoryPlugin} plugin
+ * @param {object} axiosInstance  -  the axios instance sending the retried requests.
+ * @returns {{request: function, responseError: function}} the interceptors.
+ */
+export function createAxiosInterceptors(plugin, axiosInstance) {
+  return {
+    request: (config) => {
+      const resource = plugin.getResourceForEndpoint(getAxiosUrl(config))
+      const authorization = getAxiosHeader(config.headers, AUTHORIZATION_HEADER)
+
+      // retried requests carry the header set by this interceptor
+      if (!resource || (authorization && authorization !== 'Bearer ' + config.aadToken)) {
+        return config
+      }
+
+      return getToken(plugin, resource).then((token) => {
+        config.aadResource = resource
+        setAxiosAuthorization(config, token)
+        return config
+      })
+    },
+
+    responseError: (error) => {
+      const config = error && error.config
+
+      if (
+        !error.response ||
+        error.response.status !== UNAUTHORIZED_STATUS ||
+        !config ||
+        !config.aadToken ||
+        config.aadRetried
+      ) {
+        return Promise.reject(error)
+      }
+
+      const wwwAuthenticate = getWwwAuthenticateHeader(error.response)
+
+      return renewToken(plugin, config.aadResource, config.aadToken, wwwAuthenticate).then(
+        (token) => {
+          config.aadRetried = true
+          setAxiosAuthorization(config, token)
+          return axiosInstance.request(config)
+        },
+      )
+    },
+  }
+}
+
+/**
+ * Fails a request which was not sent, like network errors do: the error and loadend events are dispatched, and the
+ * {@link AuthError} is set as its aadError property.
+ * @ignore
+ */
+function failXhr(xhr, error) {
+  xhr.aadError = error
+  xhr.dispatchEvent(new ProgressEvent('error'))
+  xhr.dispatchEvent(new ProgressEvent('loadend'))
+}
+
+/**
+ * Wraps the open, setRequestHeader, send and abort methods of XMLHttpRequest so that requests get a token.
+ * Asynchronous requests are sent once the token is available, and fail with the error and loadend events if none can
+ * be acquired, the {@link AuthError} being set as their aadError property.
+ * Synchronous requests cannot wait and only get a token from the cache.
+ * A 401 response is hidden from the listeners added after open(), which only see the response of the retry.
+ * @param {ActiveDirectoryPlugin} plugin
+ * @param {function} XhrClass  -  the XMLHttpRequest class to wrap.
+ * @returns {function} restores the original methods.
+ */
+export function installXhrInterceptor(plugin, XhrClass) {
+  const proto = XhrClass.prototype
+  const originalOpen = proto.open
+  const originalSetRequestHeader = proto.setRequestHeader
+  const originalSend = proto.send
+  const originalAbort = proto.abort
+  const requests = new WeakMap()
+  const listening = new WeakSet()
+
+  // retries pass the request of the new token, which is started before the rejected response is discarded
+  const sendWithToken = (xhr, request, tokenRequest = getToken(plugin, request.resource)) => {
+    tokenRequest.then(
+      (token) => {
+        request.token = token
+
+        if (!request.aborted && xhr.readyState === XHR_OPENED) {
+          originalSetRequestHeader.call(xhr, AUTHORIZATION_HEADER, 'Bearer ' + token)
+          originalSend.call(xhr, request.body)
+        }
+      },
+      (error) => {
+        request.token = null
+
+        if (!request.aborted && xhr.readyState === XHR_OPENED) {
+          plugin.warn('Request failed, no token could be acquired: ' + error.errorMessage)
+          failXhr(xhr, error)
+        }
+      },
+    )
+  }
+
+  function onReadyStateChange(event) {
+    const request = requests.get(this)
+
+    if (
+      this.readyState !== XHR_DONE ||
+      this.status !== UNAUTHORIZED_STATUS ||
+      !request ||
+      !request.token ||
+      request.retried
+    ) {
+      return
+    }
+
+    // opening the request again stops the load events of the rejected response
+    event.stopImmediatePropagation()
+    request.retried = true
+    const tokenRequest = renewToken(
+      plugin,
+      request.resource,
+      request.token,
+      getWwwAuthenticateHeader(this),
+    )
+    originalOpen.apply(this, request.openArguments)
+    request.headers.forEach((header) => originalSetRequestHeader.call(this, header[0], header[1]))
+    sendWithToken(this, request, tokenRequest)
+  }
+
+  proto.open = function (method, url, async) {
+    const resource = plugin.getResourceForEndpoint(String(url))
+    requests.set(this, {
+      resource,
+      openArguments: Array.prototype.slice.call(arguments),
+      async: async !== false,
+      headers: [],
+      body: null,
+      token: null,
+      retried: false,
+      aborted: false,
+    })
+
+    if (resource && !listening.has(this)) {
+      listening.add(this)
+      this.addEventListener('readystatechange', onReadyStateChange)
+    }
+
+    return originalOpen.apply(this, arguments)
+  }
+
+  proto.setRequestHeader = function (name, value) {
+    const request = requests.get(this)
+
+    if (request) {
+      request.headers.push([name, value])
+    }
+
+    return originalSetRequestHeader.apply(this, arguments)
+  }
+
+  proto.send = function (body) {
+    const request = requests.get(this)
+    const hasAuthorization =
+      request && request.headers.some((header) => header[0].toLowerCase() === 'authorization')
+
+    if (!request || !request.resource || hasAuthorization) {
+      return originalSend.apply(this, arguments)
+    }
+
+    if (!request.async) {
+      const token = plugin.getCachedToken(request.resource)
+
+      if (token) {
+        originalSetRequestHeader.call(this, AUTHORIZATION_HEADER, 'Bearer ' + token)
+      }
+
+      return originalSend.apply(this, arguments)
+    }
+
+    request.body = body
+    sendWithToken(this, request)
+  }
+
+  proto.abort = function () {
+    const request = requests.get(this)
+
+    if (request) {
+      request.aborted = true
+    }
+
+    return originalAbort.apply(this, arguments)
+  }
+
+  return () => {
+    proto.open = originalOpen
+    proto.setRequestHeader = originalSetRequestHeader
+    proto.send = originalSend
+    proto.abort = originalAbort
+  }
+}
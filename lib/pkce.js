@@ -0,0 +1,159 @@
+//----------------------------------------------------------------------
+// Proof Key for Code Exchange (RFC 7636) helpers.
+//
+// The challenge is computed synchronously so that popups can still be
+// opened straight from the user gesture that triggered the login.
+//----------------------------------------------------------------------
+
+import { AuthError, ERROR_CODE } from './errors'
+
+const BASE64_URL_CODES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+// First 32 bits of the fractional parts of the cube roots of the first 64 primes
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]
+
+/**
+ * Encodes a byte array as base64url without padding.
+ * @ignore
+ */
+export function base64UrlEncode(bytes) {
+  let encoded = ''
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const b1 = bytes[i]
+    const b2 = i + 1 < bytes.length ? bytes[i + 1] : 0
+    const b3 = i + 2 < bytes.length ? bytes[i + 2] : 0
+    const bits = (b1 << 16) | (b2 << 8) | b3
+
+    encoded +=
+      BASE64_URL_CODES.charAt((bits >> 18) & 63) + BASE64_URL_CODES.charAt((bits >> 12) & 63)
+    if (i + 1 < bytes.length) encoded += BASE64_URL_CODES.charAt((bits >> 6) & 63)
+    if (i + 2 < bytes.length) encoded += BASE64_URL_CODES.charAt(bits & 63)
+  }
+
+  return encoded
+}
+
+/**
+ * Computes the SHA-256 digest of an ASCII string and returns it as a byte array.
+ * @ignore
+ */
+export function sha256(message) {
+  const bytes = []
+  for (let i = 0; i < message.length; i++) {
+    bytes.push(message.charCodeAt(i) & 0xff)
+  }
+
+  const bitLength = bytes.length * 8
+  bytes.push(0x80)
+  while (bytes.length % 64 !== 56) {
+    bytes.push(0)
+  }
+  // message length is appended as a 64 bit big endian integer, the high word is always 0 here
+  bytes.push(0, 0, 0, 0)
+  bytes.push(
+    (bitLength >>> 24) & 0xff,
+    (bitLength >>> 16) & 0xff,
+    (bitLength >>> 8) & 0xff,
+    bitLength & 0xff,
+  )
+
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]
+  const w = new Array(64)
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n))
+
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let t = 0; t < 16; t++) {
+      w[t] =
+        (bytes[offset + t * 4] << 24) |
+        (bytes[offset + t * 4 + 1] << 16) |
+        (bytes[offset + t * 4 + 2] << 8) |
+        bytes[offset + t * 4 + 3]
+    }
+
+    for (let t = 16; t < 64; t++) {
+      const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3)
+      const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10)
+      w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash
+
+    for (let t = 0; t < 64; t++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)
+      const ch = (e & f) ^ (~e & g)
+      const temp1 = (h + S1 + ch + SHA256_K[t] + w[t]) | 0
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)
+      const maj = (a & b) ^ (a & c) ^ (b & c)
+      const temp2 = (S0 + maj) | 0
+
+      h = g
+      g = f
+      f = e
+      e = (d + temp1) | 0
+      d = c
+      c = b
+      b = a
+      a = (temp1 + temp2) | 0
+    }
+
+    hash[0] = (hash[0] + a) | 0
+    hash[1] = (hash[1] + b) | 0
+    hash[2] = (hash[2] + c) | 0
+    hash[3] = (hash[3] + d) | 0
+    hash[4] = (hash[4] + e) | 0
+    hash[5] = (hash[5] + f) | 0
+    hash[6] = (hash[6] + g) | 0
+    hash[7] = (hash[7] + h) | 0
+  }
+
+  const digest = []
+  for (let i = 0; i < hash.length; i++) {
+    digest.push(
+      (hash[i] >>> 24) & 0xff,
+      (hash[i] >>> 16) & 0xff,
+      (hash[i] >>> 8) & 0xff,
+      hash[i] & 0xff,
+    )
+  }
+
+  return digest
+}
+
+/**
+ * Generates a code verifier and its S256 code challenge.
+ * @returns {{verifier: string, challenge: string, method: string}} the PKCE pair.
+ * @throws {AuthError} if the browser has no secure random number generator.
+ */
+export function createPkceCodes() {
+  const cryptoObj = window.crypto || window.msCrypto // for IE 11
+
+  if (!cryptoObj || !cryptoObj.getRandomValues) {
+    throw new AuthError(
+      ERROR_CODE.CRYPTO_UNAVAILABLE,
+      'A secure random number generator is required for PKCE',
+    )
+  }
+
+  // 32 random bytes encode to the 43 character verifier recommended by the spec
+  const buffer = new Uint8Array(32)
+  cryptoObj.getRandomValues(buffer)
+  const verifier = base64UrlEncode(buffer)
+
+  return {
+    verifier,
+    challenge: base64UrlEncode(sha256(verifier)),
+    method: 'S256',
+  }
+}
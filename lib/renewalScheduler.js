@@ -0,0 +1,247 @@
+//----------------------------------------------------------------------
+// Renews the tokens cached for the active account before they expire,
+// so that API calls do not wait for the hidden iframe round trip.
+//----------------------------------------------------------------------
+
+// setTimeout fires right away for longer delays
+const MAX_TIMEOUT_DELAY = 0x7fffffff
+
+/**
+ * Options of the token renewal scheduler.
+ * @class AutoRenewOptions
+ *  @property {number} renewOffsetSeconds - How long before the token would be renewed by getCachedToken it is renewed in the background. Defaults to 60 seconds.
+ *  @property {number} jitterSeconds - Maximum random delay added to renewOffsetSeconds, so that tokens cached together are not renewed together. Defaults to 60 seconds.
+ *  @property {number} retryDelaySeconds - Delay before retrying a failed renewal, doubled after each failure in a row. Defaults to 30 seconds.
+ *  @property {number} maxRetryDelaySeconds - Maximum delay between retries. Defaults to 600 seconds.
+ */
+
+/**
+ * Renewal status of a cached token.
+ * @class RenewalStatus
+ *  @property {string} resource - the resource, or normalized scopes, of the token.
+ *  @property {number} expiresOn - expiration of the cached token in seconds since 1970/01/01.
+ *  @property {number} nextRenewalOn - time of the next renewal in seconds since 1970/01/01, or null if none is scheduled.
+ *  @property {Boolean} renewing - true while the token is being renewed.
+ *  @property {number} failures - number of renewals that failed in a row.
+ *  @property {string} lastError - error of the last failed renewal, or null.
+ */
+
+/**
+ * Schedules the renewal of each token cached for the active account.
+ */
+export default class RenewalScheduler {
+  /**
+   * @param {ActiveDirectoryPlugin} plugin  -  the plugin renewing the tokens.
+   * @param {AutoRenewOptions} options
+   */
+  constructor(plugin, options = {}) {
+    this._plugin = plugin
+    this._renewOffsetSeconds = this._getOption(options.renewOffsetSeconds, 60)
+    this._jitterSeconds = this._getOption(options.jitterSeconds, 60)
+    this._retryDelaySeconds = this._getOption(options.retryDelaySeconds, 30)
+    this._maxRetryDelaySeconds = this._getOption(options.maxRetryDelaySeconds, 600)
+    this._running = false
+    this._resources = {}
+  }
+
+  /**
+   * Starts scheduling renewals for the tokens in the cache.
+   */
+  start() {
+    if (this._running) {
+      return
+    }
+
+    this._running = true
+    this._plugin.info('Token renewal scheduler started')
+    this.refresh()
+  }
+
+  /**
+   * Cancels the scheduled renewals. Renewals in progress complete, but are not followed by other ones.
+   */
+  stop() {
+    if (!this._running) {
+      return
+    }
+
+    this._running = false
+
+    for (const resource in this._resources) {
+      this._unschedule(resource)
+    }
+
+    this._plugin.info('Token renewal scheduler stopped')
+  }
+
+  /**
+   * Returns true if the scheduler is started.
+   * @returns {Boolean}
+   */
+  isRunning() {
+    return this._running
+  }
+
+  /**
+   * Returns the renewal status of the tracked tokens.
+   * @returns {Array.<RenewalStatus>}
+   */
+  getStatus() {
+    return Object.keys(this._resources).map((resource) => {
+      const state = this._resources[resource]
+      return {
+        resource,
+        expiresOn: state.expiresOn,
+        nextRenewalOn: state.nextRenewalOn,
+        renewing: state.renewing,
+        failures: state.failures,
+        lastError: state.lastError,
+      }
+    })
+  }
+
+  /**
+   * Schedules the renewal of the tokens cached for the active account, and cancels the renewal of the tokens no longer
+   * cached. Called whenever the cache or the active account changes.
+   */
+  refresh() {
+    if (!this._running) {
+      return
+    }
+
+    const plugin = this._plugin
+    const account = plugin._getCacheAccount(plugin.getCachedUser())
+    const entries = account ? plugin._tokenCache.getAccountEntries(account) : []
+    const cachedResources = {}
+
+    for (let i = 0; i < entries.length; i++) {
+      cachedResources[entries[i].resource] = entries[i]
+    }
+
+    for (const resource in this._resources) {
+      if (!cachedResources[resource] && !this._resources[resource].renewing) {
+        this._unschedule(resource)
+      }
+    }
+
+    for (const resource in cachedResources) {
+      const entry = cachedResources[resource]
+      const state = this._resources[resource]
+
+      // a token already tracked keeps its schedule, including the delays after failures
+      if (
+        state &&
+        (state.renewing || (state.expiresOn === entry.expiresOn && state.nextRenewalOn !== null))
+      ) {
+        continue
+      }
+
+      // a token left without a schedule, after a renewal returned the same token or was given up, waits for the retry
+      // delay rather than being renewed right away
+      const isSameToken = !!state && state.expiresOn === entry.expiresOn
+      const renewalTime = this._getRenewalTime(entry.expiresOn)
+
+      this._resources[resource] = {
+        expiresOn: entry.expiresOn,
+        nextRenewalOn: isSameToken
+          ? Math.max(renewalTime, plugin._now() + this._retryDelaySeconds)
+          : renewalTime,
+        renewing: false,
+        failures: isSameToken ? state.failures : 0,
+        lastError: isSameToken ? state.lastError : null,
+        timer: null,
+      }
+      this._schedule(resource)
+    }
+  }
+
+  _getOption(value, defaultValue) {
+    return typeof value === 'number' && value >= 0 ? value : defaultValue
+  }
+
+  // tokens are renewed before getCachedToken would consider them expired
+  _getRenewalTime(expiresOn) {
+    const expireOffset = this._plugin.config.expireOffsetSeconds || 300
+    const jitter = Math.floor(Math.random() * (this._jitterSeconds + 1))
+    return expiresOn - expireOffset - this._renewOffsetSeconds - jitter
+  }
+
+  _schedule(resource) {
+    const state = this._resources[resource]
+    const delay = Math.max(0, (state.nextRenewalOn - this._plugin._now()) * 1000)
+
+    window.clearTimeout(state.timer)
+    state.timer = window.setTimeout(() => this._renew(resource), Math.min(delay, MAX_TIMEOUT_DELAY))
+    this._plugin.verbose(
+      'Token renewal for ' + resource + ' scheduled in ' + Math.round(delay / 1000) + ' seconds',
+    )
+  }
+
+  _unschedule(resource) {
+    window.clearTimeout(this._resources[resource].timer)
+    delete this._resources[resource]
+  }
+
+  _renew(resource) {
+    const state = this._resources[resource]
+
+    if (!this._running || !state) {
+      return
+    }
+
+    state.timer = null
+
+    if (this._plugin._now() < state.nextRenewalOn) {
+      this._schedule(resource)
+      return
+    }
+
+    state.renewing = true
+    state.nextRenewalOn = null
+    this._plugin.info('Renewing token ahead of its expiration for ' + resource)
+    this._plugin._renewResource(resource, (errorDesc, token, error) => {
+      state.renewing = false
+
+      if (this._resources[resource] !== state) {
+        return
+      }
+
+      if (errorDesc || error || !token) {
+        this._onRenewalFailed(resource, errorDesc || error || 'token_not_available')
+      } else {
+        state.failures = 0
+        state.lastError = null
+        this.refresh()
+      }
+    })
+  }
+
+  _onRenewalFailed(resource, errorMessage) {
+    const state = this._resources[resource]
+    state.failures++
+    state.lastError = errorMessage
+
+    const delay = Math.min(
+      this._retryDelaySeconds * Math.pow(2, state.failures - 1),
+      this._maxRetryDelaySeconds,
+    )
+    const retryOn = this._plugin._now() + delay
+
+    if (!this._running || retryOn >= state.expiresOn) {
+      this._plugin.warn('Giving up renewing the token ahead of its expiration for ' + resource)
+      return
+    }
+
+    this._plugin.warn(
+      'Token renewal for ' +
+        resource +
+        ' failed: ' +
+        errorMessage +
+        ', retrying in ' +
+        delay +
+        ' seconds',
+    )
+    state.nextRenewalOn = retryOn
+    this._schedule(resource)
+  }
+}
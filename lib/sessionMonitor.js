@@ -0,0 +1,227 @@
+//----------------------------------------------------------------------
+// OpenID Connect session management: the session_state returned with
+// the tokens is checked at regular intervals against the
+// check_session_iframe of the authority, which tells whether the user
+// signed out or signed in again in another app since.
+//----------------------------------------------------------------------
+
+import { EVENT } from './events'
+
+const FRAME_ID = 'adalCheckSessionFrame'
+
+/**
+ * Enum for what the plugin does once the session changed, besides emitting the sessionChanged event.
+ *  - event: nothing else, the app decides.
+ *  - revalidate: renews the id_token silently, and logs out locally if the user is no longer signed in.
+ *  - logout: logs out, of the app only unless the logoutMode option says otherwise.
+ * @enum {string}
+ */
+export const SESSION_CHANGE_ACTION = {
+  EVENT: 'event',
+  REVALIDATE: 'revalidate',
+  LOGOUT: 'logout',
+}
+
+/**
+ * Options of the session monitor.
+ * @class SessionMonitorOptions
+ *  @property {number} intervalSeconds - Delay between two checks of the session. Defaults to 5 seconds.
+ *  @property {string} onChange - One of {@link SESSION_CHANGE_ACTION}. Defaults to 'event'.
+ *  @property {string} logoutMode - mode of the logOut call of the 'logout' action. Defaults to 'local', the session
+ *  at the authority being already ended or replaced.
+ */
+
+/**
+ * Checks the session of the signed in user in a hidden iframe.
+ */
+export default class SessionMonitor {
+  /**
+   * @param {ActiveDirectoryPlugin} plugin  -  the plugin holding the session state.
+   * @param {SessionMonitorOptions} options
+   */
+  constructor(plugin, options = {}) {
+    this._plugin = plugin
+    this._intervalSeconds =
+      typeof options.intervalSeconds === 'number' && options.intervalSeconds > 0
+        ? options.intervalSeconds
+        : 5
+    this._onChange = options.onChange || SESSION_CHANGE_ACTION.EVENT
+    this._logoutMode = options.logoutMode || 'local'
+    this._running = false
+    this._frame = null
+    this._frameLoaded = false
+    this._origin = null
+    this._timer = null
+    this._messageListener = null
+    this._checkedSessionState = null
+    this._changedSessionState = null
+
+    if (!isSessionChangeAction(this._onChange)) {
+      throw new Error('Unsupported session monitor onChange: ' + this._onChange)
+    }
+  }
+
+  /**
+   * Loads the check_session_iframe of the authority and starts checking the session.
+   */
+  start() {
+    if (this._running) {
+      return
+    }
+
+    this._running = true
+    this._plugin._getCheckSessionIframeUri().then(
+      (uri) => {
+        if (!this._running) {
+          return
+        }
+
+        if (!uri) {
+          this._plugin.warn('The authority has no check_session_iframe, session monitor stopped')
+          this.stop()
+          return
+        }
+
+        this._listen(uri)
+        this._plugin.info('Session monitor started')
+      },
+      (err) => {
+        this._plugin.warn('The check_session_iframe could not be found: ' + err.message)
+        this.stop()
+      },
+    )
+  }
+
+  /**
+   * Stops checking the session and unloads the iframe.
+   */
+  stop() {
+    if (!this._running) {
+      return
+    }
+
+    this._running = false
+    window.clearInterval(this._timer)
+    this._timer = null
+
+    if (this._messageListener) {
+      window.removeEventListener('message', this._messageListener)
+      this._messageListener = null
+    }
+
+    if (this._frame) {
+      this._frame.onload = null
+      this._frame.src = 'about:blank'
+      this._frame = null
+    }
+
+    this._frameLoaded = false
+    this._plugin.info('Session monitor stopped')
+  }
+
+  /**
+   * @returns {Boolean} true while the session is checked.
+   */
+  isRunning() {
+    return this._running
+  }
+
+  _listen(uri) {
+    this._origin = getOrigin(uri)
+    this._messageListener = (event) => this._receive(event)
+    window.addEventListener('message', this._messageListener)
+
+    this._plugin._addAdalFrame(FRAME_ID)
+    this._frame = document.getElementById(FRAME_ID)
+    this._frame.onload = () => {
+      this._frameLoaded = true
+      this._check()
+    }
+    this._frame.src = uri
+    this._timer = window.setInterval(() => this._check(), this._intervalSeconds * 1000)
+  }
+
+  _check() {
+    const sessionState = this._plugin._getItem(this._plugin.CONSTANTS.STORAGE.SESSION_STATE)
+
+    // a changed session is checked again once a new login or renewal returned another session_state
+    if (
+      !this._frameLoaded ||
+      !sessionState ||
+      sessionState === this._changedSessionState ||
+      !this._frame.contentWindow
+    ) {
+      return
+    }
+
+    this._checkedSessionState = sessionState
+    this._frame.contentWindow.postMessage(
+      this._plugin.config.clientId + ' ' + sessionState,
+      this._origin,
+    )
+  }
+
+  _receive(event) {
+    if (
+      !this._frame ||
+      event.source !== this._frame.contentWindow ||
+      (event.origin || '').toLowerCase() !== this._origin
+    ) {
+      return
+    }
+
+    if (event.data === 'changed') {
+      this._changedSessionState = this._checkedSessionState
+      this._handleChange()
+    } else if (event.data === 'error') {
+      // the authority could not read the message, sending it again would not help
+      this._plugin.warn('The check_session_iframe rejected the session state')
+      this.stop()
+    }
+  }
+
+  _handleChange() {
+    const plugin = this._plugin
+    plugin.info('Session changed at the authority')
+    plugin._emit(EVENT.SESSION_CHANGED, { account: plugin.getCachedUser() })
+
+    if (this._onChange === SESSION_CHANGE_ACTION.LOGOUT) {
+      plugin
+        .logOut({ mode: this._logoutMode })
+        .catch((err) => plugin.warn('Logout after the session changed failed: ' + err.message))
+    } else if (this._onChange === SESSION_CHANGE_ACTION.REVALIDATE) {
+      const resource = plugin._normalizeResource(plugin.config.clientId)
+
+      // a successful renewal stores the new session_state, which resumes the checks
+      plugin._renewResource(resource, (errorDesc, token, error) => {
+        if (error || errorDesc) {
+          plugin.info('The session could not be revalidated: ' + (errorDesc || error))
+          plugin._clearSession()
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Returns true if a value is one of {@link SESSION_CHANGE_ACTION}.
+ * @ignore
+ */
+function isSessionChangeAction(value) {
+  for (const key in SESSION_CHANGE_ACTION) {
+    if (SESSION_CHANGE_ACTION[key] === value) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Returns the scheme, host and port of a URL, which messages of its page are sent from.
+ * @ignore
+ */
+function getOrigin(url) {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/[^/?#]+/i.exec(url)
+  return match ? match[0].toLowerCase() : null
+}
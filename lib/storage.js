@@ -0,0 +1,308 @@
+//----------------------------------------------------------------------
+// Storage adapters used by the token cache.
+//----------------------------------------------------------------------
+
+// browsers drop cookies over about 4KB, name included, so longer values are split
+const MAX_COOKIE_VALUE_LENGTH = 3800
+
+// suffix of the cookies holding the second and next chunks of a value, followed by the chunk number
+const COOKIE_CHUNK_SUFFIX = '__chunk'
+
+const COOKIE_CHUNK_REGEX = /__chunk\d+$/
+
+const EXPIRED_COOKIE = ';expires=Thu, 01 Jan 1970 00:00:00 GMT'
+
+/**
+ * Contract of the storage used by the plugin. Values are always strings.
+ * Synchronous adapters return the values directly. Adapters setting `async` to true return promises
+ * instead, and are read into memory by {@link AsyncStorageCache} when the plugin is initialized.
+ * @class StorageAdapter
+ *  @property {Boolean} async - true if the methods below return promises. Defaults to `false`.
+ *  @property {function} getItem - (key) => value, or null if the key does not exist.
+ *  @property {function} setItem - (key, value) => void.
+ *  @property {function} removeItem - (key) => void.
+ *  @property {function} keys - () => array of all the keys in the storage.
+ */
+
+/**
+ * Adapter for window.localStorage and window.sessionStorage.
+ */
+export class WebStorageAdapter {
+  /**
+   * @param {Storage} storage  -  window.localStorage or window.sessionStorage.
+   */
+  constructor(storage) {
+    this.async = false
+    this._storage = storage
+  }
+
+  getItem(key) {
+    return this._storage.getItem(key)
+  }
+
+  setItem(key, value) {
+    this._storage.setItem(key, value)
+  }
+
+  removeItem(key) {
+    this._storage.removeItem(key)
+  }
+
+  keys() {
+    const keys = []
+    for (let i = 0; i < this._storage.length; i++) {
+      keys.push(this._storage.key(i))
+    }
+    return keys
+  }
+}
+
+/**
+ * Adapter keeping the values in memory. Values are lost when the page is reloaded.
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.async = false
+    this._items = {}
+  }
+
+  getItem(key) {
+    return this._items.hasOwnProperty(key) ? this._items[key] : null
+  }
+
+  setItem(key, value) {
+    this._items[key] = String(value)
+  }
+
+  removeItem(key) {
+    delete this._items[key]
+  }
+
+  keys() {
+    return Object.keys(this._items)
+  }
+}
+
+/**
+ * Adapter storing the values in cookies. Browsers limit cookies to about 4KB, so longer values, like a token cache
+ * holding several tokens, are split across several cookies. Browsers also limit the number of cookies of a site.
+ */
+export class CookieStorageAdapter {
+  /**
+   * @param {object} options
+   *  @property {string} path - Path of the cookies. Defaults to '/'.
+   *  @property {number} expiresInDays - Lifetime of the cookies. Defaults to session cookies.
+   *  @property {Boolean} secure - Sends the cookies over https only. Defaults to `true`.
+   *  @property {string} sameSite - SameSite attribute of the cookies. Defaults to 'Lax'.
+   */
+  constructor(options = {}) {
+    this.async = false
+    this._path = options.path || '/'
+    this._expiresInDays = options.expiresInDays
+    this._secure = options.secure !== false
+    this._sameSite = options.sameSite || 'Lax'
+  }
+
+  getItem(key) {
+    const cookies = this._readCookies()
+
+    if (!cookies.hasOwnProperty(key)) {
+      return null
+    }
+
+    let value = cookies[key]
+
+    for (let i = 1; cookies.hasOwnProperty(key + COOKIE_CHUNK_SUFFIX + i); i++) {
+      value += cookies[key + COOKIE_CHUNK_SUFFIX + i]
+    }
+
+    try {
+      return decodeURIComponent(value)
+    } catch (e) {
+      // the cookie was not written by this adapter
+      return null
+    }
+  }
+
+  setItem(key, value) {
+    let expires = ''
+
+    if (this._expiresInDays) {
+      const expiration = new Date(new Date().getTime() + this._expiresInDays * 24 * 60 * 60 * 1000)
+      expires = ';expires=' + expiration.toUTCString()
+    }
+
+    const chunks = this._splitValue(encodeURIComponent(value), key)
+
+    for (let i = 0; i < chunks.length; i++) {
+      this._writeCookie(i === 0 ? key : key + COOKIE_CHUNK_SUFFIX + i, chunks[i], expires)
+    }
+
+    this._removeChunks(key, chunks.length)
+  }
+
+  removeItem(key) {
+    this._writeCookie(key, '', EXPIRED_COOKIE)
+    this._removeChunks(key, 1)
+  }
+
+  keys() {
+    return Object.keys(this._readCookies()).filter((key) => !COOKIE_CHUNK_REGEX.test(key))
+  }
+
+  // removes the chunks of a previous value left after the given number of chunks
+  _removeChunks(key, chunkCount) {
+    const cookies = this._readCookies()
+
+    for (let i = chunkCount; cookies.hasOwnProperty(key + COOKIE_CHUNK_SUFFIX + i); i++) {
+      this._writeCookie(key + COOKIE_CHUNK_SUFFIX + i, '', EXPIRED_COOKIE)
+    }
+  }
+
+  // splits an encoded value without cutting its escape sequences
+  _splitValue(encodedValue, key) {
+    const maxLength = MAX_COOKIE_VALUE_LENGTH - encodeURIComponent(key).length
+    const chunks = []
+    let start = 0
+
+    do {
+      let end = Math.min(start + maxLength, encodedValue.length)
+      const escapeStart = encodedValue.lastIndexOf('%', end - 1)
+
+      if (end < encodedValue.length && escapeStart > end - 3) {
+        end = escapeStart
+      }
+
+      chunks.push(encodedValue.substring(start, end))
+      start = end
+    } while (start < encodedValue.length)
+
+    return chunks
+  }
+
+  _writeCookie(key, encodedValue, expires) {
+    let cookie =
+      encodeURIComponent(key) +
+      '=' +
+      encodedValue +
+      ';path=' +
+      this._path +
+      ';SameSite=' +
+      this._sameSite +
+      expires
+
+    if (this._secure) {
+      cookie += ';Secure'
+    }
+
+    document.cookie = cookie
+  }
+
+  _readCookies() {
+    const cookies = {}
+    const pairs = document.cookie ? document.cookie.split(';') : []
+
+    for (let i = 0; i < pairs.length; i++) {
+      const separator = pairs[i].indexOf('=')
+
+      if (separator > -1) {
+        // values are decoded once their chunks are joined
+        const key = decodeURIComponent(pairs[i].substring(0, separator).trim())
+        cookies[key] = pairs[i].substring(separator + 1).trim()
+      }
+    }
+
+    return cookies
+  }
+}
+
+/**
+ * Serves an asynchronous adapter synchronously. The values are read into memory by load(), and writes are
+ * applied to memory right away and persisted to the adapter in the background.
+ */
+export class AsyncStorageCache {
+  /**
+   * @param {StorageAdapter} adapter  -  the asynchronous adapter.
+   * @param {string} keyPrefix  -  only keys starting with this prefix are loaded.
+   * @param {function} onError  -  called with errors raised while persisting values.
+   */
+  constructor(adapter, keyPrefix, onError) {
+    this.async = false
+    this._adapter = adapter
+    this._keyPrefix = keyPrefix || ''
+    this._onError = onError || (() => {})
+    this._memory = new MemoryStorageAdapter()
+    this._loadPromise = null
+    this._pendingWrites = Promise.resolve()
+    // keys removed before loading completes, whose stored values are not loaded. Null once loaded.
+    this._removedKeys = {}
+  }
+
+  /**
+   * Reads the values of the adapter into memory. Values written or removed before loading completes take precedence.
+   * @returns {Promise} resolves once the values are available.
+   */
+  load() {
+    if (!this._loadPromise) {
+      const self = this
+      this._loadPromise = Promise.resolve(this._adapter.keys())
+        .then((keys) => {
+          const ownKeys = (keys || []).filter((key) => key.indexOf(self._keyPrefix) === 0)
+          return Promise.all(
+            ownKeys.map((key) =>
+              Promise.resolve(self._adapter.getItem(key)).then((value) => {
+                if (
+                  value !== null &&
+                  value !== undefined &&
+                  self._memory.getItem(key) === null &&
+                  !self._removedKeys.hasOwnProperty(key)
+                ) {
+                  self._memory.setItem(key, value)
+                }
+              }),
+            ),
+          )
+        })
+        .then(() => {
+          self._removedKeys = null
+        })
+    }
+
+    return this._loadPromise
+  }
+
+  getItem(key) {
+    return this._memory.getItem(key)
+  }
+
+  setItem(key, value) {
+    this._memory.setItem(key, value)
+    this._persist(() => this._adapter.setItem(key, String(value)))
+  }
+
+  removeItem(key) {
+    if (this._removedKeys) {
+      this._removedKeys[key] = true
+    }
+
+    this._memory.removeItem(key)
+    this._persist(() => this._adapter.removeItem(key))
+  }
+
+  keys() {
+    return this._memory.keys()
+  }
+
+  /**
+   * Resolves once every write made so far has been persisted.
+   * @returns {Promise}
+   */
+  flush() {
+    return this._pendingWrites
+  }
+
+  // writes are chained so that the adapter receives them in order
+  _persist(write) {
+    this._pendingWrites = this._pendingWrites.then(write).catch((err) => this._onError(err))
+  }
+}
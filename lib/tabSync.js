@@ -0,0 +1,96 @@
+//----------------------------------------------------------------------
+// Messages exchanged between the tabs of an app sharing the same cache,
+// so that a login or logout in one tab is applied to the others.
+//----------------------------------------------------------------------
+
+/**
+ * Enum for the messages sent to the other tabs
+ * @enum {string}
+ */
+export const SYNC_EVENT = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  TOKEN_ACQUIRED: 'token-acquired',
+  ACCOUNT_CHANGED: 'account-changed',
+}
+
+/**
+ * Sends and receives messages with a BroadcastChannel, or with storage events in browsers without BroadcastChannel.
+ */
+export default class TabSync {
+  /**
+   * @param {string} channelName  -  name of the channel, also used as localStorage key by the storage event fallback.
+   * @param {function} onMessage  -  called with the messages sent by the other tabs.
+   */
+  constructor(channelName, onMessage) {
+    this._channelName = channelName
+    this._onMessage = onMessage
+    this._channel = null
+    this._storageListener = null
+  }
+
+  /**
+   * Starts listening to the other tabs.
+   */
+  start() {
+    if (this._channel || this._storageListener) {
+      return
+    }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(this._channelName)
+      this._channel.onmessage = (event) => this._receive(event.data)
+    } else if (window.localStorage && window.addEventListener) {
+      // storage events are only fired in the tabs that did not write the value
+      this._storageListener = (event) => {
+        if (event.key === this._channelName && event.newValue) {
+          try {
+            this._receive(JSON.parse(event.newValue))
+          } catch (e) {
+            // not a message of this plugin
+          }
+        }
+      }
+      window.addEventListener('storage', this._storageListener)
+    }
+  }
+
+  /**
+   * Stops listening to the other tabs.
+   */
+  stop() {
+    if (this._channel) {
+      this._channel.close()
+      this._channel = null
+    }
+
+    if (this._storageListener) {
+      window.removeEventListener('storage', this._storageListener)
+      this._storageListener = null
+    }
+  }
+
+  /**
+   * Sends a message to the other tabs.
+   * @param {string} type  -  one of {@link SYNC_EVENT}.
+   * @param {object} [data]  -  properties added to the message.
+   */
+  post(type, data) {
+    const message = Object.assign({}, data, { type })
+
+    if (this._channel) {
+      this._channel.postMessage(message)
+    } else if (this._storageListener) {
+      // the timestamp makes each message a new value, the removal fires an event without value which is ignored
+      message.sentOn = new Date().getTime()
+      window.localStorage.setItem(this._channelName, JSON.stringify(message))
+      window.localStorage.removeItem(this._channelName)
+    }
+  }
+
+  _receive(message) {
+    if (message && message.type) {
+      this._onMessage(message)
+    }
+  }
+}
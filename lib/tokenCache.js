@@ -0,0 +1,205 @@
+//----------------------------------------------------------------------
+// Versioned token cache stored as a single JSON document, so that an
+// update of the cache is a single write to the storage.
+//----------------------------------------------------------------------
+
+export const TOKEN_CACHE_VERSION = 1
+
+/**
+ * Token cached for a resource, or for a set of scopes with the v2.0 endpoint.
+ * @class TokenCacheEntry
+ *  @property {string} resource - the resource, or normalized scopes, the token was requested for.
+ *  @property {string} token - the access token, or the id_token for the app itself.
+ *  @property {string} tokenType - either 'access_token' or 'id_token'.
+ *  @property {number} expiresOn - expiration of the token in seconds since 1970/01/01.
+ *  @property {string} tenantId - tenant that issued the token.
+ *  @property {string} accountId - object id of the user the token was issued to.
+ *  @property {Array.<string>} scopes - scopes granted to the token, if known.
+ *  @property {number} authTime - time the user signed in, from the auth_time claim, or null if unknown.
+ *  @property {string} acr - authentication context class reference of the token, or null.
+ *  @property {Array.<string>} acrs - authentication contexts satisfied by the token.
+ *  @property {Array.<string>} amr - methods the user signed in with, like 'pwd' or 'mfa'.
+ *  @property {string} policy - lower case B2C user flow that issued the token, or null with other authorities.
+ */
+
+/**
+ * Account tokens are cached for, identified by the object id of the user and the tenant that issued the token.
+ * @class TokenCacheAccount
+ *  @property {string} accountId - object id of the user.
+ *  @property {string} tenantId - id of the tenant.
+ *  @property {string} [policy] - lower case B2C user flow of the tokens, or undefined for the tokens of every user flow.
+ */
+
+/**
+ * Token cache persisted through a storage adapter.
+ */
+export default class TokenCache {
+  /**
+   * @param {StorageAdapter} storage  -  synchronous storage adapter holding the cache.
+   * @param {string} key  -  storage key of the cache document.
+   * @param {function} onError  -  called with a message when the stored cache cannot be used, read or saved.
+   */
+  constructor(storage, key, onError) {
+    this._storage = storage
+    this._key = key
+    this._onError = onError || (() => {})
+  }
+
+  /**
+   * Returns true if a cache document exists in the storage.
+   * @returns {Boolean}
+   */
+  exists() {
+    return !!this._read()
+  }
+
+  /**
+   * Returns all the cached entries.
+   * @returns {Array.<TokenCacheEntry>}
+   */
+  getEntries() {
+    const value = this._read()
+
+    if (!value) {
+      return []
+    }
+
+    try {
+      const cache = JSON.parse(value)
+
+      if (!cache || cache.version !== TOKEN_CACHE_VERSION || !Array.isArray(cache.entries)) {
+        this._onError('Ignoring token cache with unsupported version: ' + (cache && cache.version))
+        return []
+      }
+
+      return cache.entries
+    } catch (e) {
+      this._onError('Ignoring token cache that cannot be parsed: ' + e.message)
+      return []
+    }
+  }
+
+  /**
+   * Returns the entries cached for the given account.
+   * @param {TokenCacheAccount} account  -  the account, or null for the entries of every account.
+   * @returns {Array.<TokenCacheEntry>}
+   */
+  getAccountEntries(account) {
+    return this.getEntries().filter((entry) => this._matchesAccount(entry, account))
+  }
+
+  /**
+   * Returns the entry cached for the given resource.
+   * @param {string} resource  -  the resource, or normalized scopes.
+   * @param {TokenCacheAccount} account  -  the account of the token, or null to accept any account.
+   * @returns {TokenCacheEntry} the entry, or null if there is none.
+   */
+  getEntry(resource, account) {
+    const entries = this.getAccountEntries(account)
+
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].resource === resource) {
+        return entries[i]
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Adds an entry, replacing the one cached for the same resource, account and user flow.
+   * @param {TokenCacheEntry} entry
+   */
+  setEntry(entry) {
+    const entries = this.getEntries().filter(
+      (cached) =>
+        cached.resource !== entry.resource ||
+        cached.accountId !== entry.accountId ||
+        cached.tenantId !== entry.tenantId ||
+        (cached.policy || null) !== (entry.policy || null),
+    )
+    entries.push(entry)
+    this._write(entries)
+  }
+
+  /**
+   * Removes the entries cached for the given resource.
+   * @param {string} resource  -  the resource, or normalized scopes.
+   * @param {TokenCacheAccount} account  -  the account of the tokens, or null for every account.
+   */
+  removeEntry(resource, account) {
+    this._removeEntries(
+      (entry) => entry.resource === resource && this._matchesAccount(entry, account),
+    )
+  }
+
+  /**
+   * Removes the entries holding the given token.
+   * @param {string} token
+   */
+  removeToken(token) {
+    this._removeEntries((entry) => entry.token === token)
+  }
+
+  /**
+   * Removes the entries cached for the given account.
+   * @param {TokenCacheAccount} account
+   */
+  removeAccountEntries(account) {
+    this._removeEntries((entry) => this._matchesAccount(entry, account))
+  }
+
+  /**
+   * Removes every entry.
+   */
+  clear() {
+    this._write([])
+  }
+
+  _matchesAccount(entry, account) {
+    return (
+      !account ||
+      (entry.accountId === account.accountId &&
+        entry.tenantId === account.tenantId &&
+        (!account.policy || entry.policy === account.policy))
+    )
+  }
+
+  _removeEntries(predicate) {
+    const entries = this.getEntries()
+    const remaining = entries.filter((entry) => !predicate(entry))
+
+    if (remaining.length !== entries.length) {
+      this._write(remaining)
+    }
+  }
+
+  // the storage can throw, like when its quota is exceeded or in the private mode of Safari
+  _read() {
+    try {
+      return this._storage.getItem(this._key)
+    } catch (e) {
+      this._onError('Error reading token cache: ' + e.message)
+      return null
+    }
+  }
+
+  _write(entries) {
+    const value = JSON.stringify({
+      version: TOKEN_CACHE_VERSION,
+      entries,
+    })
+
+    try {
+      this._storage.setItem(this._key, value)
+    } catch (e) {
+      this._onError('Error saving token cache: ' + e.message)
+      return
+    }
+
+    // browsers drop the cookies they cannot store without an error
+    if (this._read() !== value) {
+      this._onError('Error saving token cache: the storage did not keep it')
+    }
+  }
+}
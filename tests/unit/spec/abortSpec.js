@@ -0,0 +1,112 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { AbortError, ERROR_CODE } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+const CLAIMS = '{"access_token":{"xms_cc":{"values":["cp1"]}}}'
+
+describe('aborting requests', () => {
+  let plugin
+  let frame
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+    plugin = createPlugin()
+    frame = { src: 'about:blank' }
+    spyOn(document, 'getElementById').andReturn(frame)
+
+    const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+    const user = plugin._createUser(idToken)
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+  })
+
+  function getRenewState() {
+    return plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, plugin.getActiveAccount())]
+  }
+
+  function expectAborted(callback) {
+    const args = callback.mostRecentCall.args
+
+    expect(args[0]).toBe('Request aborted by the app')
+    expect(args[2]).toBe('Request aborted')
+    expect(args[4] instanceof AbortError).toBe(true)
+    expect(args[4].errorCode).toBe(ERROR_CODE.ABORTED)
+  }
+
+  it('fails requests whose signal is already aborted', () => {
+    const controller = new AbortController()
+    const callback = jasmine.createSpy('callback')
+    controller.abort()
+
+    plugin.acquireToken(RESOURCE, callback, { signal: controller.signal })
+
+    expectAborted(callback)
+    expect(getRenewState()).toBeFalsy()
+  })
+
+  it('stops the renewal of the last waiting request', () => {
+    const controller = new AbortController()
+    const callback = jasmine.createSpy('callback')
+
+    plugin.acquireToken(RESOURCE, callback, { signal: controller.signal })
+    const renewState = getRenewState()
+    frame.src = 'https://login.microsoftonline.com/common/oauth2/authorize'
+
+    controller.abort()
+
+    expectAborted(callback)
+    expect(getRenewState()).toBeNull()
+    expect(plugin._renewStates).not.toContain(renewState)
+    expect(frame.src).toBe('about:blank')
+  })
+
+  it('keeps the renewal other requests wait for', () => {
+    const controller = new AbortController()
+    const aborted = jasmine.createSpy('aborted')
+    const waiting = jasmine.createSpy('waiting')
+
+    plugin.acquireToken(RESOURCE, waiting)
+    plugin.acquireToken(RESOURCE, aborted, { signal: controller.signal })
+    const renewState = getRenewState()
+
+    controller.abort()
+    plugin._callBackMappedToRenewStates[renewState](null, 'token-1', null, 'access_token')
+
+    expectAborted(aborted)
+    expect(aborted.callCount).toBe(1)
+    expect(waiting).toHaveBeenCalledWith(null, 'token-1', null, 'access_token', undefined)
+  })
+
+  it('does not send again the aborted requests waiting for the renewal in progress', () => {
+    const controller = new AbortController()
+    const aborted = jasmine.createSpy('aborted')
+    spyOn(plugin, '_renewToken').andCallThrough()
+
+    plugin.acquireToken(RESOURCE, () => {})
+    // a request with claims is sent again once the renewal in progress completed
+    plugin.acquireToken(RESOURCE, aborted, { claims: CLAIMS, signal: controller.signal })
+    const renewState = getRenewState()
+
+    controller.abort()
+    plugin._callBackMappedToRenewStates[renewState](null, 'token-1', null, 'access_token')
+
+    expectAborted(aborted)
+    expect(getRenewState()).toBeNull()
+    expect(plugin._renewToken.callCount).toBe(1)
+  })
+
+  it('stops the renewal when the aborted request waiting with claims was the last one', () => {
+    const first = new AbortController()
+    const second = new AbortController()
+
+    plugin.acquireToken(RESOURCE, () => {}, { signal: first.signal })
+    plugin.acquireToken(RESOURCE, () => {}, { claims: CLAIMS, signal: second.signal })
+
+    first.abort()
+    expect(getRenewState()).toBeTruthy()
+
+    second.abort()
+    expect(getRenewState()).toBeNull()
+  })
+})
@@ -0,0 +1,84 @@
+const { createPlugin, createJwt } = require('./browserHelper')
+
+const AUTHORITY = 'https://adfs.contoso.com/adfs'
+
+describe('AD FS', () => {
+  let plugin
+
+  beforeEach(() => {
+    plugin = createPlugin({ authority: AUTHORITY })
+    plugin.config.state = 'state-1'
+  })
+
+  function createIdToken(claims) {
+    return createJwt(Object.assign({ aud: 'client-id', sub: 'jdoe-sub', exp: 2000000000 }, claims))
+  }
+
+  it('sends the requests to the endpoints of AD FS', () => {
+    expect(plugin._getNavigateUrl('id_token', 'client-id')).toContain(
+      'https://adfs.contoso.com/adfs/oauth2/authorize?',
+    )
+  })
+
+  it('names the users after their upn, or their unique_name without upn', () => {
+    const upnUser = plugin._createUser(
+      createIdToken({ upn: 'jdoe@contoso.com', unique_name: 'CONTOSO\\jdoe' }),
+    )
+    const windowsUser = plugin._createUser(createIdToken({ unique_name: 'CONTOSO\\jdoe' }))
+
+    expect(upnUser.userName).toBe('jdoe@contoso.com')
+    expect(windowsUser.userName).toBe('CONTOSO\\jdoe')
+    expect(
+      createPlugin()._createUser(createIdToken({ unique_name: 'CONTOSO\\jdoe' })).userName,
+    ).toBe('')
+  })
+
+  it('sends the unique_name as login_hint, without domain_hint nor sid', () => {
+    const user = plugin._createUser(
+      createIdToken({ unique_name: 'CONTOSO\\jdoe', sid: 'S-1-5-21' }),
+    )
+    const upnUser = plugin._createUser(createIdToken({ upn: 'jdoe@contoso.com', sid: 'S-1-5-21' }))
+
+    expect(plugin._addHintParameters('https://adfs/authorize?prompt=none', user)).toBe(
+      'https://adfs/authorize?prompt=none&login_hint=' + encodeURIComponent('CONTOSO\\jdoe'),
+    )
+    expect(plugin._addHintParameters('https://adfs/authorize?a=b', upnUser)).toBe(
+      'https://adfs/authorize?a=b&login_hint=' + encodeURIComponent('jdoe@contoso.com'),
+    )
+  })
+
+  it('keeps the sid and domain_hint of Azure AD', () => {
+    plugin = createPlugin()
+    const user = plugin._createUser(
+      createIdToken({ upn: 'jdoe@contoso.com', tid: 'tenant', sid: 'session-id' }),
+    )
+
+    expect(plugin._addHintParameters('https://aad/authorize?a=b', user)).toBe(
+      'https://aad/authorize?a=b&login_hint=' +
+        encodeURIComponent('jdoe@contoso.com') +
+        '&domain_hint=contoso.com',
+    )
+    expect(plugin._addHintParameters('https://aad/authorize?a=b&prompt=none', user)).toBe(
+      'https://aad/authorize?a=b&prompt=none&sid=session-id',
+    )
+  })
+
+  it('logs out at the logout endpoint of AD FS with the id_token of the account', () => {
+    // AD FS does not take the logout_hint of the v2.0 endpoint of Azure AD
+    plugin = createPlugin({ authority: AUTHORITY, endpointVersion: 'v2' })
+    const idToken = createIdToken({ upn: 'jdoe@contoso.com', login_hint: 'hint' })
+    const user = plugin._createUser(idToken)
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+    spyOn(plugin, 'promptUser')
+
+    plugin.logOut({ postLogoutRedirectUri: 'https://app.example.com/' })
+
+    expect(plugin.promptUser).toHaveBeenCalledWith(
+      'https://adfs.contoso.com/adfs/oauth2/logout?post_logout_redirect_uri=' +
+        encodeURIComponent('https://app.example.com/') +
+        '&id_token_hint=' +
+        encodeURIComponent(idToken),
+    )
+  })
+})
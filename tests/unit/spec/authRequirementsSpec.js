@@ -0,0 +1,167 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { checkAuthRequirements, getAuthRequirementParameters, getAuthRequirements } =
+  requireLib('authRequirements')
+const { InteractionRequiredError } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+const NOW = 1700000000
+
+describe('authentication requirements', () => {
+  describe('getAuthRequirements', () => {
+    it('returns null for the requests without requirements', () => {
+      expect(getAuthRequirements(null)).toBeNull()
+      expect(getAuthRequirements({ acrValues: '', maxAge: -1, requireMfa: false })).toBeNull()
+    })
+
+    it('reads the acr values given as a string or a list', () => {
+      expect(getAuthRequirements({ acrValues: 'c1  c2' })).toEqual({
+        maxAge: null,
+        acrValues: ['c1', 'c2'],
+        requireMfa: false,
+      })
+      expect(getAuthRequirements({ acrValues: ['c1'], maxAge: 0, requireMfa: true })).toEqual({
+        maxAge: 0,
+        acrValues: ['c1'],
+        requireMfa: true,
+      })
+    })
+  })
+
+  describe('getAuthRequirementParameters', () => {
+    it('asks for multi-factor authentication with AD FS only', () => {
+      const requirements = { maxAge: 300, acrValues: ['c1', 'c2'], requireMfa: true }
+
+      expect(getAuthRequirementParameters(requirements, false)).toBe(
+        '&max_age=300&acr_values=c1%20c2',
+      )
+      expect(getAuthRequirementParameters(requirements, true)).toBe(
+        '&max_age=300&acr_values=c1%20c2&amr_values=mfa',
+      )
+    })
+  })
+
+  describe('checkAuthRequirements', () => {
+    const authClaims = { authTime: NOW - 600, acr: '1', acrs: ['c1'], amr: ['pwd', 'mfa'] }
+
+    it('accepts the tokens meeting every requirement', () => {
+      const requirements = { maxAge: 600, acrValues: ['c2', 'c1'], requireMfa: true }
+
+      expect(checkAuthRequirements(authClaims, requirements, NOW)).toBeNull()
+    })
+
+    it('rejects the sign-ins older than maxAge', () => {
+      const requirements = { maxAge: 599, acrValues: [], requireMfa: false }
+
+      expect(checkAuthRequirements(authClaims, requirements, NOW)).toBe(
+        'The user signed in more than 599 seconds ago',
+      )
+      expect(checkAuthRequirements({}, requirements, NOW)).toBe('The token has no auth_time claim')
+    })
+
+    it('rejects the tokens without one of the acr values', () => {
+      const requirements = { maxAge: null, acrValues: ['c2', 'c3'], requireMfa: false }
+
+      expect(checkAuthRequirements(authClaims, requirements, NOW)).toBe(
+        'The token carries none of the acr values c2, c3',
+      )
+    })
+
+    it('rejects the sign-ins without multi-factor authentication', () => {
+      const requirements = { maxAge: null, acrValues: [], requireMfa: true }
+
+      expect(checkAuthRequirements({ amr: ['pwd'] }, requirements, NOW)).toBe(
+        'The user did not sign in with multi-factor authentication',
+      )
+    })
+  })
+
+  describe('in the plugin', () => {
+    let plugin
+
+    beforeEach(() => {
+      plugin = createPlugin({ navigateToLoginRequestUrl: false })
+      plugin._now = () => NOW
+    })
+
+    function signIn(claims) {
+      const idToken = createJwt(
+        Object.assign({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 }, claims),
+      )
+      const user = plugin._createUser(idToken)
+
+      plugin._saveAccount(user, idToken)
+      plugin.setActiveAccount(user)
+      return user
+    }
+
+    function redirectWith(requirements, claims) {
+      plugin.config.state = 'state-1'
+      plugin._saveItem(plugin.CONSTANTS.STORAGE.STATE_LOGIN, 'state-1')
+      plugin._saveItem(plugin.CONSTANTS.STORAGE.NONCE_IDTOKEN, 'nonce-1')
+      plugin._addAuthRequirementParameters('', requirements)
+
+      const idToken = createJwt(
+        Object.assign(
+          {
+            aud: 'client-id',
+            oid: 'alice',
+            iss: 'https://sts.windows.net/tenant/',
+            tid: 'tenant',
+            exp: 2000000000,
+            nonce: 'nonce-1',
+          },
+          claims,
+        ),
+      )
+      return plugin.handleRedirectPromise('#id_token=' + idToken + '&state=state-1')
+    }
+
+    it('only returns the cached tokens meeting the requirements', () => {
+      const user = signIn()
+      const profile = { tid: 'tenant', oid: 'alice', auth_time: NOW - 60, amr: ['pwd'] }
+      plugin._tokenCache.setEntry(
+        plugin._createCacheEntry(RESOURCE, 'token-1', 2000000000, 'access_token', profile),
+      )
+
+      expect(plugin.getCachedToken(RESOURCE, user, { maxAge: 120 })).toBe('token-1')
+      expect(plugin.getCachedToken(RESOURCE, user, { maxAge: 30 })).toBeNull()
+      expect(plugin.getCachedToken(RESOURCE, user, { requireMfa: true })).toBeNull()
+      expect(plugin.getCachedToken(RESOURCE, user)).toBe('token-1')
+    })
+
+    it('sends the requirements and stores them by state', () => {
+      plugin.config.state = 'state-1'
+
+      const url = plugin._addAuthRequirementParameters('https://login/authorize?a=b', {
+        maxAge: 0,
+        acrValues: ['c1'],
+      })
+
+      expect(url).toBe('https://login/authorize?a=b&max_age=0&acr_values=c1')
+      expect(
+        JSON.parse(plugin._getItem(plugin.CONSTANTS.STORAGE.AUTH_REQUIREMENTS + 'state-1')),
+      ).toEqual({ maxAge: 0, acrValues: ['c1'], requireMfa: false })
+    })
+
+    it('rejects the responses not meeting the requirements of their request', (done) => {
+      redirectWith({ requireMfa: true }, { amr: ['pwd'] }).then(null, (err) => {
+        expect(err instanceof InteractionRequiredError).toBe(true)
+        expect(err.errorMessage).toBe(
+          'The token does not meet the authentication requirements of the request. ' +
+            'The user did not sign in with multi-factor authentication',
+        )
+        expect(plugin.getCachedUser()).toBeNull()
+        expect(plugin._getItem(plugin.CONSTANTS.STORAGE.AUTH_REQUIREMENTS + 'state-1')).toBeFalsy()
+        done()
+      })
+    })
+
+    it('accepts the responses meeting the requirements of their request', (done) => {
+      redirectWith({ maxAge: 300 }, { auth_time: NOW - 10, iat: NOW }).then((result) => {
+        expect(result.user.profile.oid).toBe('alice')
+        done()
+      })
+    })
+  })
+})
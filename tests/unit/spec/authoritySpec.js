@@ -0,0 +1,259 @@
+const { requireLib, createPlugin } = require('./browserHelper')
+
+const { default: Authority, AUTHORITY_TYPE, AZURE_CLOUD } = requireLib('authority')
+const { ERROR_CODE } = requireLib('errors')
+
+const UNTRUSTED_AUTHORITY = 'https://login.contoso.com/contoso.onmicrosoft.com'
+
+describe('Authority', () => {
+  describe('parsing', () => {
+    it('parses AAD authorities and defaults the tenant to common', () => {
+      const authority = new Authority('https://login.microsoftonline.us/')
+
+      expect(authority.type).toBe(AUTHORITY_TYPE.AAD)
+      expect(authority.tenant).toBe('common')
+      expect(authority.cloud).toBe(AZURE_CLOUD.US_GOVERNMENT)
+      expect(authority.instance).toBe('https://login.microsoftonline.us/')
+      expect(authority.url).toBe('https://login.microsoftonline.us/common')
+    })
+
+    it('detects B2C authorities by their host and keeps their policy', () => {
+      const authority = new Authority(
+        'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin',
+      )
+
+      expect(authority.isB2C()).toBe(true)
+      expect(authority.tenant).toBe('contoso.onmicrosoft.com')
+      expect(authority.policy).toBe('B2C_1_signin')
+      expect(authority.cloud).toBeNull()
+    })
+
+    it('detects AD FS authorities by their path', () => {
+      const authority = new Authority('https://adfs.contoso.com/adfs')
+
+      expect(authority.isAdfs()).toBe(true)
+      expect(authority.tenant).toBeNull()
+      expect(authority.url).toBe('https://adfs.contoso.com/adfs')
+    })
+
+    it('uses the configured type for custom domains', () => {
+      const authority = new Authority(
+        'https://login.contoso.com/contoso.onmicrosoft.com/B2C_1_signin',
+        {
+          type: AUTHORITY_TYPE.B2C,
+        },
+      )
+
+      expect(authority.isB2C()).toBe(true)
+      expect(() => new Authority('https://login.contoso.com/contoso', { type: 'OIDC' })).toThrow(
+        'Unsupported authority type: OIDC',
+      )
+    })
+
+    it('rejects invalid authority URLs', () => {
+      expect(() => new Authority('http://login.microsoftonline.com/common')).toThrow(
+        'Invalid authority http://login.microsoftonline.com/common: expected an https URL without query or fragment',
+      )
+      expect(() => new Authority('https://login.microsoftonline.com/common?x=1')).toThrow()
+      expect(() => new Authority('https://login.microsoftonline.com/contoso/extra')).toThrow(
+        'Invalid authority https://login.microsoftonline.com/contoso/extra: expected https://<instance>/<tenant>',
+      )
+      expect(() => new Authority('https://contoso.b2clogin.com/contoso.onmicrosoft.com')).toThrow(
+        'Invalid B2C authority https://contoso.b2clogin.com/contoso.onmicrosoft.com: expected https://<host>/<tenant>/<policy>',
+      )
+      expect(
+        () => new Authority('https://adfs.contoso.com/tenant', { type: AUTHORITY_TYPE.ADFS }),
+      ).toThrow(
+        'Invalid AD FS authority https://adfs.contoso.com/tenant: expected https://<host>/adfs',
+      )
+    })
+  })
+
+  describe('validation', () => {
+    it('trusts the hosts of the known clouds and the known authorities', () => {
+      expect(
+        new Authority('https://login.chinacloudapi.cn/contoso', { validate: true }).isTrusted(),
+      ).toBe(true)
+      expect(
+        new Authority(UNTRUSTED_AUTHORITY, {
+          validate: true,
+          knownAuthorities: ['LOGIN.CONTOSO.COM'],
+        }).isTrusted(),
+      ).toBe(true)
+      expect(new Authority(UNTRUSTED_AUTHORITY, { validate: true }).isTrusted()).toBe(false)
+      expect(new Authority(UNTRUSTED_AUTHORITY).isTrusted()).toBe(true)
+    })
+
+    it('rejects untrusted hosts that cannot be discovered', () => {
+      expect(
+        () => new Authority(UNTRUSTED_AUTHORITY, { validate: true, instanceDiscovery: false }),
+      ).toThrow(
+        'Untrusted authority host login.contoso.com: add it to knownAuthorities or enable instanceDiscovery',
+      )
+      expect(
+        () =>
+          new Authority('https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin', {
+            validate: true,
+          }),
+      ).toThrow('Untrusted authority host contoso.b2clogin.com: add it to knownAuthorities')
+    })
+  })
+
+  describe('discover', () => {
+    let authority
+    let fetchJson
+
+    beforeEach(() => {
+      authority = new Authority(UNTRUSTED_AUTHORITY, { validate: true })
+      fetchJson = jasmine
+        .createSpy('fetchJson')
+        .andReturn(
+          Promise.resolve({ tenant_discovery_endpoint: 'https://login.contoso.com/.well-known' }),
+        )
+    })
+
+    it('does not send requests for trusted hosts', (done) => {
+      new Authority('https://login.microsoftonline.com/common', { validate: true })
+        .discover(fetchJson)
+        .then(() => {
+          expect(fetchJson).not.toHaveBeenCalled()
+          done()
+        })
+    })
+
+    it('trusts the hosts confirmed by instance discovery', (done) => {
+      authority.discover(fetchJson).then(() => {
+        expect(fetchJson).toHaveBeenCalledWith(
+          'https://login.microsoftonline.com/common/discovery/instance?api-version=1.1&authorization_endpoint=' +
+            encodeURIComponent(UNTRUSTED_AUTHORITY + '/oauth2/authorize'),
+        )
+        expect(authority.isTrusted()).toBe(true)
+        done()
+      })
+    })
+
+    it('rejects the hosts that instance discovery does not confirm', (done) => {
+      fetchJson.andReturn(Promise.resolve({ error: 'invalid_instance' }))
+
+      authority.discover(fetchJson).then(null, (err) => {
+        expect(err.message).toBe(
+          'Instance discovery did not confirm authority ' + UNTRUSTED_AUTHORITY,
+        )
+        expect(authority.isTrusted()).toBe(false)
+        done()
+      })
+    })
+
+    it('sends the request again after a failure', (done) => {
+      fetchJson.andReturn(Promise.reject(new Error('Network error')))
+
+      authority
+        .discover(fetchJson)
+        .then(null, (err) => {
+          expect(err.message).toBe(
+            'Instance discovery failed for authority ' + UNTRUSTED_AUTHORITY + ': Network error',
+          )
+          fetchJson.andReturn(Promise.resolve({ tenant_discovery_endpoint: 'endpoint' }))
+          return authority.discover(fetchJson)
+        })
+        .then(() => {
+          expect(fetchJson.callCount).toBe(2)
+          expect(authority.isTrusted()).toBe(true)
+          done()
+        })
+    })
+  })
+
+  describe('getEndpointUrl', () => {
+    it('builds the v1.0 and v2.0 endpoint URLs of AAD', () => {
+      const authority = new Authority('https://login.microsoftonline.com/contoso.onmicrosoft.com')
+
+      expect(authority.getEndpointUrl('authorize', false)).toBe(
+        'https://login.microsoftonline.com/contoso.onmicrosoft.com/oauth2/authorize',
+      )
+      expect(authority.getEndpointUrl('token', true)).toBe(
+        'https://login.microsoftonline.com/contoso.onmicrosoft.com/oauth2/v2.0/token',
+      )
+      expect(authority.getOpenIdConfigurationUrl(true)).toBe(
+        'https://login.microsoftonline.com/contoso.onmicrosoft.com/v2.0/.well-known/openid-configuration',
+      )
+    })
+
+    it('uses the v2.0 endpoints and the user flow of B2C authorities', () => {
+      const authority = new Authority(
+        'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin',
+      )
+
+      expect(authority.getEndpointUrl('authorize', false)).toBe(
+        'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin/oauth2/v2.0/authorize',
+      )
+      expect(authority.getEndpointUrl('authorize', true, 'B2C_1_edit')).toBe(
+        'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_edit/oauth2/v2.0/authorize',
+      )
+      expect(() => authority.getEndpointUrl('authorize', true, '../B2C_1_edit')).toThrow(
+        'Invalid B2C policy: ../B2C_1_edit',
+      )
+    })
+
+    it('uses the endpoints of AD FS for v2.0 requests', () => {
+      expect(new Authority('https://adfs.contoso.com/adfs').getEndpointUrl('token', true)).toBe(
+        'https://adfs.contoso.com/adfs/oauth2/token',
+      )
+    })
+
+    it('fails until the host is trusted', () => {
+      const authority = new Authority(UNTRUSTED_AUTHORITY, { validate: true })
+
+      expect(() => authority.getEndpointUrl('authorize', false)).toThrow(
+        'Authority ' +
+          UNTRUSTED_AUTHORITY +
+          ' is not validated yet, wait for initialize() to resolve',
+      )
+    })
+  })
+
+  describe('in the plugin', () => {
+    it('fails the login when the authority is not validated yet', () => {
+      const callback = jasmine.createSpy('callback')
+      const plugin = createPlugin({
+        authority: UNTRUSTED_AUTHORITY,
+        validateAuthority: true,
+        callback,
+      })
+
+      plugin.login()
+
+      expect(callback).toHaveBeenCalledWith(
+        'Authority ' +
+          UNTRUSTED_AUTHORITY +
+          ' is not validated yet, wait for initialize() to resolve',
+        null,
+        ERROR_CODE.INVALID_AUTHORITY,
+      )
+      expect(plugin._loginInProgress).toBe(false)
+    })
+
+    it('saves the login error when there is no callback', () => {
+      const plugin = createPlugin({ authority: UNTRUSTED_AUTHORITY, validateAuthority: true })
+
+      expect(() => plugin.login()).not.toThrow()
+      expect(plugin.getLoginError()).toContain('is not validated yet')
+    })
+
+    it('fails requests with the error code of the failure', () => {
+      const callback = jasmine.createSpy('callback')
+      const plugin = createPlugin({
+        authority: 'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin',
+        callback,
+      })
+
+      plugin.login({ policy: 'B2C_1_edit?x' })
+
+      expect(callback).toHaveBeenCalledWith(
+        'Invalid B2C policy: B2C_1_edit?x',
+        null,
+        ERROR_CODE.INVALID_POLICY,
+      )
+    })
+  })
+})
@@ -0,0 +1,113 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { PopupBlockedError, ERROR_CODE } = requireLib('errors')
+
+const AUTHORITY = 'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_signin'
+const RESOURCE = 'https://contoso.onmicrosoft.com/api/read'
+const PASSWORD_RESET_ERROR =
+  '#error=access_denied&error_description=AADB2C90118%3A+The+user+has+forgotten+their+password.&state=state-1'
+
+describe('Azure AD B2C', () => {
+  let plugin
+
+  beforeEach(() => {
+    plugin = createPlugin({ authority: AUTHORITY, navigateToLoginRequestUrl: false })
+  })
+
+  function signIn() {
+    const idToken = createJwt({
+      aud: 'client-id',
+      oid: 'alice',
+      tid: 'tenant',
+      tfp: 'B2C_1_signin',
+      exp: 2000000000,
+    })
+    const user = plugin._createUser(idToken)
+
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+    return user
+  }
+
+  function cacheToken(token, policy) {
+    plugin._tokenCache.setEntry({
+      resource: RESOURCE,
+      token,
+      tokenType: 'access_token',
+      expiresOn: 2000000000,
+      accountId: 'alice',
+      tenantId: 'tenant',
+      scopes: [RESOURCE],
+      policy,
+    })
+  }
+
+  it('always uses the v2.0 endpoint', () => {
+    expect(plugin._isV2Endpoint()).toBe(true)
+  })
+
+  it('runs the user flow of the request', (done) => {
+    spyOn(window, 'open').andReturn(null)
+
+    plugin.loginPopupAsync({ policy: 'B2C_1_edit_profile' }).then(null, (err) => {
+      expect(err instanceof PopupBlockedError).toBe(true)
+      expect(window.open.mostRecentCall.args[0]).toContain(
+        'https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_edit_profile/oauth2/v2.0/authorize?',
+      )
+      done()
+    })
+  })
+
+  it('fails the requests with an invalid user flow', (done) => {
+    plugin.loginPopupAsync({ policy: '../B2C_1_edit_profile' }).then(null, (err) => {
+      expect(err.errorCode).toBe(ERROR_CODE.INVALID_POLICY)
+      done()
+    })
+  })
+
+  it('reads the user flow of the tokens from their tfp or acr claim', () => {
+    expect(plugin._getTokenPolicy(createJwt({ tfp: 'B2C_1_SignIn' }))).toBe('b2c_1_signin')
+    expect(plugin._getTokenPolicy(createJwt({ acr: 'b2c_1_edit_profile' }))).toBe(
+      'b2c_1_edit_profile',
+    )
+    expect(plugin._getTokenPolicy(null, { tfp: 'B2C_1_signin' })).toBe('b2c_1_signin')
+    expect(createPlugin()._getTokenPolicy(createJwt({ tfp: 'B2C_1_signin' }))).toBeNull()
+  })
+
+  it('returns the cached tokens of the user flow of the request only', () => {
+    const user = signIn()
+    cacheToken('signin-token', 'b2c_1_signin')
+    cacheToken('edit-token', 'b2c_1_edit_profile')
+
+    expect(plugin.getCachedToken(RESOURCE)).toBe('signin-token')
+    expect(plugin.getCachedToken(RESOURCE, user, { policy: 'B2C_1_Edit_Profile' })).toBe(
+      'edit-token',
+    )
+    expect(plugin.getCachedToken(RESOURCE, user, { policy: 'B2C_1_other' })).toBeNull()
+  })
+
+  describe('password reset', () => {
+    beforeEach(() => {
+      plugin._saveItem(plugin.CONSTANTS.STORAGE.STATE_LOGIN, 'state-1')
+    })
+
+    it('fails the login by default', (done) => {
+      plugin.handleRedirectPromise(PASSWORD_RESET_ERROR).then(null, (err) => {
+        expect(err.errorCode).toBe('access_denied')
+        expect(err.errorMessage).toContain('AADB2C90118')
+        done()
+      })
+    })
+
+    it('starts the password reset user flow when configured', (done) => {
+      plugin.config.passwordResetPolicy = 'B2C_1_password_reset'
+      spyOn(plugin, '_login').andCallFake((callback, isPopup, options) => {
+        expect(isPopup).toBe(false)
+        expect(options).toEqual({ policy: 'B2C_1_password_reset' })
+        done()
+      })
+
+      plugin.handleRedirectPromise(PASSWORD_RESET_ERROR)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+// Browser globals used by the plugin, loaded by jasmine-node before the specs.
+// The lib files are ES modules, loaded with esm.
+
+const { webcrypto } = require('crypto')
+const loadModule = require('esm')(module)
+
+class MemoryStorage {
+  constructor() {
+    this.items = {}
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value)
+  }
+
+  removeItem(key) {
+    delete this.items[key]
+  }
+
+  key(index) {
+    return Object.keys(this.items)[index] || null
+  }
+
+  get length() {
+    return Object.keys(this.items).length
+  }
+}
+
+global.window = global
+window.location = { href: 'https://app.example.com/', hash: '', replace() {} }
+window.navigator = { userAgent: 'node' }
+window.crypto = webcrypto
+window.atob = (value) => Buffer.from(value, 'base64').toString('binary')
+window.btoa = (value) => Buffer.from(value, 'binary').toString('base64')
+window.sessionStorage = new MemoryStorage()
+window.localStorage = new MemoryStorage()
+window.addEventListener = () => {}
+window.removeEventListener = () => {}
+window.parent = window
+window.open = () => null
+window.ProgressEvent = class ProgressEvent extends Event {}
+global.document = {
+  cookie: '',
+  documentElement: {},
+  body: {},
+  getElementById: () => null,
+  createElement: () => ({ setAttribute() {}, style: {} }),
+  getElementsByTagName: () => [{ appendChild: (element) => element }],
+}
+
+/**
+ * Loads a module of lib/, like requireLib('pkce').
+ */
+function requireLib(name) {
+  return loadModule('../../../lib/' + name)
+}
+
+// the plugin logs every message to the console
+requireLib('index').default.prototype.log = () => {}
+
+/**
+ * Creates a plugin caching in memory.
+ */
+function createPlugin(config) {
+  const ActiveDirectoryPlugin = requireLib('index').default
+
+  return new ActiveDirectoryPlugin(
+    Object.assign({ clientId: 'client-id', cacheLocation: 'memoryStorage' }, config),
+  )
+}
+
+/**
+ * Encodes a JSON value as base64url.
+ */
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString(
+    'base64url',
+  )
+}
+
+/**
+ * Creates an unsigned JWT carrying the given claims.
+ */
+function createJwt(claims) {
+  return base64Url({ alg: 'none' }) + '.' + base64Url(claims) + '.sig'
+}
+
+module.exports = { MemoryStorage, requireLib, createPlugin, base64Url, createJwt }
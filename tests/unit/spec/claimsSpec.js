@@ -0,0 +1,201 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { getWwwAuthenticateHeader, mergeClaims, parseClaimsChallenge } = requireLib('claims')
+const { InteractionRequiredError, ServerError } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+const CLAIMS = '{"access_token":{"nbf":{"essential":true,"value":"1700000000"}}}'
+// base64 of CLAIMS without its padding, as sent by Microsoft Graph
+const ENCODED_CLAIMS = Buffer.from(CLAIMS).toString('base64').replace(/=+$/, '')
+const CHALLENGE =
+  'Bearer realm="", authorization_uri="https://login.microsoftonline.com/common/oauth2/authorize", ' +
+  'error="insufficient_claims", claims="' +
+  ENCODED_CLAIMS +
+  '"'
+
+describe('claims', () => {
+  describe('mergeClaims', () => {
+    it('returns the claims as is without client capabilities', () => {
+      expect(mergeClaims(null, null)).toBeNull()
+      expect(mergeClaims(CLAIMS, [])).toBe(CLAIMS)
+    })
+
+    it('adds the client capabilities to the claims of the access token', () => {
+      expect(JSON.parse(mergeClaims(null, ['CP1']))).toEqual({
+        access_token: { xms_cc: { values: ['CP1'] } },
+      })
+      expect(JSON.parse(mergeClaims(CLAIMS, ['CP1'])).access_token).toEqual({
+        nbf: { essential: true, value: '1700000000' },
+        xms_cc: { values: ['CP1'] },
+      })
+    })
+
+    it('does not repeat the capabilities already requested', () => {
+      const claims = '{"access_token":{"xms_cc":{"values":["CP1"]}}}'
+
+      expect(JSON.parse(mergeClaims(claims, ['CP1', 'CP2'])).access_token.xms_cc.values).toEqual([
+        'CP1',
+        'CP2',
+      ])
+    })
+
+    it('fails when the claims are not JSON', () => {
+      let error = null
+
+      try {
+        mergeClaims('nbf', ['CP1'])
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.message).toContain(
+        'Claims must be valid JSON to add the client capabilities or authentication contexts',
+      )
+    })
+  })
+
+  describe('parseClaimsChallenge', () => {
+    it('decodes the claims of the challenge', () => {
+      expect(parseClaimsChallenge(CHALLENGE)).toBe(CLAIMS)
+      expect(
+        parseClaimsChallenge(
+          'Bearer error="insufficient_claims", claims="' +
+            Buffer.from(CLAIMS).toString('base64url') +
+            '"',
+        ),
+      ).toBe(CLAIMS)
+    })
+
+    it('ignores the other WWW-Authenticate headers', () => {
+      expect(parseClaimsChallenge(null)).toBeNull()
+      expect(parseClaimsChallenge('Bearer error="invalid_token"')).toBeNull()
+      expect(
+        parseClaimsChallenge('Bearer error="insufficient_claims", claims="bm90IGpzb24"'),
+      ).toBeNull()
+    })
+  })
+
+  describe('getWwwAuthenticateHeader', () => {
+    it('reads the header of fetch, XMLHttpRequest and axios responses', () => {
+      const xhr = { getResponseHeader: (name) => (name === 'WWW-Authenticate' ? CHALLENGE : null) }
+
+      expect(getWwwAuthenticateHeader(CHALLENGE)).toBe(CHALLENGE)
+      expect(
+        getWwwAuthenticateHeader(new Response('', { headers: { 'www-authenticate': CHALLENGE } })),
+      ).toBe(CHALLENGE)
+      expect(getWwwAuthenticateHeader(xhr)).toBe(CHALLENGE)
+      expect(getWwwAuthenticateHeader({ headers: { 'www-authenticate': CHALLENGE } })).toBe(
+        CHALLENGE,
+      )
+      expect(
+        getWwwAuthenticateHeader({ response: { headers: { 'WWW-Authenticate': CHALLENGE } } }),
+      ).toBe(CHALLENGE)
+      expect(getWwwAuthenticateHeader({ headers: {} })).toBeNull()
+    })
+  })
+
+  describe('in the plugin', () => {
+    let plugin
+
+    beforeEach(() => {
+      plugin = createPlugin({ clientCapabilities: ['CP1'] })
+
+      const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+      const user = plugin._createUser(idToken)
+      plugin._saveAccount(user, idToken)
+      plugin.setActiveAccount(user)
+      plugin._tokenCache.setEntry({
+        resource: RESOURCE,
+        token: 'revoked-token',
+        tokenType: 'access_token',
+        expiresOn: 2000000000,
+        accountId: 'alice',
+        tenantId: 'tenant',
+        scopes: [],
+      })
+    })
+
+    it('sends the client capabilities in the claims parameter', () => {
+      const url = plugin._addClaimsParameter('https://login/authorize?a=b', CLAIMS, null)
+      const claims = JSON.parse(decodeURIComponent(/&claims=([^&]+)/.exec(url)[1]))
+
+      expect(claims.access_token.xms_cc).toEqual({ values: ['CP1'] })
+      expect(claims.access_token.nbf).toEqual({ essential: true, value: '1700000000' })
+    })
+
+    it('leaves the claims passed as an extraQueryParameter as they are', () => {
+      const url = 'https://login/authorize?a=b&claims=%7B%7D'
+
+      expect(plugin._addClaimsParameter(url, null, null)).toBe(url)
+      expect(() => plugin._addClaimsParameter(url, CLAIMS, null)).toThrow(
+        'Claims cannot be passed as an extraQueryParameter',
+      )
+    })
+
+    it('resolves with null when the response has no claims challenge', (done) => {
+      plugin
+        .handleClaimsChallenge(RESOURCE, { headers: { 'WWW-Authenticate': 'Bearer' } })
+        .then((result) => {
+          expect(result).toBeNull()
+          expect(plugin.getCachedToken(RESOURCE)).toBe('revoked-token')
+          done()
+        })
+    })
+
+    it('removes the cached token and acquires a new one with the claims', (done) => {
+      spyOn(plugin, 'acquireTokenAsync').andCallFake((resource, options) => {
+        expect(plugin.getCachedToken(RESOURCE)).toBeNull()
+        return Promise.resolve({ token: 'new-token', options })
+      })
+
+      plugin
+        .handleClaimsChallenge(RESOURCE, { headers: { 'WWW-Authenticate': CHALLENGE } })
+        .then((result) => {
+          expect(result.token).toBe('new-token')
+          expect(result.options.claims).toBe(CLAIMS)
+          done()
+        })
+    })
+
+    it('acquires the token in a popup when the claims require interaction', (done) => {
+      spyOn(plugin, 'acquireTokenAsync').andReturn(
+        Promise.reject(new InteractionRequiredError('interaction_required', 'MFA required')),
+      )
+      spyOn(plugin, 'acquireTokenPopupAsync').andReturn(Promise.resolve({ token: 'new-token' }))
+
+      plugin.handleClaimsChallenge(RESOURCE, CHALLENGE).then((result) => {
+        expect(result.token).toBe('new-token')
+        expect(plugin.acquireTokenPopupAsync).toHaveBeenCalledWith(RESOURCE, null, CLAIMS, {})
+        done()
+      })
+    })
+
+    it('fails without popup when interaction is none', (done) => {
+      spyOn(plugin, 'acquireTokenAsync').andReturn(
+        Promise.reject(new InteractionRequiredError('interaction_required', 'MFA required')),
+      )
+      spyOn(plugin, 'acquireTokenPopupAsync')
+
+      plugin
+        .handleClaimsChallenge(RESOURCE, CHALLENGE, { interaction: 'none' })
+        .then(null, (err) => {
+          expect(err.errorCode).toBe('interaction_required')
+          expect(plugin.acquireTokenPopupAsync).not.toHaveBeenCalled()
+          done()
+        })
+    })
+
+    it('does not open a popup for the other errors', (done) => {
+      spyOn(plugin, 'acquireTokenAsync').andReturn(
+        Promise.reject(new ServerError('server_error', 'Unavailable')),
+      )
+      spyOn(plugin, 'acquireTokenPopupAsync')
+
+      plugin.handleClaimsChallenge(RESOURCE, CHALLENGE).then(null, (err) => {
+        expect(err instanceof ServerError).toBe(true)
+        expect(plugin.acquireTokenPopupAsync).not.toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,100 @@
+const { requireLib } = require('./browserHelper')
+
+const {
+  AuthError,
+  ConsentRequiredError,
+  ERROR_CODE,
+  InteractionRequiredError,
+  PopupBlockedError,
+  ServerError,
+  TimeoutError,
+  createAuthError,
+  parseAadstsCode,
+} = requireLib('errors')
+
+describe('errors', () => {
+  describe('parseAadstsCode', () => {
+    it('finds the AADSTS code of a description', () => {
+      expect(parseAadstsCode('AADSTS50058: A silent sign-in request was sent')).toBe('AADSTS50058')
+      expect(parseAadstsCode('Token Renewal Failed')).toBeNull()
+      expect(parseAadstsCode(null)).toBeNull()
+    })
+  })
+
+  describe('createAuthError', () => {
+    it('classifies by AADSTS code before the error code', () => {
+      const error = createAuthError('invalid_grant', 'AADSTS50076: MFA is required', {
+        correlationId: 'correlation-id',
+      })
+
+      expect(error instanceof InteractionRequiredError).toBe(true)
+      expect(error.errorCode).toBe('invalid_grant')
+      expect(error.aadstsCode).toBe('AADSTS50076')
+      expect(error.correlationId).toBe('correlation-id')
+    })
+
+    it('maps consent errors to a subclass of the interaction required error', () => {
+      const error = createAuthError('invalid_grant', 'AADSTS65001: The user has not consented')
+
+      expect(error instanceof ConsentRequiredError).toBe(true)
+      expect(error instanceof InteractionRequiredError).toBe(true)
+      expect(error.name).toBe('ConsentRequiredError')
+    })
+
+    it('marks transient server errors as retryable', () => {
+      const byCode = createAuthError('invalid_request', 'AADSTS90033: A transient error')
+      const byError = createAuthError('temporarily_unavailable', 'Try again later')
+
+      expect(byCode instanceof ServerError).toBe(true)
+      expect(byCode.retryable).toBe(true)
+      expect(byError instanceof ServerError).toBe(true)
+      expect(byError.retryable).toBe(true)
+    })
+
+    it('maps the error codes returned by AAD', () => {
+      expect(createAuthError('login_required', 'Sign in') instanceof InteractionRequiredError).toBe(
+        true,
+      )
+      expect(createAuthError('consent_required', 'Consent') instanceof ConsentRequiredError).toBe(
+        true,
+      )
+    })
+
+    it('maps the legacy callback errors to error codes', () => {
+      const timeout = createAuthError('Token Renewal Failed', 'Token renewal operation failed')
+      const blocked = createAuthError('Error opening popup', 'Popup blocked')
+      const loginRequired = createAuthError('login required', 'User login is required')
+
+      expect(timeout instanceof TimeoutError).toBe(true)
+      expect(timeout.errorCode).toBe(ERROR_CODE.TIMEOUT)
+      expect(timeout.retryable).toBe(true)
+      expect(blocked instanceof PopupBlockedError).toBe(true)
+      expect(blocked.errorCode).toBe(ERROR_CODE.POPUP_BLOCKED)
+      expect(loginRequired.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+    })
+
+    it('keeps unknown errors as they are', () => {
+      const error = createAuthError('invalid_client', 'AADSTS7000215: Invalid client secret')
+
+      expect(error.constructor).toBe(AuthError)
+      expect(error.errorCode).toBe('invalid_client')
+      expect(error.aadstsCode).toBe('AADSTS7000215')
+      expect(error.retryable).toBe(false)
+    })
+  })
+
+  describe('AuthError.fromCallback', () => {
+    it('creates the error from the values passed to token callbacks', () => {
+      const error = AuthError.fromCallback('AADSTS50058: No session', 'interaction_required')
+
+      expect(error instanceof InteractionRequiredError).toBe(true)
+      expect(error.errorMessage).toBe('AADSTS50058: No session')
+    })
+
+    it('falls back on the description when there is no error', () => {
+      const error = AuthError.fromCallback('resource is required', null)
+
+      expect(error.errorCode).toBe(ERROR_CODE.INVALID_RESOURCE)
+    })
+  })
+})
@@ -0,0 +1,146 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { default: EventEmitter, EVENT } = requireLib('events')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+describe('EventEmitter', () => {
+  let emitter
+  let onError
+
+  beforeEach(() => {
+    onError = jasmine.createSpy('onError')
+    emitter = new EventEmitter(onError)
+  })
+
+  it('calls the listeners of the event until they are removed', () => {
+    const listener = jasmine.createSpy('listener')
+    const removeListener = emitter.on(EVENT.LOGOUT, listener)
+
+    emitter.emit(EVENT.LOGOUT, { type: EVENT.LOGOUT })
+    emitter.emit(EVENT.LOGIN_START, { type: EVENT.LOGIN_START })
+    removeListener()
+    emitter.emit(EVENT.LOGOUT, { type: EVENT.LOGOUT })
+
+    expect(listener.callCount).toBe(1)
+    expect(listener).toHaveBeenCalledWith({ type: EVENT.LOGOUT })
+  })
+
+  it('calls the listeners added with once for the next event only', () => {
+    const listener = jasmine.createSpy('listener')
+    const removed = jasmine.createSpy('removed')
+    emitter.once(EVENT.LOGOUT, listener)
+    emitter.once(EVENT.LOGOUT, removed)
+    emitter.off(EVENT.LOGOUT, removed)
+
+    emitter.emit(EVENT.LOGOUT, {})
+    emitter.emit(EVENT.LOGOUT, {})
+
+    expect(listener.callCount).toBe(1)
+    expect(removed).not.toHaveBeenCalled()
+  })
+
+  it('removes every listener of an event', () => {
+    const listener = jasmine.createSpy('listener')
+    emitter.on(EVENT.LOGOUT, listener)
+    emitter.on(EVENT.LOGOUT, listener)
+
+    emitter.off(EVENT.LOGOUT)
+    emitter.emit(EVENT.LOGOUT, {})
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('reports the errors of listeners and calls the next ones', () => {
+    const error = new Error('Listener failed')
+    const listener = jasmine.createSpy('listener')
+    emitter.on(EVENT.LOGOUT, () => {
+      throw error
+    })
+    emitter.on(EVENT.LOGOUT, listener)
+
+    emitter.emit(EVENT.LOGOUT, {})
+
+    expect(onError).toHaveBeenCalledWith(error)
+    expect(listener).toHaveBeenCalled()
+  })
+})
+
+describe('plugin events', () => {
+  let plugin
+  let user
+  let events
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+    plugin = createPlugin({ loadFrameTimeout: 1000 })
+    events = []
+
+    Object.keys(EVENT).forEach((key) => plugin.on(EVENT[key], (event) => events.push(event)))
+
+    const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+    user = plugin._createUser(idToken)
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+    events = []
+  })
+
+  it('emits the start and the failure of logins', () => {
+    // logins use a popup by default, which the tests cannot open
+    plugin.login()
+
+    expect(events.map((event) => event.type)).toEqual([EVENT.LOGIN_START, EVENT.LOGIN_FAILURE])
+    expect(events[0].resource).toBe('client-id')
+    expect(events[0].correlationId).toBe(plugin._getCorrelationId(plugin.config.state))
+    expect(events[1].correlationId).toBe(events[0].correlationId)
+    expect(events[1].error).toBe('Error opening popup')
+  })
+
+  it('emits the start and the timeout of silent renewals', () => {
+    plugin.acquireToken(RESOURCE, () => {})
+    jasmine.Clock.tick(1000)
+
+    expect(events.map((event) => event.type)).toEqual([
+      EVENT.ACQUIRE_TOKEN_START,
+      EVENT.RENEWAL_TIMEOUT,
+      EVENT.ACQUIRE_TOKEN_FAILURE,
+    ])
+    expect(events[1].resource).toBe(RESOURCE)
+    expect(events[1].account.homeAccountId).toBe(user.homeAccountId)
+    expect(events[1].error).toBe('Token Renewal Failed')
+    expect(events[1].correlationId).toBe(events[0].correlationId)
+  })
+
+  it('emits the account changes', () => {
+    plugin.setActiveAccount(null)
+
+    expect(events[0].type).toBe(EVENT.ACCOUNT_CHANGED)
+    expect(events[0].account).toBeNull()
+  })
+
+  describe('windowEvents', () => {
+    beforeEach(() => {
+      window.dispatchEvent = jasmine.createSpy('dispatchEvent')
+    })
+
+    afterEach(() => {
+      delete window.dispatchEvent
+    })
+
+    it('dispatches the events on window when enabled', () => {
+      plugin.config.windowEvents = true
+
+      plugin.login()
+
+      const event = window.dispatchEvent.calls[0].args[0]
+      expect(event.type).toBe('adal:loginStart')
+      expect(event.detail).toBe(events[0])
+    })
+
+    it('does not dispatch the events on window by default', () => {
+      plugin.login()
+
+      expect(window.dispatchEvent).not.toHaveBeenCalled()
+    })
+  })
+})
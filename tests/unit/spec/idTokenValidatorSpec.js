@@ -0,0 +1,206 @@
+const { requireLib, createPlugin, base64Url } = require('./browserHelper')
+
+const IdTokenValidator = requireLib('idTokenValidator').default
+
+const TENANT_ID = '72f988bf-86f1-41af-91ab-2d7cd011db47'
+const SIGNATURE_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }
+
+function generateKey(kid) {
+  return window.crypto.subtle
+    .generateKey(
+      Object.assign(
+        { modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+        SIGNATURE_ALGORITHM,
+      ),
+      true,
+      ['sign', 'verify'],
+    )
+    .then((keyPair) =>
+      window.crypto.subtle.exportKey('jwk', keyPair.publicKey).then((jwk) => ({
+        privateKey: keyPair.privateKey,
+        jwk: { kty: 'RSA', use: 'sig', kid, n: jwk.n, e: jwk.e },
+      })),
+    )
+}
+
+function signJwt(key, claims) {
+  const content =
+    base64Url({ alg: 'RS256', typ: 'JWT', kid: key.jwk.kid }) + '.' + base64Url(claims)
+
+  return window.crypto.subtle
+    .sign(SIGNATURE_ALGORITHM, key.privateKey, Buffer.from(content))
+    .then((signature) => content + '.' + Buffer.from(signature).toString('base64url'))
+}
+
+describe('IdTokenValidator', () => {
+  describe('validateClaims', () => {
+    let plugin
+    let validator
+    let claims
+
+    beforeEach(() => {
+      plugin = createPlugin({ tenant: TENANT_ID })
+      validator = new IdTokenValidator(plugin)
+      claims = {
+        iss: 'https://login.microsoftonline.com/' + TENANT_ID + '/v2.0',
+        tid: TENANT_ID,
+        iat: plugin._now() - 60,
+        nbf: plugin._now() - 60,
+        exp: plugin._now() + 3600,
+      }
+    })
+
+    it('accepts valid claims', () => {
+      expect(validator.validateClaims(claims)).toBeNull()
+    })
+
+    it('rejects tokens without issuer or with the issuer of another tenant', () => {
+      expect(validator.validateClaims(Object.assign({}, claims, { iss: undefined }))).toBe(
+        'The id_token has no issuer',
+      )
+      expect(
+        validator.validateClaims(
+          Object.assign({}, claims, { iss: 'https://sts.windows.net/other-tenant/' }),
+        ),
+      ).toContain('does not match tenant')
+    })
+
+    it('rejects tokens of another tenant than the configured one', () => {
+      const otherTenant = 'f8cdef31-a31e-4b4a-93e4-5f571e91255a'
+      const otherClaims = Object.assign({}, claims, {
+        iss: 'https://sts.windows.net/' + otherTenant + '/',
+        tid: otherTenant,
+      })
+
+      expect(validator.validateClaims(otherClaims)).toContain('instead of ' + TENANT_ID)
+    })
+
+    it('only accepts the allowed tenants', () => {
+      plugin.config.tenant = 'common'
+      plugin.config.allowedTenants = ['f8cdef31-a31e-4b4a-93e4-5f571e91255a']
+
+      expect(validator.validateClaims(claims)).toBe('Tenant ' + TENANT_ID + ' is not allowed')
+    })
+
+    it('checks the lifetime of the token with the allowed clock skew', () => {
+      plugin.config.clockSkewSeconds = 60
+
+      expect(
+        validator.validateClaims(Object.assign({}, claims, { exp: plugin._now() - 30 })),
+      ).toBeNull()
+      expect(validator.validateClaims(Object.assign({}, claims, { exp: plugin._now() - 90 }))).toBe(
+        'The id_token is expired',
+      )
+      expect(validator.validateClaims(Object.assign({}, claims, { nbf: plugin._now() + 90 }))).toBe(
+        'The id_token is not valid yet',
+      )
+      expect(validator.validateClaims(Object.assign({}, claims, { iat: plugin._now() + 90 }))).toBe(
+        'The id_token was issued in the future',
+      )
+    })
+  })
+
+  describe('validateSignature', () => {
+    let plugin
+    let validator
+    let key
+    let keySets
+
+    beforeEach((done) => {
+      plugin = createPlugin({ jwksUri: 'https://login.microsoftonline.com/common/discovery/keys' })
+      validator = new IdTokenValidator(plugin)
+      keySets = []
+      plugin._fetchJson = jasmine
+        .createSpy('fetchJson')
+        .andCallFake(() => Promise.resolve({ keys: keySets.shift() || [] }))
+
+      generateKey('key-1').then((generatedKey) => {
+        key = generatedKey
+        done()
+      })
+    })
+
+    it('accepts tokens signed with a key of the key set', (done) => {
+      keySets.push([key.jwk])
+
+      signJwt(key, { sub: 'alice' })
+        .then((idToken) => validator.validateSignature(idToken))
+        .then(() => {
+          expect(plugin._fetchJson).toHaveBeenCalledWith(
+            'https://login.microsoftonline.com/common/discovery/keys',
+          )
+          done()
+        })
+    })
+
+    it('rejects tokens whose payload was changed', (done) => {
+      keySets.push([key.jwk])
+
+      signJwt(key, { sub: 'alice' })
+        .then((idToken) => {
+          const parts = idToken.split('.')
+          return validator.validateSignature(
+            parts[0] + '.' + base64Url({ sub: 'bob' }) + '.' + parts[2],
+          )
+        })
+        .then(null, (err) => {
+          expect(err.message).toBe('The id_token signature is invalid')
+          done()
+        })
+    })
+
+    it('rejects unsigned tokens', (done) => {
+      const idToken = base64Url({ alg: 'none' }) + '.' + base64Url({ sub: 'alice' }) + '.'
+
+      validator.validateSignature(idToken).then(null, (err) => {
+        expect(err.message).toBe('The id_token is not signed')
+        expect(plugin._fetchJson).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('fetches the key set again for an unknown key', (done) => {
+      generateKey('key-2').then((rotatedKey) => {
+        keySets.push([key.jwk], [key.jwk, rotatedKey.jwk])
+
+        signJwt(key, { sub: 'alice' })
+          .then((idToken) => validator.validateSignature(idToken))
+          .then(() => {
+            // unknown keys refresh the key set at most every 5 minutes
+            validator._keysFetchedOn -= 600
+            return signJwt(rotatedKey, { sub: 'alice' })
+          })
+          .then((idToken) => validator.validateSignature(idToken))
+          .then(() => {
+            expect(plugin._fetchJson.callCount).toBe(2)
+            done()
+          })
+      })
+    })
+
+    it('imports a key again after a failed import', (done) => {
+      const importKey = window.crypto.subtle.importKey
+      let imports = 0
+      spyOn(window.crypto.subtle, 'importKey').andCallFake(function () {
+        imports++
+        return imports === 1
+          ? Promise.reject(new Error('Import failed'))
+          : importKey.apply(window.crypto.subtle, arguments)
+      })
+      keySets.push([key.jwk])
+
+      signJwt(key, { sub: 'alice' }).then((idToken) =>
+        validator
+          .validateSignature(idToken)
+          .then(null, (err) => {
+            expect(err.message).toBe('Import failed')
+            return validator.validateSignature(idToken)
+          })
+          .then(() => {
+            expect(imports).toBe(2)
+            done()
+          }),
+      )
+    })
+  })
+})
@@ -0,0 +1,253 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { CapacitorBrowserTransport, CordovaInAppBrowserTransport } =
+  requireLib('interactiveTransport')
+const { PopupBlockedError } = requireLib('errors')
+
+const REDIRECT_URI = 'msauth.com.contoso.app://auth'
+
+function createFakeTransport() {
+  const transport = {
+    url: null,
+    handlers: null,
+    open: jasmine.createSpy('open').andCallFake((url, handlers) => {
+      transport.url = url
+      transport.handlers = handlers
+      return Promise.resolve()
+    }),
+    close: jasmine.createSpy('close'),
+  }
+
+  return transport
+}
+
+function signIn(plugin) {
+  const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+  const user = plugin._createUser(idToken)
+
+  plugin._saveAccount(user, idToken)
+  plugin.setActiveAccount(user)
+  return user
+}
+
+// the plugin opens the transport asynchronously
+function whenOpened(transport) {
+  return Promise.resolve().then(() => transport)
+}
+
+function getState(url) {
+  return decodeURIComponent(/[?&]state=([^&]+)/.exec(url)[1])
+}
+
+describe('interactive transports', () => {
+  describe('injected in the plugin', () => {
+    let transport
+    let plugin
+
+    beforeEach(() => {
+      transport = createFakeTransport()
+      plugin = createPlugin({ redirectUri: REDIRECT_URI, interactiveTransport: transport })
+      signIn(plugin)
+    })
+
+    it('opens interactive requests instead of a popup and handles their redirect', (done) => {
+      spyOn(window, 'open')
+
+      plugin.acquireTokenPopup('https://graph.microsoft.com', null, null, (errorDesc, token) => {
+        expect(errorDesc).toBeFalsy()
+        expect(token).toBe('access-token')
+        expect(transport.close).toHaveBeenCalled()
+        expect(window.open).not.toHaveBeenCalled()
+        done()
+      })
+
+      whenOpened(transport).then(() => {
+        const state = getState(transport.url)
+
+        expect(transport.url).toContain('&redirect_uri=' + encodeURIComponent(REDIRECT_URI))
+        expect(transport.handlers.onRedirect('https://contoso.com/#access_token=x')).toBe(false)
+        expect(
+          transport.handlers.onRedirect(
+            REDIRECT_URI +
+              '/#access_token=access-token&token_type=Bearer&expires_in=3600&state=' +
+              encodeURIComponent(state),
+          ),
+        ).toBe(true)
+      })
+    })
+
+    it('fails the request when the user closes the browser', (done) => {
+      plugin.acquireTokenPopup(
+        'https://graph.microsoft.com',
+        null,
+        null,
+        (errorDesc, token, error, tokenType, authError) => {
+          expect(errorDesc).toBe('Browser closed')
+          expect(authError.errorCode).toBe('user_cancelled')
+          expect(transport.close).toHaveBeenCalled()
+          done()
+        },
+      )
+
+      whenOpened(transport).then(() => transport.handlers.onCancel('Browser closed'))
+    })
+
+    it('fails the request when the transport cannot be opened', (done) => {
+      transport.open.andCallFake(() => Promise.reject(new Error('No browser')))
+
+      plugin.acquireTokenPopup(
+        'https://graph.microsoft.com',
+        null,
+        null,
+        (errorDesc, token, error, tokenType, authError) => {
+          expect(errorDesc).toBe('Interactive transport could not be opened: No browser')
+          expect(authError instanceof PopupBlockedError).toBe(true)
+          expect(plugin._acquireTokenInProgress).toBe(false)
+          done()
+        },
+      )
+    })
+  })
+
+  describe('CapacitorBrowserTransport', () => {
+    let listeners
+    let browser
+    let app
+    let transport
+    let handlers
+
+    function addListener(eventName, listener) {
+      listeners[eventName] = listener
+      return Promise.resolve({ remove: jasmine.createSpy(eventName + '.remove') })
+    }
+
+    beforeEach(() => {
+      listeners = {}
+      browser = {
+        open: jasmine.createSpy('open').andReturn(Promise.resolve()),
+        close: jasmine.createSpy('close').andReturn(Promise.resolve()),
+        addListener: jasmine.createSpy('browser.addListener').andCallFake(addListener),
+      }
+      app = { addListener: jasmine.createSpy('app.addListener').andCallFake(addListener) }
+      handlers = {
+        onRedirect: jasmine.createSpy('onRedirect'),
+        onCancel: jasmine.createSpy('onCancel'),
+      }
+      transport = new CapacitorBrowserTransport({
+        browser,
+        app,
+        browserOptions: { presentationStyle: 'popover' },
+      })
+    })
+
+    it('opens the URL in the browser and reports the URLs opening the app', (done) => {
+      transport.open('https://login.microsoftonline.com/authorize', handlers).then(() => {
+        expect(browser.open).toHaveBeenCalledWith({
+          presentationStyle: 'popover',
+          url: 'https://login.microsoftonline.com/authorize',
+        })
+
+        listeners.appUrlOpen({ url: REDIRECT_URI + '#code=abc' })
+        expect(handlers.onRedirect).toHaveBeenCalledWith(REDIRECT_URI + '#code=abc')
+        done()
+      })
+    })
+
+    it('reports a cancellation once the browser is closed without redirect', (done) => {
+      jasmine.Clock.useMock()
+
+      transport.open('https://login.microsoftonline.com/authorize', handlers).then(() => {
+        listeners.browserFinished()
+        expect(handlers.onCancel).not.toHaveBeenCalled()
+
+        jasmine.Clock.tick(1000)
+        expect(handlers.onCancel).toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('removes its listeners and closes the browser', (done) => {
+      transport.open('https://login.microsoftonline.com/authorize', handlers).then(() => {
+        transport.close()
+
+        setTimeout(() => {
+          expect(browser.close).toHaveBeenCalled()
+          done()
+        }, 0)
+      })
+    })
+
+    it('closes even when a listener could not be added', () => {
+      app.addListener.andCallFake(() => Promise.reject(new Error('Not implemented')))
+
+      transport.open('https://login.microsoftonline.com/authorize', handlers).then(null, () => {})
+
+      expect(() => transport.close()).not.toThrow()
+    })
+
+    it('fails when the Capacitor plugins are not available', () => {
+      expect(() => new CapacitorBrowserTransport().open('https://login', handlers)).toThrow(
+        'The Capacitor Browser plugin is not available',
+      )
+    })
+  })
+
+  describe('CordovaInAppBrowserTransport', () => {
+    let browserRef
+    let transport
+    let handlers
+
+    beforeEach(() => {
+      browserRef = {
+        listeners: {},
+        addEventListener: jasmine.createSpy('addEventListener').andCallFake((name, listener) => {
+          browserRef.listeners[name] = listener
+        }),
+        removeEventListener: jasmine.createSpy('removeEventListener'),
+        close: jasmine.createSpy('close'),
+      }
+      transport = new CordovaInAppBrowserTransport({ open: () => browserRef })
+      handlers = {
+        onRedirect: jasmine
+          .createSpy('onRedirect')
+          .andCallFake((url) => url.indexOf(REDIRECT_URI) === 0),
+        onCancel: jasmine.createSpy('onCancel'),
+      }
+      transport.open('https://login.microsoftonline.com/authorize', handlers)
+    })
+
+    it('reports the redirects to a custom scheme reported as load errors', () => {
+      browserRef.listeners.loaderror({ url: REDIRECT_URI + '#code=abc', code: -10 })
+
+      expect(handlers.onRedirect).toHaveBeenCalledWith(REDIRECT_URI + '#code=abc')
+      expect(handlers.onCancel).not.toHaveBeenCalled()
+    })
+
+    it('cancels when another page fails to load', () => {
+      browserRef.listeners.loaderror({ url: 'https://contoso.com', message: 'offline' })
+
+      expect(handlers.onCancel).toHaveBeenCalledWith(
+        'In-app browser failed to load https://contoso.com: offline',
+      )
+    })
+
+    it('removes its listeners before closing the browser', () => {
+      transport.close()
+
+      expect(browserRef.removeEventListener.callCount).toBe(3)
+      expect(browserRef.close).toHaveBeenCalled()
+    })
+
+    it('fails when Cordova is loaded without the InAppBrowser plugin', () => {
+      window.cordova = {}
+
+      try {
+        expect(() => new CordovaInAppBrowserTransport().open(REDIRECT_URI, handlers)).toThrow(
+          'The Cordova InAppBrowser plugin is not available',
+        )
+      } finally {
+        delete window.cordova
+      }
+    })
+  })
+})
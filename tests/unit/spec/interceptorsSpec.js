@@ -0,0 +1,282 @@
+const { requireLib, createPlugin } = require('./browserHelper')
+
+const { createAuthFetch, createAxiosInterceptors, installXhrInterceptor } =
+  requireLib('interceptors')
+const { AuthError, ERROR_CODE } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+const API_URL = 'https://api.example.com/todos'
+
+describe('interceptors', () => {
+  let plugin
+  let tokens
+
+  beforeEach(() => {
+    plugin = createPlugin({
+      endpoints: { 'https://api.example.com': RESOURCE },
+      anonymousEndpoints: ['https://api.example.com/public'],
+    })
+    tokens = ['token-1', 'token-2']
+    spyOn(plugin, 'acquireTokenAsync').andCallFake(() => Promise.resolve({ token: tokens.shift() }))
+  })
+
+  function failTokenRequests() {
+    plugin.acquireTokenAsync.andReturn(
+      Promise.reject(new AuthError(ERROR_CODE.LOGIN_REQUIRED, 'User login is required')),
+    )
+  }
+
+  describe('fetch', () => {
+    let fetchImpl
+    let authFetch
+
+    beforeEach(() => {
+      fetchImpl = jasmine
+        .createSpy('fetch')
+        .andCallFake(() => Promise.resolve(new Response('', { status: 200 })))
+      authFetch = createAuthFetch(plugin, fetchImpl)
+    })
+
+    function getAuthorization(call) {
+      return call.args[1].headers.get('Authorization')
+    }
+
+    it('adds the token of the resource mapped to the URL', (done) => {
+      authFetch(API_URL, { method: 'POST', headers: { 'Content-Type': 'application/json' } }).then(
+        () => {
+          const init = fetchImpl.mostRecentCall.args[1]
+
+          expect(plugin.acquireTokenAsync.mostRecentCall.args[0]).toBe(RESOURCE)
+          expect(getAuthorization(fetchImpl.mostRecentCall)).toBe('Bearer token-1')
+          expect(init.headers.get('Content-Type')).toBe('application/json')
+          expect(init.method).toBe('POST')
+          done()
+        },
+      )
+    })
+
+    it('sends the other requests as is', (done) => {
+      const init = { headers: { Authorization: 'Basic abc' } }
+
+      Promise.all([
+        authFetch('https://api.example.com/public/news'),
+        authFetch('https://other.example.com/todos'),
+        authFetch(API_URL, init),
+      ]).then(() => {
+        expect(fetchImpl.calls[2].args[1]).toBe(init)
+        expect(plugin.acquireTokenAsync).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('sends the request again with a new token after a 401 response', (done) => {
+      fetchImpl.andCallFake((input, init) =>
+        Promise.resolve(
+          new Response('', {
+            status: init.headers.get('Authorization') === 'Bearer token-1' ? 401 : 200,
+          }),
+        ),
+      )
+
+      authFetch(new Request(API_URL, { method: 'PUT', body: 'todo' })).then((response) => {
+        expect(response.status).toBe(200)
+        expect(fetchImpl.callCount).toBe(2)
+        expect(getAuthorization(fetchImpl.calls[1])).toBe('Bearer token-2')
+        // the body of the request can be sent again
+        expect(fetchImpl.calls[0].args[0]).not.toBe(fetchImpl.calls[1].args[0])
+        done()
+      })
+    })
+
+    it('only sends the request again once', (done) => {
+      fetchImpl.andCallFake(() => Promise.resolve(new Response('', { status: 401 })))
+
+      authFetch(API_URL).then((response) => {
+        expect(response.status).toBe(401)
+        expect(fetchImpl.callCount).toBe(2)
+        done()
+      })
+    })
+
+    it('rejects the request when no token can be acquired', (done) => {
+      failTokenRequests()
+
+      authFetch(API_URL).then(null, (err) => {
+        expect(err.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+        expect(fetchImpl).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('replaces window.fetch until the interceptor is uninstalled', (done) => {
+      const originalFetch = window.fetch
+      window.fetch = fetchImpl
+
+      const uninstall = plugin.installFetchInterceptor()
+
+      window.fetch(API_URL).then(() => {
+        uninstall()
+
+        expect(getAuthorization(fetchImpl.mostRecentCall)).toBe('Bearer token-1')
+        expect(window.fetch).toBe(fetchImpl)
+        window.fetch = originalFetch
+        done()
+      })
+    })
+  })
+
+  describe('axios', () => {
+    let axiosInstance
+    let interceptors
+
+    beforeEach(() => {
+      axiosInstance = jasmine.createSpyObj('axiosInstance', ['request'])
+      axiosInstance.request.andCallFake((config) => Promise.resolve({ status: 200, config }))
+      interceptors = createAxiosInterceptors(plugin, axiosInstance)
+    })
+
+    it('adds the token of the resource mapped to the URL', (done) => {
+      interceptors
+        .request({ baseURL: 'https://api.example.com/', url: '/todos' })
+        .then((config) => {
+          expect(plugin.acquireTokenAsync.mostRecentCall.args[0]).toBe(RESOURCE)
+          expect(config.headers.Authorization).toBe('Bearer token-1')
+          done()
+        })
+    })
+
+    it('sends the other requests as is', () => {
+      const config = { url: 'https://other.example.com/todos' }
+      const authorized = { url: API_URL, headers: { authorization: 'Basic abc' } }
+
+      expect(interceptors.request(config)).toBe(config)
+      expect(interceptors.request(authorized)).toBe(authorized)
+      expect(plugin.acquireTokenAsync).not.toHaveBeenCalled()
+    })
+
+    it('rejects the request when no token can be acquired', (done) => {
+      failTokenRequests()
+
+      interceptors.request({ url: API_URL }).then(null, (err) => {
+        expect(err.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+        done()
+      })
+    })
+
+    it('sends the request again with a new token after a 401 response', (done) => {
+      interceptors
+        .request({ url: API_URL })
+        .then((config) => interceptors.responseError({ config, response: { status: 401 } }))
+        .then((response) => {
+          expect(response.config.headers.Authorization).toBe('Bearer token-2')
+          expect(response.config.aadRetried).toBe(true)
+          done()
+        })
+    })
+
+    it('does not send the request again after a second 401 response', (done) => {
+      const error = { config: { aadToken: 'token-2', aadRetried: true }, response: { status: 401 } }
+
+      interceptors.responseError(error).then(null, (err) => {
+        expect(err).toBe(error)
+        expect(axiosInstance.request).not.toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+
+  describe('XMLHttpRequest', () => {
+    class FakeXhr extends EventTarget {
+      open() {
+        this.readyState = 1
+        this.headers = {}
+      }
+
+      setRequestHeader(name, value) {
+        this.headers[name] = value
+      }
+
+      send(body) {
+        this.sentBody = body
+      }
+
+      abort() {
+        this.readyState = 0
+      }
+    }
+
+    let uninstall
+    let xhr
+
+    beforeEach(() => {
+      uninstall = installXhrInterceptor(plugin, FakeXhr)
+      xhr = new FakeXhr()
+      spyOn(xhr, 'dispatchEvent').andCallThrough()
+    })
+
+    afterEach(() => {
+      uninstall()
+    })
+
+    it('sends asynchronous requests once the token is acquired', (done) => {
+      xhr.open('POST', API_URL)
+      xhr.setRequestHeader('Content-Type', 'application/json')
+      xhr.send('{}')
+
+      expect(xhr.sentBody).toBeUndefined()
+
+      setImmediate(() => {
+        expect(xhr.headers.Authorization).toBe('Bearer token-1')
+        expect(xhr.sentBody).toBe('{}')
+        done()
+      })
+    })
+
+    it('fails the request when no token can be acquired', (done) => {
+      const events = []
+      xhr.addEventListener('error', () => events.push('error'))
+      xhr.addEventListener('loadend', () => events.push('loadend'))
+      failTokenRequests()
+
+      xhr.open('GET', API_URL)
+      xhr.send()
+
+      setImmediate(() => {
+        expect(xhr.sentBody).toBeUndefined()
+        expect(events).toEqual(['error', 'loadend'])
+        expect(xhr.aadError.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+        done()
+      })
+    })
+
+    it('does not send aborted requests', (done) => {
+      xhr.open('GET', API_URL)
+      xhr.send()
+      xhr.abort()
+
+      setImmediate(() => {
+        expect(xhr.sentBody).toBeUndefined()
+        expect(xhr.dispatchEvent).not.toHaveBeenCalled()
+        done()
+      })
+    })
+
+    it('only uses cached tokens for synchronous requests', () => {
+      spyOn(plugin, 'getCachedToken').andReturn('cached-token')
+
+      xhr.open('GET', API_URL, false)
+      xhr.send()
+
+      expect(xhr.headers.Authorization).toBe('Bearer cached-token')
+      expect(plugin.acquireTokenAsync).not.toHaveBeenCalled()
+    })
+
+    it('restores the original methods', () => {
+      uninstall()
+      xhr.open('GET', API_URL)
+      xhr.send('body')
+
+      expect(xhr.sentBody).toBe('body')
+    })
+  })
+})
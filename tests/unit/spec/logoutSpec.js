@@ -0,0 +1,112 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { AuthError, ERROR_CODE } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+describe('logOut', () => {
+  let plugin
+  let alice
+  let bob
+
+  function signIn(objectId, claims) {
+    const idToken = createJwt(
+      Object.assign({ aud: 'client-id', oid: objectId, tid: 'tenant', exp: 2000000000 }, claims),
+    )
+    const user = plugin._createUser(idToken)
+
+    plugin._saveAccount(user, idToken)
+    plugin._tokenCache.setEntry({
+      resource: RESOURCE,
+      token: 'token-' + objectId,
+      tokenType: 'access_token',
+      expiresOn: 2000000000,
+      accountId: objectId,
+      tenantId: 'tenant',
+      scopes: [],
+    })
+    return user
+  }
+
+  function createSignedInPlugin(config) {
+    plugin = createPlugin(config)
+    alice = signIn('alice', { login_hint: 'alice-hint' })
+    bob = signIn('bob')
+    plugin.setActiveAccount(alice)
+    spyOn(plugin, 'promptUser')
+  }
+
+  beforeEach(() => {
+    createSignedInPlugin({ postLogoutRedirectUri: 'https://app.example.com/signed-out' })
+  })
+
+  it('logs every account out of the app and navigates to the logout endpoint', (done) => {
+    const listener = jasmine.createSpy('listener')
+    plugin.on('logout', listener)
+
+    plugin.logOut().then(() => {
+      expect(plugin.getAllAccounts()).toEqual([])
+      expect(plugin.getCachedToken(RESOURCE, bob)).toBeNull()
+      expect(listener).toHaveBeenCalled()
+      expect(plugin.promptUser).toHaveBeenCalledWith(
+        'https://login.microsoftonline.com/common/oauth2/logout?post_logout_redirect_uri=' +
+          encodeURIComponent('https://app.example.com/signed-out'),
+      )
+      done()
+    })
+  })
+
+  it('only logs out of the app in local mode', (done) => {
+    plugin.logOut({ mode: 'local' }).then(() => {
+      expect(plugin.getCachedUser()).toBeNull()
+      expect(plugin.promptUser).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('keeps the other accounts signed in when logging out one of them', (done) => {
+    plugin.logOut({ account: bob, mode: 'local' }).then(() => {
+      expect(plugin.getAllAccounts().map((account) => account.homeAccountId)).toEqual([
+        'alice.tenant',
+      ])
+      expect(plugin.getActiveAccount().homeAccountId).toBe('alice.tenant')
+      expect(plugin.getCachedToken(RESOURCE)).toBe('token-alice')
+      done()
+    })
+  })
+
+  it('rejects accounts that are not signed in without logging anyone out', (done) => {
+    plugin.logOut({ account: 'carol.tenant' }).then(null, (err) => {
+      expect(err instanceof AuthError).toBe(true)
+      expect(err.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+      expect(plugin.getAllAccounts().length).toBe(2)
+      expect(plugin.promptUser).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('sends the login_hint of the account to the v2.0 endpoint', (done) => {
+    createSignedInPlugin({ endpointVersion: 'v2' })
+
+    plugin.logOut({ account: alice }).then(() => {
+      expect(plugin.promptUser.mostRecentCall.args[0]).toContain('&logout_hint=alice-hint')
+      done()
+    })
+  })
+
+  it('emits the logoutFailure event when the popup is blocked', (done) => {
+    const listener = jasmine.createSpy('listener')
+    plugin.on('logoutFailure', listener)
+
+    plugin.logOut({ mode: 'popup' }).then(() => {
+      expect(plugin.getCachedUser()).toBeNull()
+      expect(listener).toHaveBeenCalled()
+      expect(listener.mostRecentCall.args[0].error).toBe(ERROR_CODE.POPUP_BLOCKED)
+      done()
+    })
+  })
+
+  it('rejects unsupported modes', () => {
+    expect(() => plugin.logOut({ mode: 'frame' })).toThrow('Unsupported logout mode: frame')
+  })
+})
@@ -0,0 +1,132 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { getToken } = requireLib('interceptors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+function signIn(plugin, objectId) {
+  const idToken = createJwt({ aud: 'client-id', oid: objectId, tid: 'tenant', exp: 2000000000 })
+  const user = plugin._createUser(idToken)
+
+  plugin._saveAccount(user, idToken)
+  return user
+}
+
+function cacheToken(plugin, user, token) {
+  plugin._tokenCache.setEntry({
+    resource: RESOURCE,
+    token,
+    tokenType: 'access_token',
+    expiresOn: 2000000000,
+    accountId: user.profile.oid,
+    tenantId: user.profile.tid,
+    scopes: [],
+  })
+}
+
+describe('multiple accounts', () => {
+  let plugin
+  let alice
+  let bob
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+    plugin = createPlugin()
+    alice = signIn(plugin, 'alice')
+    bob = signIn(plugin, 'bob')
+    plugin.setActiveAccount(alice)
+  })
+
+  it('lists the signed in accounts and switches the active one', () => {
+    expect(plugin.getAllAccounts().map((account) => account.homeAccountId)).toEqual([
+      'alice.tenant',
+      'bob.tenant',
+    ])
+    expect(plugin.getActiveAccount().homeAccountId).toBe('alice.tenant')
+
+    plugin.setActiveAccount('bob.tenant')
+
+    expect(plugin.getActiveAccount().homeAccountId).toBe('bob.tenant')
+    expect(() => plugin.setActiveAccount('carol.tenant')).toThrow('Account is not signed in')
+  })
+
+  it('returns the cached token of the requested account', () => {
+    cacheToken(plugin, alice, 'token-alice')
+    cacheToken(plugin, bob, 'token-bob')
+
+    expect(plugin.getCachedToken(RESOURCE)).toBe('token-alice')
+    expect(plugin.getCachedToken(RESOURCE, bob)).toBe('token-bob')
+  })
+
+  it('removes the tokens of a removed account and unsets it when active', () => {
+    cacheToken(plugin, alice, 'token-alice')
+
+    plugin.removeAccount(alice)
+
+    expect(plugin.getCachedToken(RESOURCE, alice)).toBeNull()
+    expect(plugin.getActiveAccount()).toBeNull()
+    expect(plugin.getAllAccounts().length).toBe(1)
+  })
+
+  it('fails requests for accounts that are not signed in', () => {
+    const callback = jasmine.createSpy('callback')
+
+    plugin.acquireToken(RESOURCE, callback, { account: 'carol.tenant' })
+
+    expect(callback).toHaveBeenCalledWith('Account is not signed in', null, 'login required')
+  })
+
+  it('renews the token of each account in its own iframe', () => {
+    const aliceCallback = jasmine.createSpy('aliceCallback')
+    const bobCallback = jasmine.createSpy('bobCallback')
+    spyOn(plugin, '_addAdalFrame').andCallThrough()
+
+    plugin.acquireToken(RESOURCE, aliceCallback)
+    plugin.acquireToken(RESOURCE, bobCallback, { account: bob })
+
+    const aliceState = plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, alice)]
+    const bobState = plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, bob)]
+    const frameNames = plugin._addAdalFrame.calls.map((call) => call.args[0])
+
+    expect(aliceState).not.toBe(bobState)
+    expect(frameNames[0]).not.toBe(frameNames[1])
+
+    plugin._callBackMappedToRenewStates[bobState](null, 'token-bob', null, 'access_token')
+
+    expect(bobCallback).toHaveBeenCalledWith(null, 'token-bob', null, 'access_token', undefined)
+    expect(aliceCallback).not.toHaveBeenCalled()
+  })
+
+  it('joins the renewal in progress for the same account', () => {
+    const callbacks = [jasmine.createSpy('first'), jasmine.createSpy('second')]
+
+    plugin.acquireToken(RESOURCE, callbacks[0], { account: bob })
+    plugin.acquireToken(RESOURCE, callbacks[1], { account: bob })
+
+    const bobState = plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, bob)]
+    plugin._callBackMappedToRenewStates[bobState](null, 'token-bob', null, 'access_token')
+
+    expect(plugin._renewStates.length).toBe(1)
+    expect(callbacks[0]).toHaveBeenCalled()
+    expect(callbacks[1]).toHaveBeenCalled()
+  })
+
+  it('only waits in the interceptors for the renewal of the same account', (done) => {
+    plugin.acquireToken(RESOURCE, () => {})
+    const aliceState = plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, alice)]
+
+    getToken(plugin, RESOURCE, bob).then((token) => {
+      expect(token).toBe('token-bob')
+      done()
+    })
+
+    // the request of bob starts once the plugin is initialized
+    setImmediate(() => {
+      const bobState = plugin._activeRenewals[plugin._getRenewalKey(RESOURCE, bob)]
+
+      expect(bobState).not.toBe(aliceState)
+      plugin._callBackMappedToRenewStates[aliceState](null, 'token-alice', null, 'access_token')
+      plugin._callBackMappedToRenewStates[bobState](null, 'token-bob', null, 'access_token')
+    })
+  })
+})
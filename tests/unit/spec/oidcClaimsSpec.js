@@ -0,0 +1,89 @@
+const { createPlugin, createJwt } = require('./browserHelper')
+
+const TENANT_ID = '72f988bf-86f1-41af-91ab-2d7cd011db47'
+const OTHER_TENANT_ID = 'f8cdef31-a31e-4b4a-93e4-5f571e91255a'
+
+describe('id_token claims', () => {
+  let plugin
+  let claims
+
+  beforeEach(() => {
+    plugin = createPlugin({ navigateToLoginRequestUrl: false })
+    claims = {
+      aud: 'client-id',
+      oid: 'alice',
+      iss: 'https://login.microsoftonline.com/' + TENANT_ID + '/v2.0',
+      tid: TENANT_ID,
+      exp: plugin._now() + 3600,
+    }
+  })
+
+  function redirectWith(idTokenClaims) {
+    plugin._saveItem(plugin.CONSTANTS.STORAGE.STATE_LOGIN, 'state-1')
+    plugin._saveItem(plugin.CONSTANTS.STORAGE.NONCE_IDTOKEN, 'nonce-1')
+
+    return plugin.handleRedirectPromise(
+      '#id_token=' +
+        createJwt(Object.assign({ nonce: 'nonce-1' }, idTokenClaims)) +
+        '&state=state-1',
+    )
+  }
+
+  it('passes the tenant and the issuer to validateIssuer', () => {
+    plugin.config.validateIssuer = jasmine.createSpy('validateIssuer').andReturn(false)
+
+    expect(plugin._idTokenValidator.validateClaims(claims)).toBe(
+      'Issuer ' + claims.iss + ' is not allowed',
+    )
+    expect(plugin.config.validateIssuer).toHaveBeenCalledWith(TENANT_ID, claims.iss)
+  })
+
+  it('checks the allowed tenants without regard to case', () => {
+    plugin.config.allowedTenants = [TENANT_ID.toUpperCase()]
+
+    expect(plugin._idTokenValidator.validateClaims(claims)).toBeNull()
+  })
+
+  it('allows five minutes of clock skew by default', () => {
+    expect(
+      plugin._idTokenValidator.validateClaims(
+        Object.assign({}, claims, { exp: plugin._now() - 240 }),
+      ),
+    ).toBeNull()
+    expect(
+      plugin._idTokenValidator.validateClaims(
+        Object.assign({}, claims, { exp: plugin._now() - 360 }),
+      ),
+    ).toBe('The id_token is expired')
+  })
+
+  it('rejects logins with an id_token of a tenant that is not allowed', (done) => {
+    plugin.config.allowedTenants = [OTHER_TENANT_ID]
+
+    redirectWith(claims).then(null, (err) => {
+      expect(err.errorCode).toBe('invalid_id_token')
+      expect(err.errorMessage).toBe(
+        'Invalid id_token claims. Tenant ' + TENANT_ID + ' is not allowed',
+      )
+      expect(plugin.getLoginError()).toBe(err.errorMessage)
+      expect(plugin.getCachedUser()).toBeNull()
+      done()
+    })
+  })
+
+  it('signs in with an id_token of an allowed tenant', (done) => {
+    plugin.config.allowedTenants = [TENANT_ID]
+
+    redirectWith(claims).then((result) => {
+      expect(result.user.profile.oid).toBe('alice')
+      expect(plugin.getLoginError()).toBeFalsy()
+      done()
+    })
+  })
+
+  it('requires validateIssuer to be a function', () => {
+    expect(() => createPlugin({ validateIssuer: 'login.microsoftonline.com' })).toThrow(
+      'validateIssuer is not a function',
+    )
+  })
+})
@@ -0,0 +1,107 @@
+const { requireLib, createPlugin } = require('./browserHelper')
+
+const { base64UrlEncode, sha256, createPkceCodes } = requireLib('pkce')
+const { ERROR_CODE } = requireLib('errors')
+
+describe('pkce', () => {
+  describe('sha256', () => {
+    it('computes the digest of the empty string', () => {
+      expect(Buffer.from(sha256('')).toString('hex')).toBe(
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      )
+    })
+
+    it('computes the digest of messages longer than a block', () => {
+      const message = 'a'.repeat(130)
+      const expected = require('crypto').createHash('sha256').update(message).digest('hex')
+
+      expect(Buffer.from(sha256(message)).toString('hex')).toBe(expected)
+    })
+  })
+
+  describe('base64UrlEncode', () => {
+    it('encodes without padding', () => {
+      expect(base64UrlEncode([0xfb, 0xff])).toBe('-_8')
+      expect(base64UrlEncode([1, 2, 3])).toBe('AQID')
+    })
+  })
+
+  describe('createPkceCodes', () => {
+    it('derives the challenge of RFC 7636 from its verifier', () => {
+      const verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'
+
+      expect(base64UrlEncode(sha256(verifier))).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+    })
+
+    it('creates a random 43 character verifier and its S256 challenge', () => {
+      const codes = createPkceCodes()
+
+      expect(codes.verifier).toMatch(/^[A-Za-z0-9_-]{43}$/)
+      expect(codes.challenge).toBe(base64UrlEncode(sha256(codes.verifier)))
+      expect(codes.method).toBe('S256')
+      expect(createPkceCodes().verifier).not.toBe(codes.verifier)
+    })
+
+    it('fails without a secure random number generator', () => {
+      // crypto is a read-only property of the Node global
+      const descriptor = Object.getOwnPropertyDescriptor(window, 'crypto')
+      Object.defineProperty(window, 'crypto', { value: null, configurable: true })
+
+      try {
+        createPkceCodes()
+        expect('createPkceCodes').toBe('throwing')
+      } catch (err) {
+        expect(err.errorCode).toBe(ERROR_CODE.CRYPTO_UNAVAILABLE)
+      } finally {
+        Object.defineProperty(window, 'crypto', descriptor)
+      }
+    })
+  })
+
+  describe('authorization code flow', () => {
+    it('sends the challenge and stores the verifier by state', () => {
+      const plugin = createPlugin({ flowType: 'code' })
+      plugin.config.state = 'state-1'
+
+      const url = plugin._getNavigateUrl('code', null)
+      const verifier = plugin._getItem(plugin.CONSTANTS.STORAGE.CODE_VERIFIER + 'state-1')
+
+      expect(url).toContain('response_type=code')
+      expect(url).toContain('&code_challenge_method=S256')
+      expect(url).toContain('&code_challenge=' + base64UrlEncode(sha256(verifier)))
+    })
+
+    it('fails the waiting requests when the response cannot be completed', (done) => {
+      const plugin = createPlugin({ flowType: 'code' })
+      const callback = jasmine.createSpy('callback')
+      const requestInfo = {
+        stateMatch: true,
+        stateResponse: 'state-1|https://graph.microsoft.com',
+        parameters: { code: 'code-1' },
+      }
+      plugin._saveItem(
+        plugin.CONSTANTS.STORAGE.CODE_VERIFIER + requestInfo.stateResponse,
+        'verifier',
+      )
+      plugin.registerCallback(requestInfo.stateResponse, 'https://graph.microsoft.com', callback)
+      spyOn(window, 'fetch').andReturn(
+        Promise.resolve({ json: () => Promise.resolve({ access_token: 'token-1' }) }),
+      )
+
+      plugin._redeemAuthCode(requestInfo, () => {
+        throw new Error('Storage is full')
+      })
+
+      setImmediate(() => {
+        expect(callback).toHaveBeenCalledWith(
+          'Authorization code response could not be completed: Storage is full',
+          null,
+          ERROR_CODE.UNEXPECTED_ERROR,
+          null,
+          jasmine.any(Object),
+        )
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,131 @@
+const { requireLib, createPlugin } = require('./browserHelper')
+
+const { PopupBlockedError, TimeoutError, ERROR_CODE } = requireLib('errors')
+
+const REDIRECT_URI = 'https://app.example.com/callback'
+
+describe('popup', () => {
+  let plugin
+  let popupWindow
+  let callback
+
+  function createPopupWindow() {
+    return {
+      closed: false,
+      location: { href: 'https://login.microsoftonline.com/common/oauth2/authorize', hash: '' },
+      focus: jasmine.createSpy('focus'),
+      close: jasmine.createSpy('close').andCallFake(() => {
+        popupWindow.closed = true
+      }),
+    }
+  }
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+    popupWindow = createPopupWindow()
+    spyOn(window, 'open').andCallFake(() => popupWindow)
+    callback = jasmine.createSpy('callback')
+    plugin = createPlugin({ redirectUri: REDIRECT_URI, popupTimeout: 10000, callback })
+  })
+
+  // jasmine-node does not mock clearTimeout and clearInterval, so the polling of the popups would otherwise go on in the next specs
+  afterEach(() => {
+    jasmine.Clock.reset()
+  })
+
+  it('opens the popup with the configured size and position', () => {
+    plugin = createPlugin({ popupWidth: 400, popupHeight: 500, popupTop: 10, popupLeft: 20 })
+
+    plugin.login()
+
+    expect(window.open.mostRecentCall.args[2]).toBe('width=400, height=500, top=10, left=20')
+    expect(popupWindow.focus).toHaveBeenCalled()
+  })
+
+  it('reports the popups blocked by the browser', () => {
+    popupWindow = null
+
+    plugin.login()
+
+    const authError = callback.mostRecentCall.args[4]
+    expect(callback.mostRecentCall.args[0]).toBe(
+      'Popup window was blocked by the browser. Open it from a user action, like a click.',
+    )
+    expect(authError instanceof PopupBlockedError).toBe(true)
+    expect(authError.errorCode).toBe(ERROR_CODE.POPUP_BLOCKED)
+    expect(plugin.loginInProgress()).toBe(false)
+  })
+
+  it('reports the popups closed right away as blocked', () => {
+    popupWindow.closed = true
+
+    plugin.login()
+
+    expect(callback.mostRecentCall.args[4].errorCode).toBe(ERROR_CODE.POPUP_BLOCKED)
+  })
+
+  it('reports the popups closed by the user as cancelled', () => {
+    plugin.login()
+    popupWindow.closed = true
+    jasmine.Clock.tick(49)
+
+    expect(callback).not.toHaveBeenCalled()
+
+    jasmine.Clock.tick(1)
+
+    expect(callback.mostRecentCall.args[2]).toBe('Popup Window closed')
+    expect(callback.mostRecentCall.args[4].errorCode).toBe(ERROR_CODE.USER_CANCELLED)
+  })
+
+  it('closes the popups without response once the timeout is reached', () => {
+    plugin.login()
+    jasmine.Clock.tick(10000)
+
+    const authError = callback.mostRecentCall.args[4]
+    expect(callback.mostRecentCall.args[0]).toBe('No response received within 10 seconds')
+    expect(authError instanceof TimeoutError).toBe(true)
+    expect(popupWindow.close).toHaveBeenCalled()
+    expect(plugin.loginInProgress()).toBe(false)
+  })
+
+  it('waits indefinitely with a timeout of 0', () => {
+    plugin = createPlugin({ redirectUri: REDIRECT_URI, popupTimeout: 0, callback })
+
+    plugin.login()
+    jasmine.Clock.tick(20000)
+
+    expect(callback).not.toHaveBeenCalled()
+  })
+
+  it('handles the response once the popup reaches the redirect uri', () => {
+    spyOn(plugin, 'handleWindowCallback')
+
+    plugin.login()
+    popupWindow.location = { href: REDIRECT_URI + '#id_token=x', hash: '#id_token=x' }
+    jasmine.Clock.tick(50)
+    jasmine.Clock.tick(10000)
+
+    expect(plugin.handleWindowCallback).toHaveBeenCalledWith('#id_token=x')
+    expect(popupWindow.close).toHaveBeenCalled()
+    expect(callback).not.toHaveBeenCalled()
+  })
+
+  describe('cancelInteraction', () => {
+    it('closes the popup and fails the request as cancelled', () => {
+      plugin.login()
+
+      expect(plugin.cancelInteraction()).toBe(true)
+      expect(popupWindow.close).toHaveBeenCalled()
+      expect(callback.mostRecentCall.args[0]).toBe('Interactive request cancelled by the app')
+      expect(callback.mostRecentCall.args[4].errorCode).toBe(ERROR_CODE.USER_CANCELLED)
+      expect(plugin.loginInProgress()).toBe(false)
+
+      jasmine.Clock.tick(10000)
+      expect(callback.callCount).toBe(1)
+    })
+
+    it('returns false when no request is in progress', () => {
+      expect(plugin.cancelInteraction()).toBe(false)
+    })
+  })
+})
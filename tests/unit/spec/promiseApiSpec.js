@@ -0,0 +1,108 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { AuthError, InteractionRequiredError, ERROR_CODE } = requireLib('errors')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+describe('promise API', () => {
+  let plugin
+  let idToken
+
+  beforeEach(() => {
+    plugin = createPlugin({ navigateToLoginRequestUrl: false })
+    idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+  })
+
+  function signIn() {
+    const user = plugin._createUser(idToken)
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+    return user
+  }
+
+  it('resolves acquireTokenAsync with the cached token and its details', (done) => {
+    const user = signIn()
+    plugin._tokenCache.setEntry({
+      resource: RESOURCE,
+      token: 'token-1',
+      tokenType: 'access_token',
+      expiresOn: 2000000000,
+      accountId: 'alice',
+      tenantId: 'tenant',
+      scopes: [],
+    })
+
+    plugin.acquireTokenAsync(RESOURCE).then((result) => {
+      expect(result).toEqual({
+        token: 'token-1',
+        tokenType: 'access_token',
+        resource: RESOURCE,
+        expiresOn: 2000000000,
+        user,
+      })
+      done()
+    })
+  })
+
+  it('rejects acquireTokenAsync with a typed error', (done) => {
+    plugin.acquireTokenAsync(RESOURCE).then(null, (err) => {
+      expect(err instanceof InteractionRequiredError).toBe(true)
+      expect(err.errorCode).toBe(ERROR_CODE.LOGIN_REQUIRED)
+      expect(err.errorMessage).toBe('User login is required')
+      done()
+    })
+  })
+
+  it('resolves getUserAsync with the user of the cached id_token', (done) => {
+    plugin._saveItem(plugin.CONSTANTS.STORAGE.IDTOKEN, idToken)
+
+    plugin.getUserAsync().then((user) => {
+      expect(user.profile.oid).toBe('alice')
+      done()
+    })
+  })
+
+  it('rejects getUserAsync when no user is signed in', (done) => {
+    plugin.getUserAsync().then(null, (err) => {
+      expect(err.errorCode).toBe(ERROR_CODE.USER_NOT_AVAILABLE)
+      done()
+    })
+  })
+
+  it('rejects loginPopupAsync while a login is in progress', (done) => {
+    plugin._loginInProgress = true
+
+    plugin.loginPopupAsync().then(null, (err) => {
+      expect(err.errorCode).toBe(ERROR_CODE.LOGIN_IN_PROGRESS)
+      done()
+    })
+  })
+
+  it('resolves handleRedirectPromise with null outside of redirects', (done) => {
+    plugin.handleRedirectPromise('#page=2').then((result) => {
+      expect(result).toBeNull()
+      done()
+    })
+  })
+
+  it('rejects handleRedirectPromise with the error of the login response', (done) => {
+    plugin._saveItem(plugin.CONSTANTS.STORAGE.STATE_LOGIN, 'state-1')
+
+    plugin
+      .handleRedirectPromise('#error=access_denied&error_description=Denied&state=state-1')
+      .then(null, (err) => {
+        expect(err instanceof AuthError).toBe(true)
+        expect(err.errorCode).toBe('access_denied')
+        expect(err.errorMessage).toBe('Denied')
+        done()
+      })
+  })
+
+  it('keeps calling the callbacks', () => {
+    const callback = jasmine.createSpy('callback')
+
+    plugin.acquireToken(RESOURCE, callback)
+
+    expect(callback).toHaveBeenCalledWith('User login is required', null, 'login required')
+  })
+})
@@ -0,0 +1,142 @@
+const { createPlugin, createJwt } = require('./browserHelper')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+describe('redirect uri matching', () => {
+  let plugin
+
+  beforeEach(() => {
+    plugin = createPlugin({ redirectUri: 'com.company.app://auth' })
+  })
+
+  it('matches the redirect uris with a custom scheme', () => {
+    expect(plugin._isRedirectUrl('com.company.app://auth#code=abc')).toBe(true)
+    expect(plugin._isRedirectUrl('COM.Company.App://AUTH/?code=abc')).toBe(true)
+    expect(plugin._isRedirectUrl('com.company.app://auth/other#code=abc')).toBe(false)
+    expect(plugin._isRedirectUrl('com.other.app://auth#code=abc')).toBe(false)
+  })
+
+  it('matches the scheme, host and path of https redirect uris', () => {
+    plugin.config.redirectUri = 'https://app.example.com/callback'
+
+    expect(plugin._isRedirectUrl('https://app.example.com/callback?code=abc')).toBe(true)
+    expect(plugin._isRedirectUrl('https://app.example.com/Callback#code=abc')).toBe(false)
+    expect(plugin._isRedirectUrl('http://app.example.com/callback#code=abc')).toBe(false)
+    expect(plugin._isRedirectUrl('https://localhost/callback#code=abc')).toBe(false)
+    expect(plugin._isRedirectUrl('https://login.microsoftonline.com/common/oauth2/authorize')).toBe(
+      false,
+    )
+  })
+
+  it('ignores the trailing slash of the path', () => {
+    plugin.config.redirectUri = 'capacitor://localhost'
+
+    expect(plugin._isRedirectUrl('capacitor://localhost/#code=abc')).toBe(true)
+    expect(plugin._isRedirectUrl('capacitor://localhost#code=abc')).toBe(true)
+    expect(plugin._isRedirectUrl('not a url')).toBe(false)
+  })
+
+  it('reads the responses in the fragment or in the query', () => {
+    expect(plugin._getResponseFromUrl('com.company.app://auth#code=abc&state=s')).toBe(
+      '#code=abc&state=s',
+    )
+    expect(plugin._getResponseFromUrl('com.company.app://auth?code=abc&state=s')).toBe(
+      'code=abc&state=s',
+    )
+    expect(plugin._getResponseFromUrl('com.company.app://auth?error_description=Denied#page')).toBe(
+      'error_description=Denied',
+    )
+    expect(plugin._getResponseFromUrl('com.company.app://auth?page=2')).toBeNull()
+  })
+
+  describe('in the Cordova in-app browser', () => {
+    let browserRef
+
+    beforeEach(() => {
+      browserRef = {
+        listeners: {},
+        addEventListener: (name, listener) => {
+          browserRef.listeners[name] = listener
+        },
+        removeEventListener: jasmine.createSpy('removeEventListener'),
+        close: jasmine.createSpy('close'),
+      }
+      window.cordova = { InAppBrowser: { open: jasmine.createSpy('open').andReturn(browserRef) } }
+
+      const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+      const user = plugin._createUser(idToken)
+      plugin._saveAccount(user, idToken)
+      plugin.setActiveAccount(user)
+    })
+
+    afterEach(() => {
+      delete window.cordova
+    })
+
+    // the plugin opens the in-app browser asynchronously
+    function whenOpened() {
+      return Promise.resolve().then(() => {
+        const url = window.cordova.InAppBrowser.open.mostRecentCall.args[0]
+        return decodeURIComponent(/[?&]state=([^&]+)/.exec(url)[1])
+      })
+    }
+
+    it('completes on the redirect to the redirect uri only', (done) => {
+      plugin.acquireTokenPopup(RESOURCE, null, null, (errorDesc, token, error) => {
+        expect(errorDesc).toBe('Denied')
+        expect(error).toBe('access_denied')
+        expect(browserRef.close).toHaveBeenCalled()
+        done()
+      })
+
+      whenOpened().then((state) => {
+        browserRef.listeners.loadstart({ url: 'https://login.microsoftonline.com/common/login' })
+        browserRef.listeners.loadstart({ url: 'https://localhost/#error=ignored&state=' + state })
+        expect(browserRef.close).not.toHaveBeenCalled()
+
+        browserRef.listeners.loadstart({
+          url:
+            'com.company.app://auth?error=access_denied&error_description=Denied&state=' +
+            encodeURIComponent(state),
+        })
+      })
+    })
+
+    it('cancels the request when the user closes the in-app browser', (done) => {
+      plugin.acquireTokenPopup(
+        RESOURCE,
+        null,
+        null,
+        (errorDesc, token, error, tokenType, authError) => {
+          expect(errorDesc).toBe('In-app browser closed by the user before the sign in completed')
+          expect(authError.errorCode).toBe('user_cancelled')
+          done()
+        },
+      )
+
+      whenOpened().then(() => browserRef.listeners.exit({}))
+    })
+
+    it('cancels the request when the in-app browser fails to load a page', (done) => {
+      plugin.acquireTokenPopup(
+        RESOURCE,
+        null,
+        null,
+        (errorDesc, token, error, tokenType, authError) => {
+          expect(errorDesc).toBe(
+            'In-app browser failed to load https://login.microsoftonline.com/common: offline',
+          )
+          expect(authError.errorCode).toBe('user_cancelled')
+          done()
+        },
+      )
+
+      whenOpened().then(() =>
+        browserRef.listeners.loaderror({
+          url: 'https://login.microsoftonline.com/common',
+          message: 'offline',
+        }),
+      )
+    })
+  })
+})
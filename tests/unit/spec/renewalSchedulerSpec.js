@@ -0,0 +1,151 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const RenewalScheduler = requireLib('renewalScheduler').default
+
+const RESOURCE = 'https://graph.microsoft.com'
+const NOW = 1600000000
+
+function signIn(plugin) {
+  const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+  const user = plugin._createUser(idToken)
+
+  plugin._saveAccount(user, idToken)
+  plugin.setActiveAccount(user)
+  return user
+}
+
+function cacheToken(plugin, token, expiresOn) {
+  plugin._tokenCache.setEntry({
+    resource: RESOURCE,
+    token,
+    tokenType: 'access_token',
+    expiresOn,
+    accountId: 'alice',
+    tenantId: 'tenant',
+    scopes: [],
+  })
+}
+
+describe('RenewalScheduler', () => {
+  let plugin
+  let now
+  let scheduler
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+    now = NOW
+    plugin = createPlugin()
+    plugin._now = () => now
+    spyOn(plugin, '_renewResource')
+    signIn(plugin)
+    // renewed 300 + 60 seconds before it expires, without random delay
+    cacheToken(plugin, 'token-1', NOW + 3600)
+    scheduler = new RenewalScheduler(plugin, { renewOffsetSeconds: 60, jitterSeconds: 0 })
+  })
+
+  afterEach(() => {
+    scheduler.stop()
+  })
+
+  function waitUntil(time) {
+    const delay = (time - now) * 1000
+    now = time
+    jasmine.Clock.tick(delay)
+  }
+
+  it('renews the tokens of the active account before they expire', () => {
+    scheduler.start()
+
+    expect(scheduler.getStatus()[0].nextRenewalOn).toBe(NOW + 3240)
+
+    jasmine.Clock.tick(3239 * 1000)
+    expect(plugin._renewResource).not.toHaveBeenCalled()
+
+    waitUntil(NOW + 3240)
+    expect(plugin._renewResource).toHaveBeenCalled()
+    expect(plugin._renewResource.mostRecentCall.args[0]).toBe(RESOURCE)
+    expect(scheduler.getStatus()[0].renewing).toBe(true)
+  })
+
+  it('schedules the renewal of the token it received', () => {
+    scheduler.start()
+    waitUntil(NOW + 3240)
+
+    cacheToken(plugin, 'token-2', NOW + 7200)
+    plugin._renewResource.mostRecentCall.args[1](null, 'token-2', null)
+
+    expect(scheduler.getStatus()).toEqual([
+      {
+        resource: RESOURCE,
+        expiresOn: NOW + 7200,
+        nextRenewalOn: NOW + 6840,
+        renewing: false,
+        failures: 0,
+        lastError: null,
+      },
+    ])
+  })
+
+  it('retries failed renewals with growing delays', () => {
+    scheduler.start()
+    waitUntil(NOW + 3240)
+    plugin._renewResource.mostRecentCall.args[1]('Token renewal operation failed', null, 'timeout')
+
+    expect(scheduler.getStatus()[0].failures).toBe(1)
+    expect(scheduler.getStatus()[0].nextRenewalOn).toBe(now + 30)
+
+    waitUntil(now + 30)
+    plugin._renewResource.mostRecentCall.args[1]('Token renewal operation failed', null, 'timeout')
+
+    expect(plugin._renewResource.callCount).toBe(2)
+    expect(scheduler.getStatus()[0].failures).toBe(2)
+    expect(scheduler.getStatus()[0].nextRenewalOn).toBe(now + 60)
+  })
+
+  it('reschedules a renewal that returned the same token', () => {
+    scheduler.start()
+    waitUntil(NOW + 3240)
+    plugin._renewResource.mostRecentCall.args[1](null, 'token-1', null)
+
+    expect(scheduler.getStatus()[0].nextRenewalOn).toBe(now + 30)
+  })
+
+  it('stops tracking the tokens removed from the cache', () => {
+    scheduler.start()
+    plugin._tokenCache.clear()
+    scheduler.refresh()
+
+    expect(scheduler.getStatus()).toEqual([])
+  })
+})
+
+describe('autoRenew', () => {
+  afterEach(() => {
+    window.parent = window
+    window.opener = undefined
+  })
+
+  function startPlugin(done, callback) {
+    const plugin = createPlugin({ autoRenew: true })
+
+    plugin.initialize().then(() => {
+      callback(plugin.getAutoRenewStatus().running)
+      plugin.stopAutoRenew()
+      done()
+    })
+  }
+
+  it('starts renewing the tokens in the background', (done) => {
+    startPlugin(done, (running) => expect(running).toBe(true))
+  })
+
+  it('does not start in iframes', (done) => {
+    window.parent = {}
+    startPlugin(done, (running) => expect(running).toBe(false))
+  })
+
+  it('does not start in popups', (done) => {
+    window.opener = {}
+    startPlugin(done, (running) => expect(running).toBe(false))
+  })
+})
@@ -0,0 +1,152 @@
+const { requireLib, createPlugin } = require('./browserHelper')
+
+const { default: SessionMonitor, SESSION_CHANGE_ACTION } = requireLib('sessionMonitor')
+
+const ORIGIN = 'https://login.microsoftonline.com'
+const CHECK_SESSION_URI = ORIGIN + '/common/oauth2/checksession'
+
+describe('SessionMonitor', () => {
+  let plugin
+  let frame
+  let receive
+  let monitor
+
+  beforeEach(() => {
+    plugin = createPlugin({ checkSessionIframeUri: CHECK_SESSION_URI })
+    plugin._saveItem(plugin.CONSTANTS.STORAGE.SESSION_STATE, 'state-1')
+    frame = { contentWindow: jasmine.createSpyObj('contentWindow', ['postMessage']) }
+    spyOn(document, 'getElementById').andReturn(frame)
+    spyOn(window, 'addEventListener').andCallFake((type, listener) => {
+      receive = listener
+    })
+  })
+
+  afterEach(() => {
+    monitor.stop()
+  })
+
+  function startMonitor(options, callback) {
+    monitor = new SessionMonitor(plugin, options)
+    monitor.start()
+
+    // the URI of the check_session_iframe is resolved asynchronously
+    setImmediate(() => {
+      frame.onload()
+      callback()
+    })
+  }
+
+  function changeSession() {
+    receive({
+      source: frame.contentWindow,
+      origin: ORIGIN,
+      data: 'changed',
+    })
+  }
+
+  it('sends the session state to the check_session_iframe', (done) => {
+    startMonitor({}, () => {
+      expect(frame.src).toBe(CHECK_SESSION_URI)
+      expect(frame.contentWindow.postMessage).toHaveBeenCalledWith('client-id state-1', ORIGIN)
+      done()
+    })
+  })
+
+  it('emits the sessionChanged event when the session changed', (done) => {
+    const listener = jasmine.createSpy('listener')
+    plugin.on('sessionChanged', listener)
+
+    startMonitor({}, () => {
+      changeSession()
+
+      expect(listener).toHaveBeenCalled()
+      expect(monitor.isRunning()).toBe(true)
+      done()
+    })
+  })
+
+  it('ignores the messages of other windows', (done) => {
+    const listener = jasmine.createSpy('listener')
+    plugin.on('sessionChanged', listener)
+
+    startMonitor({}, () => {
+      receive({ source: {}, origin: ORIGIN, data: 'changed' })
+      receive({ source: frame.contentWindow, origin: 'https://evil.example.com', data: 'changed' })
+
+      expect(listener).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('logs out when configured to', (done) => {
+    spyOn(plugin, 'logOut').andReturn(Promise.resolve())
+
+    startMonitor({ onChange: SESSION_CHANGE_ACTION.LOGOUT }, () => {
+      changeSession()
+
+      expect(plugin.logOut).toHaveBeenCalledWith({ mode: 'local' })
+      done()
+    })
+  })
+
+  it('stops when the check_session_iframe rejects the session state', (done) => {
+    startMonitor({}, () => {
+      receive({ source: frame.contentWindow, origin: ORIGIN, data: 'error' })
+
+      expect(monitor.isRunning()).toBe(false)
+      expect(frame.src).toBe('about:blank')
+      done()
+    })
+  })
+
+  it('rejects unsupported actions', () => {
+    monitor = new SessionMonitor(plugin)
+
+    expect(() => new SessionMonitor(plugin, { onChange: 'reload' })).toThrow(
+      'Unsupported session monitor onChange: reload',
+    )
+  })
+})
+
+describe('monitorSession', () => {
+  beforeEach(() => {
+    spyOn(document, 'getElementById').andReturn({ contentWindow: null })
+  })
+
+  afterEach(() => {
+    window.parent = window
+    window.opener = undefined
+  })
+
+  function startPlugin(done, callback) {
+    const plugin = createPlugin({
+      monitorSession: true,
+      autoRenew: true,
+      checkSessionIframeUri: CHECK_SESSION_URI,
+    })
+
+    plugin.initialize().then(() => {
+      callback(plugin)
+      plugin.stopSessionMonitor()
+      plugin.stopAutoRenew()
+      done()
+    })
+  }
+
+  it('starts checking the session after the plugin is initialized', (done) => {
+    startPlugin(done, (plugin) => {
+      expect(plugin._sessionMonitor.isRunning()).toBe(true)
+      expect(plugin.getAutoRenewStatus().running).toBe(true)
+    })
+  })
+
+  it('does not start in iframes', (done) => {
+    window.parent = {}
+    startPlugin(done, (plugin) => expect(plugin._sessionMonitor).toBeFalsy())
+  })
+
+  it('does not start in popups', (done) => {
+    window.opener = {}
+    startPlugin(done, (plugin) => expect(plugin._sessionMonitor).toBeFalsy())
+  })
+})
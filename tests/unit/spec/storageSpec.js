@@ -0,0 +1,128 @@
+const { MemoryStorage, requireLib, createPlugin } = require('./browserHelper')
+
+const { AsyncStorageCache, MemoryStorageAdapter, WebStorageAdapter } = requireLib('storage')
+
+/**
+ * Asynchronous adapter answering once respond() is called, like a native key-value store.
+ */
+function createAsyncAdapter(items) {
+  const adapter = new MemoryStorageAdapter()
+  const responses = []
+
+  Object.keys(items).forEach((key) => adapter.setItem(key, items[key]))
+
+  return {
+    async: true,
+    items: adapter,
+    getItem: (key) => new Promise((resolve) => responses.push(() => resolve(adapter.getItem(key)))),
+    setItem: (key, value) => Promise.resolve(adapter.setItem(key, value)),
+    removeItem: (key) => Promise.resolve(adapter.removeItem(key)),
+    keys: () => Promise.resolve(adapter.keys()),
+    respond: () => responses.splice(0).forEach((respond) => respond()),
+  }
+}
+
+// resolves once the pending promise callbacks ran
+function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve))
+}
+
+describe('storage', () => {
+  describe('WebStorageAdapter', () => {
+    it('lists the keys of the storage', () => {
+      const adapter = new WebStorageAdapter(new MemoryStorage())
+
+      adapter.setItem('a', '1')
+      adapter.setItem('b', '2')
+      adapter.removeItem('a')
+
+      expect(adapter.keys()).toEqual(['b'])
+      expect(adapter.getItem('b')).toBe('2')
+      expect(adapter.getItem('a')).toBeNull()
+    })
+  })
+
+  describe('AsyncStorageCache', () => {
+    let adapter
+    let cache
+    let onError
+
+    beforeEach(() => {
+      adapter = createAsyncAdapter({ AD_a: '1', AD_b: '2', OTHER_c: '3' })
+      onError = jasmine.createSpy('onError')
+      cache = new AsyncStorageCache(adapter, 'AD_', onError)
+    })
+
+    it('loads the values of its prefix', (done) => {
+      cache.load().then(() => {
+        expect(cache.keys().sort()).toEqual(['AD_a', 'AD_b'])
+        expect(cache.getItem('AD_a')).toBe('1')
+        done()
+      })
+
+      flushPromises().then(() => adapter.respond())
+    })
+
+    it('keeps the values written and removed before loading completes', (done) => {
+      cache.load().then(() => {
+        expect(cache.getItem('AD_a')).toBe('new')
+        expect(cache.getItem('AD_b')).toBeNull()
+        done()
+      })
+
+      flushPromises().then(() => {
+        cache.setItem('AD_a', 'new')
+        cache.removeItem('AD_b')
+        adapter.respond()
+      })
+    })
+
+    it('persists the writes in order', (done) => {
+      cache.setItem('AD_d', '4')
+      cache.removeItem('AD_d')
+      cache.setItem('AD_e', 5)
+
+      cache.flush().then(() => {
+        expect(adapter.items.getItem('AD_d')).toBeNull()
+        expect(adapter.items.getItem('AD_e')).toBe('5')
+        done()
+      })
+    })
+
+    it('reports the writes that failed', (done) => {
+      const error = new Error('Quota exceeded')
+      adapter.setItem = () => Promise.reject(error)
+
+      cache.setItem('AD_d', '4')
+
+      cache.flush().then(() => {
+        expect(onError).toHaveBeenCalledWith(error)
+        expect(cache.getItem('AD_d')).toBe('4')
+        done()
+      })
+    })
+  })
+
+  describe('in the plugin', () => {
+    it('uses the synchronous adapters as is', () => {
+      const storage = new MemoryStorageAdapter()
+      const plugin = createPlugin({ storage })
+
+      plugin._saveItem(plugin.CONSTANTS.STORAGE.LOGIN_ERROR, 'error')
+
+      expect(storage.getItem(plugin.CONSTANTS.STORAGE.LOGIN_ERROR)).toBe('error')
+    })
+
+    it('reads the asynchronous adapters when initialized', (done) => {
+      const storage = createAsyncAdapter({ AD_LOGIN_ERROR: 'stored error' })
+      const plugin = createPlugin({ storage })
+
+      plugin.initialize().then(() => {
+        expect(plugin.getLoginError()).toBe('stored error')
+        done()
+      })
+
+      flushPromises().then(() => storage.respond())
+    })
+  })
+})
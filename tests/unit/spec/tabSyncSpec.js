@@ -0,0 +1,151 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { default: TabSync, SYNC_EVENT } = requireLib('tabSync')
+const { MemoryStorageAdapter } = requireLib('storage')
+
+const RESOURCE = 'https://graph.microsoft.com'
+
+describe('TabSync', () => {
+  it('sends the messages to the other tabs with a BroadcastChannel', (done) => {
+    const received = jasmine.createSpy('received')
+    const sender = new TabSync('AD_SYNC_client-id', received)
+    const receiver = new TabSync('AD_SYNC_client-id', (message) => {
+      expect(message).toEqual({ type: SYNC_EVENT.LOGIN, homeAccountId: 'alice.tenant' })
+      expect(received).not.toHaveBeenCalled()
+      sender.stop()
+      receiver.stop()
+      done()
+    })
+    sender.start()
+    receiver.start()
+
+    sender.post(SYNC_EVENT.LOGIN, { homeAccountId: 'alice.tenant' })
+  })
+
+  describe('without BroadcastChannel', () => {
+    let descriptor
+    let storageListener
+
+    beforeEach(() => {
+      descriptor = Object.getOwnPropertyDescriptor(window, 'BroadcastChannel')
+      delete window.BroadcastChannel
+      spyOn(window, 'addEventListener').andCallFake((type, listener) => {
+        storageListener = listener
+      })
+    })
+
+    afterEach(() => {
+      Object.defineProperty(window, 'BroadcastChannel', descriptor)
+    })
+
+    it('sends the messages with storage events', () => {
+      const received = jasmine.createSpy('received')
+      const tabSync = new TabSync('AD_SYNC_client-id', received)
+      spyOn(window.localStorage, 'setItem')
+      tabSync.start()
+
+      tabSync.post(SYNC_EVENT.LOGOUT)
+      const message = JSON.parse(window.localStorage.setItem.mostRecentCall.args[1])
+      storageListener({ key: 'AD_SYNC_client-id', newValue: JSON.stringify(message) })
+      storageListener({ key: 'AD_SYNC_client-id', newValue: null })
+      storageListener({ key: 'other', newValue: '{"type":"logout"}' })
+
+      expect(message.type).toBe(SYNC_EVENT.LOGOUT)
+      expect(window.localStorage.getItem('AD_SYNC_client-id')).toBeNull()
+      expect(received.callCount).toBe(1)
+      expect(received.mostRecentCall.args[0].type).toBe(SYNC_EVENT.LOGOUT)
+      tabSync.stop()
+    })
+  })
+})
+
+describe('syncTabs', () => {
+  let tab
+  let otherTab
+  let alice
+  let bob
+
+  function signIn(objectId) {
+    const idToken = createJwt({ aud: 'client-id', oid: objectId, tid: 'tenant', exp: 2000000000 })
+    const user = tab._createUser(idToken)
+
+    tab._saveAccount(user, idToken)
+    return user
+  }
+
+  beforeEach(() => {
+    jasmine.Clock.useMock()
+
+    // the tabs share the cache, and the messages of the first tab are delivered to the other one
+    const storage = new MemoryStorageAdapter()
+    tab = createPlugin({ storage })
+    otherTab = createPlugin({ storage })
+    tab._tabSync = {
+      post: (type, data) => otherTab._handleSyncMessage(Object.assign({}, data, { type })),
+    }
+
+    alice = signIn('alice')
+    bob = signIn('bob')
+    tab.setActiveAccount(alice)
+  })
+
+  it('applies the account changes of the other tabs', () => {
+    const listener = jasmine.createSpy('listener')
+    const callback = jasmine.createSpy('callback')
+    otherTab.on('accountChanged', listener)
+    otherTab.acquireToken(RESOURCE, callback)
+
+    tab.setActiveAccount(bob)
+
+    expect(otherTab.getCachedUser().homeAccountId).toBe('bob.tenant')
+    expect(listener.mostRecentCall.args[0].account.homeAccountId).toBe('bob.tenant')
+    expect(callback.mostRecentCall.args[2]).toBe('account changed')
+  })
+
+  it('applies the logouts of the other tabs', (done) => {
+    const listener = jasmine.createSpy('listener')
+    const callback = jasmine.createSpy('callback')
+    otherTab.on('logout', listener)
+    otherTab.acquireToken(RESOURCE, callback)
+
+    tab.logOut({ mode: 'local' }).then(() => {
+      expect(otherTab.getCachedUser()).toBeNull()
+      expect(listener).toHaveBeenCalled()
+      expect(callback).toHaveBeenCalledWith(
+        'User logged out in another tab',
+        null,
+        'login required',
+        null,
+        jasmine.any(Object),
+      )
+      done()
+    })
+  })
+
+  it('completes the renewals in progress with the tokens of the other tabs', () => {
+    const callback = jasmine.createSpy('callback')
+    otherTab.acquireToken(RESOURCE, callback)
+
+    tab._tokenCache.setEntry({
+      resource: RESOURCE,
+      token: 'token-1',
+      tokenType: 'access_token',
+      expiresOn: 2000000000,
+      accountId: 'alice',
+      tenantId: 'tenant',
+      scopes: [],
+    })
+    tab._postSyncMessage(SYNC_EVENT.TOKEN_ACQUIRED, { resource: RESOURCE })
+
+    expect(callback).toHaveBeenCalledWith(null, 'token-1', null, 'access_token', undefined)
+  })
+
+  it('is on by default for the caches shared between tabs', () => {
+    const plugin = createPlugin({ cacheLocation: 'localStorage' })
+    plugin._tabSync.stop()
+
+    expect(plugin.config.syncTabs).toBe(true)
+    expect(createPlugin().config.syncTabs).toBe(false)
+    expect(tab.config.syncTabs).toBe(false)
+  })
+})
@@ -0,0 +1,203 @@
+const { requireLib, createPlugin, createJwt } = require('./browserHelper')
+
+const { default: TokenCache, TOKEN_CACHE_VERSION } = requireLib('tokenCache')
+const { CookieStorageAdapter, MemoryStorageAdapter } = requireLib('storage')
+
+const CACHE_KEY = 'AD_TOKEN_CACHE'
+
+function createEntry(resource, accountId, token) {
+  return {
+    resource,
+    token,
+    tokenType: 'access_token',
+    expiresOn: 2000000000,
+    tenantId: 'tenant',
+    accountId,
+    scopes: [],
+  }
+}
+
+/**
+ * Creates the document.cookie of a browser dropping the cookies over 4KB.
+ */
+function createCookieJar() {
+  const cookies = {}
+
+  return {
+    cookies,
+    read: () =>
+      Object.keys(cookies)
+        .map((name) => name + '=' + cookies[name])
+        .join('; '),
+    write: (cookie) => {
+      const pair = cookie.split(';')[0]
+      const separator = pair.indexOf('=')
+      const name = pair.substring(0, separator)
+
+      if (cookie.indexOf(';expires=Thu, 01 Jan 1970') > -1) {
+        delete cookies[name]
+      } else if (pair.length <= 4096) {
+        cookies[name] = pair.substring(separator + 1)
+      }
+    },
+  }
+}
+
+describe('TokenCache', () => {
+  let storage
+  let errors
+  let cache
+
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter()
+    errors = []
+    cache = new TokenCache(storage, CACHE_KEY, (message) => errors.push(message))
+  })
+
+  it('stores the entries in a single versioned document', () => {
+    cache.setEntry(createEntry('https://graph.microsoft.com', 'alice', 'token-1'))
+
+    const document = JSON.parse(storage.getItem(CACHE_KEY))
+    expect(document.version).toBe(TOKEN_CACHE_VERSION)
+    expect(document.entries.length).toBe(1)
+    expect(cache.exists()).toBe(true)
+  })
+
+  it('replaces the entry of the same resource and account only', () => {
+    cache.setEntry(createEntry('api', 'alice', 'token-1'))
+    cache.setEntry(createEntry('api', 'bob', 'token-2'))
+    cache.setEntry(createEntry('api', 'alice', 'token-3'))
+
+    expect(cache.getEntries().length).toBe(2)
+    expect(cache.getEntry('api', { accountId: 'alice', tenantId: 'tenant' }).token).toBe('token-3')
+    expect(cache.getEntry('api', { accountId: 'bob', tenantId: 'tenant' }).token).toBe('token-2')
+    expect(cache.getEntry('api', { accountId: 'carol', tenantId: 'tenant' })).toBeNull()
+  })
+
+  it('removes the entries of an account', () => {
+    cache.setEntry(createEntry('api', 'alice', 'token-1'))
+    cache.setEntry(createEntry('other-api', 'alice', 'token-2'))
+    cache.setEntry(createEntry('api', 'bob', 'token-3'))
+
+    cache.removeAccountEntries({ accountId: 'alice', tenantId: 'tenant' })
+
+    expect(cache.getEntries().map((entry) => entry.token)).toEqual(['token-3'])
+  })
+
+  it('ignores documents of other versions', () => {
+    storage.setItem(CACHE_KEY, JSON.stringify({ version: 99, entries: [createEntry('api')] }))
+
+    expect(cache.getEntries()).toEqual([])
+    expect(errors[0]).toContain('unsupported version')
+  })
+
+  it('ignores documents that cannot be parsed', () => {
+    storage.setItem(CACHE_KEY, 'token|expiration')
+
+    expect(cache.getEntries()).toEqual([])
+    expect(errors[0]).toContain('cannot be parsed')
+  })
+
+  it('reports storage errors instead of throwing them', () => {
+    const failingCache = new TokenCache(
+      {
+        getItem: () => {
+          throw new Error('SecurityError')
+        },
+        setItem: () => {
+          throw new Error('QuotaExceededError')
+        },
+      },
+      CACHE_KEY,
+      (message) => errors.push(message),
+    )
+
+    expect(failingCache.getEntry('api', null)).toBeNull()
+    expect(() => failingCache.setEntry(createEntry('api', 'alice', 'token-1'))).not.toThrow()
+    expect(errors).toContain('Error reading token cache: SecurityError')
+    expect(errors).toContain('Error saving token cache: QuotaExceededError')
+  })
+
+  it('reports a cache that the storage did not keep', () => {
+    const droppingCache = new TokenCache(
+      { getItem: () => null, setItem: () => {} },
+      CACHE_KEY,
+      (message) => errors.push(message),
+    )
+
+    droppingCache.setEntry(createEntry('api', 'alice', 'token-1'))
+
+    expect(errors).toEqual(['Error saving token cache: the storage did not keep it'])
+  })
+
+  describe('in cookies', () => {
+    let jar
+
+    beforeEach(() => {
+      jar = createCookieJar()
+      Object.defineProperty(document, 'cookie', {
+        get: jar.read,
+        set: jar.write,
+        configurable: true,
+      })
+      cache = new TokenCache(new CookieStorageAdapter(), CACHE_KEY, (message) =>
+        errors.push(message),
+      )
+    })
+
+    afterEach(() => {
+      Object.defineProperty(document, 'cookie', { value: '', writable: true, configurable: true })
+    })
+
+    it('splits a cache larger than a cookie across several cookies', () => {
+      const tokens = ['a', 'b', 'é'].map((character) => character.repeat(2500))
+      tokens.forEach((token, i) => cache.setEntry(createEntry('api-' + i, 'alice', token)))
+
+      expect(errors).toEqual([])
+      expect(Object.keys(jar.cookies).length).toBeGreaterThan(1)
+      expect(cache.getEntries().map((entry) => entry.token)).toEqual(tokens)
+      expect(new CookieStorageAdapter().keys()).toEqual([CACHE_KEY])
+    })
+
+    it('removes the cookies of a previous, longer cache', () => {
+      cache.setEntry(createEntry('api', 'alice', 'a'.repeat(10000)))
+      cache.clear()
+
+      expect(Object.keys(jar.cookies)).toEqual([CACHE_KEY])
+      expect(cache.getEntries()).toEqual([])
+    })
+  })
+})
+
+describe('legacy cache migration', () => {
+  it('moves the tokens cached by ADAL into the token cache', () => {
+    const storage = new MemoryStorageAdapter()
+    const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+    storage.setItem('AD_IDTOKEN', idToken)
+    storage.setItem('AD_TOKEN_KEYS', 'https://graph.microsoft.com|')
+    storage.setItem('AD_ACCESS_TOKEN_KEYhttps://graph.microsoft.com', 'legacy-token')
+    storage.setItem('AD_EXPIRATION_KEYhttps://graph.microsoft.com', '2000000000')
+
+    const plugin = createPlugin({ storage })
+    const entry = plugin._tokenCache.getEntry('https://graph.microsoft.com', {
+      accountId: 'alice',
+      tenantId: 'tenant',
+    })
+
+    expect(entry.token).toBe('legacy-token')
+    expect(entry.expiresOn).toBe(2000000000)
+    expect(
+      storage.keys().filter((key) => /^AD_(TOKEN_KEYS|ACCESS_TOKEN_KEY|EXPIRATION_KEY)/.test(key)),
+    ).toEqual([])
+  })
+
+  it('drops legacy tokens without an expiration', () => {
+    const storage = new MemoryStorageAdapter()
+    storage.setItem('AD_ACCESS_TOKEN_KEYapi', 'legacy-token')
+
+    const plugin = createPlugin({ storage })
+
+    expect(plugin._tokenCache.getEntries()).toEqual([])
+    expect(storage.getItem('AD_ACCESS_TOKEN_KEYapi')).toBeNull()
+  })
+})
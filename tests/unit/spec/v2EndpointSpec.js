@@ -0,0 +1,81 @@
+const { createPlugin, createJwt } = require('./browserHelper')
+
+const MAIL_SCOPES = 'mail.read user.read'
+
+describe('v2.0 endpoint', () => {
+  let plugin
+
+  function cacheToken(scopes, token) {
+    plugin._tokenCache.setEntry({
+      resource: scopes,
+      token,
+      tokenType: 'access_token',
+      expiresOn: 2000000000,
+      accountId: 'alice',
+      tenantId: 'tenant',
+      scopes: scopes.split(' '),
+    })
+  }
+
+  beforeEach(() => {
+    plugin = createPlugin({ endpointVersion: 'v2' })
+
+    const idToken = createJwt({ aud: 'client-id', oid: 'alice', tid: 'tenant', exp: 2000000000 })
+    const user = plugin._createUser(idToken)
+    plugin._saveAccount(user, idToken)
+    plugin.setActiveAccount(user)
+  })
+
+  it('normalizes the scopes into lower case, sorted and unique sets', () => {
+    expect(plugin._normalizeResource(['User.Read', ' Mail.Read', 'user.read'])).toBe(MAIL_SCOPES)
+    expect(plugin._normalizeResource('User.Read Mail.Read')).toBe(MAIL_SCOPES)
+    expect(plugin.config.loginResource).toBe('client-id')
+  })
+
+  it('requests the scopes from the v2.0 authorize endpoint', () => {
+    plugin.config.state = 'state-1'
+
+    const url = plugin._getNavigateUrl('token', MAIL_SCOPES)
+
+    expect(url).toContain('https://login.microsoftonline.com/common/oauth2/v2.0/authorize?')
+    expect(url).toContain('&scope=' + encodeURIComponent('mail.read openid profile user.read'))
+    expect(url).not.toContain('&resource=')
+  })
+
+  it('asks for the scopes to consent to at login', () => {
+    plugin = createPlugin({ endpointVersion: 'v2', extraScopesToConsent: ['Calendars.Read'] })
+
+    expect(plugin._getScopeParameter('client-id')).toBe('calendars.read openid profile')
+  })
+
+  it('returns the token cached for the same scopes in any order', () => {
+    cacheToken(MAIL_SCOPES, 'token-1')
+
+    expect(plugin.getCachedToken(['User.Read', 'Mail.Read'])).toBe('token-1')
+  })
+
+  it('reuses a token cached for a superset of the requested scopes', () => {
+    cacheToken('calendars.read ' + MAIL_SCOPES, 'token-1')
+
+    expect(plugin.getCachedToken('User.Read')).toBe('token-1')
+    expect(plugin.getCachedToken('User.Read Files.Read')).toBeNull()
+  })
+
+  it('keeps the resources and the authorize endpoint of v1', () => {
+    plugin = createPlugin()
+    plugin.config.state = 'state-1'
+
+    expect(plugin._normalizeResource('https://Graph.microsoft.com')).toBe(
+      'https://Graph.microsoft.com',
+    )
+    expect(plugin._getNavigateUrl('token', 'https://graph.microsoft.com')).toContain(
+      'https://login.microsoftonline.com/common/oauth2/authorize?',
+    )
+  })
+
+  it('rejects unknown endpoint versions', () => {
+    expect(() => createPlugin({ endpointVersion: 'v3' })).toThrow(
+      'endpointVersion must be either v1 or v2',
+    )
+  })
+})